@@ -0,0 +1,81 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { decryptWithPassphrase, encryptWithPassphrase, readPassphrase } from '../core/vault.js';
+import { writeFileAtomic } from '../util/fs.js';
+import {
+  collectCodexBundleAccounts,
+  previewCodexBundleAccounts,
+  restoreCodexBundleAccounts,
+} from '../tools/builtins/codex.js';
+
+const BUNDLE_VERSION = 1;
+const PASSPHRASE_ENV = 'ACCOUNTBOX_BUNDLE_PASSPHRASE';
+
+async function readBundle(file) {
+  let obj;
+  try {
+    obj = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e?.code === 'ENOENT') throw new Error(`Bundle not found: ${file}`);
+    throw new Error(`${file} is not an accountbox bundle (invalid JSON).`);
+  }
+  if (obj?.accountbox_bundle !== BUNDLE_VERSION) {
+    throw new Error(`${file} is not an accountbox bundle (or was written by a newer version).`);
+  }
+  if (obj.encrypted) {
+    const passphrase = await readPassphrase({ envVar: PASSPHRASE_ENV, prompt: 'Bundle passphrase: ' });
+    obj = JSON.parse(await decryptWithPassphrase(obj.payload, passphrase));
+  }
+  if (!Array.isArray(obj?.accounts)) throw new Error(`${file} has no accounts.`);
+  return obj;
+}
+
+function formatPreviewLine(a) {
+  const who = [a.authMode || 'no credentials', a.email, a.plan, a.accountId ? `account ${a.accountId}` : null].filter(Boolean).join(', ');
+  const parts = [];
+  if (a.hostAuth) parts.push('auth.json');
+  if (a.volumeFiles.length) parts.push(`volume: ${a.volumeFiles.join(', ')}`);
+  if (a.snapshots.length) parts.push(`snapshots: ${a.snapshots.join(', ')}`);
+  const conflicts = [a.exists ? 'label exists' : null, a.snapshotConflicts.length ? `snapshot(s) exist: ${a.snapshotConflicts.join(', ')}` : null].filter(Boolean);
+  return `- ${a.label}: ${who} [${parts.join('; ')}]${conflicts.length ? ` (${conflicts.join('; ')})` : ''}`;
+}
+
+export async function cmdExport(labels, { output, encrypt = false } = {}) {
+  if (!labels?.length || !output) throw new Error('Usage: accountbox export <label...> -o <bundle> [--encrypt]');
+  const out = path.resolve(output);
+
+  const { accounts, notes } = await collectCodexBundleAccounts([...new Set(labels)]);
+  for (const n of notes) console.error(`Warning: ${n}`);
+
+  const bundle = { accountbox_bundle: BUNDLE_VERSION, tool: 'codex', createdAt: new Date().toISOString(), accounts };
+  let data = bundle;
+  if (encrypt) {
+    const passphrase = await readPassphrase({ envVar: PASSPHRASE_ENV, prompt: 'Bundle passphrase: ', confirm: true });
+    data = { accountbox_bundle: BUNDLE_VERSION, encrypted: true, payload: await encryptWithPassphrase(JSON.stringify(bundle), passphrase) };
+  }
+  await writeFileAtomic(out, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+
+  console.log(`Exported ${accounts.length} Codex label(s) -> ${out}${encrypt ? ' (encrypted)' : ''}`);
+  if (!encrypt) console.error('Warning: the bundle holds plaintext credentials. Keep it private, or re-export with --encrypt.');
+}
+
+export async function cmdImport(file, { force = false, dryRun = false } = {}) {
+  if (!file) throw new Error('Usage: accountbox import <bundle> [--force] [--dry-run]');
+  const bundle = await readBundle(path.resolve(file));
+  const preview = await previewCodexBundleAccounts(bundle.accounts);
+
+  console.log(`Bundle ${file}${bundle.createdAt ? ` (created ${bundle.createdAt})` : ''} contains:`);
+  for (const a of preview.accounts) console.log(formatPreviewLine(a));
+
+  const conflicts = preview.accounts.filter(a => a.exists || a.snapshotConflicts.length).map(a => a.label);
+  if (dryRun) return;
+  if (conflicts.length && !force) {
+    throw new Error(`Refusing to overwrite existing Codex label(s): ${conflicts.join(', ')}. Re-run with --force to replace them.`);
+  }
+
+  const { backups, notes } = await restoreCodexBundleAccounts(bundle.accounts);
+  for (const b of backups) console.log(`Moved existing auth.json -> ${b}`);
+  for (const n of notes) console.error(`Warning: ${n}`);
+  console.log(`Imported ${bundle.accounts.length} Codex label(s).`);
+}
@@ -1,9 +1,20 @@
 import { execa } from 'execa';
 import process from 'node:process';
-import { CODEX_IMAGE_NAME, CODEX_NPM_SPEC, ACCOUNTBOX_HOME } from '../core/env.js';
+import { resolveContainerUser, resolveContainerUserMode } from '../core/containerUser.js';
+import { ACCOUNTBOX_HOME } from '../core/env.js';
+import { getContainerRuntime } from '../core/runtime.js';
 import { findGitRoot } from '../config/git.js';
-import { readProjectConfig } from '../config/project.js';
+import { readCodexVersion, readProjectConfig } from '../config/project.js';
 import { resolveUserToolsTomlPath } from '../config/userTools.js';
+import {
+  codexImageRef,
+  codexImageStaleness,
+  codexNpmSpecFor,
+  formatImageAge,
+  inspectCodexImage,
+  listCodexImages,
+} from '../tools/builtins/codexImages.js';
+import { checkClaudeIsolation, resolveClaudeIsolation } from '../tools/builtins/claudeIsolation.js';
 import { isErrno } from '../util/errors.js';
 
 export async function getDoctorInfo({ cwd } = {}) {
@@ -11,12 +22,33 @@ export async function getDoctorInfo({ cwd } = {}) {
   const gitRoot = await findGitRoot(effectiveCwd);
   const project = await readProjectConfig(effectiveCwd);
 
-  let dockerStatus = { status: 'missing' };
+  let runtimeStatus;
   try {
-    const dockerOk = await execa('docker', ['ps'], { reject: false, stdio: 'ignore' });
-    dockerStatus = dockerOk.exitCode === 0 ? { status: 'OK' } : { status: 'NOT_REACHABLE' };
+    const runtime = await getContainerRuntime();
+    const version = await runtime.version();
+    const status = !version ? 'missing' : (await runtime.isReachable()) ? 'OK' : 'NOT_REACHABLE';
+    runtimeStatus = {
+      name: runtime.name,
+      source: runtime.source,
+      status,
+      version,
+      rootless: status === 'OK' ? await runtime.isRootless() : null,
+    };
   } catch (e) {
-    dockerStatus = isErrno(e, 'ENOENT') ? { status: 'missing' } : { status: 'NOT_REACHABLE' };
+    // e.g. an unknown ACCOUNTBOX_CONTAINER_RUNTIME; report it instead of failing.
+    runtimeStatus = { name: null, source: null, status: 'error', version: null, rootless: null, error: e?.message || String(e) };
+  }
+
+  let containerUser;
+  try {
+    if (runtimeStatus.status === 'OK') {
+      const u = await resolveContainerUser(await getContainerRuntime());
+      containerUser = { mode: u.mode, source: u.source, uid: u.uid, gid: u.gid, args: u.args };
+    } else {
+      containerUser = { ...(await resolveContainerUserMode()), uid: null, gid: null, args: null };
+    }
+  } catch (e) {
+    containerUser = { mode: null, source: null, uid: null, gid: null, args: null, error: e?.message || String(e) };
   }
 
   let claudeStatus = { status: 'missing' };
@@ -27,6 +59,43 @@ export async function getDoctorInfo({ cwd } = {}) {
     claudeStatus = isErrno(e, 'ENOENT') ? { status: 'missing' } : { status: 'error' };
   }
 
+  let claudeIsolation;
+  try {
+    const { mode, source } = await resolveClaudeIsolation(project.data);
+    claudeIsolation = { mode, source, runs: await checkClaudeIsolation() };
+  } catch (e) {
+    claudeIsolation = { mode: null, source: null, runs: [], error: e?.message || String(e) };
+  }
+
+  let codexVersion = null;
+  let codexVersionError = null;
+  try {
+    codexVersion = readCodexVersion(project.data);
+  } catch (e) {
+    codexVersionError = e.message;
+  }
+
+  let codexImages = null;
+  let codexBuild = null;
+  if (runtimeStatus.status === 'OK') {
+    try {
+      codexImages = (await listCodexImages()).map(i => ({ ref: i.ref, version: i.version, size: i.size, lastUsedAt: i.lastUsedAt }));
+      const info = await inspectCodexImage(codexVersion);
+      if (info) {
+        const st = codexImageStaleness(info, { npmSpec: codexNpmSpecFor(codexVersion) });
+        codexBuild = {
+          builtAt: info.builtAt,
+          ageSeconds: st.ageSeconds,
+          npmSpec: info.npmSpec,
+          cliVersion: info.cliVersion,
+          specDrift: Boolean(info.npmSpec && info.npmSpec !== codexNpmSpecFor(codexVersion)),
+        };
+      }
+    } catch {
+      // best-effort: doctor must not fail on image inspection
+    }
+  }
+
   return {
     cwd: effectiveCwd,
     gitRoot,
@@ -38,14 +107,67 @@ export async function getDoctorInfo({ cwd } = {}) {
     accountboxHome: ACCOUNTBOX_HOME,
     userToolsConfig: await resolveUserToolsTomlPath(),
     codex: {
-      image: `${CODEX_IMAGE_NAME}:latest`,
-      npmSpec: CODEX_NPM_SPEC,
+      image: codexImageRef(codexVersion),
+      npmSpec: codexNpmSpecFor(codexVersion),
+      version: codexVersion,
+      ...(codexVersionError ? { versionError: codexVersionError } : {}),
+      cachedImages: codexImages,
+      build: codexBuild,
     },
-    docker: dockerStatus,
+    containerRuntime: runtimeStatus,
+    // Kept for scripts written before the runtime became selectable; mirrors containerRuntime.status.
+    docker: { status: runtimeStatus.status },
+    containerUser,
     claude: claudeStatus,
+    claudeIsolation,
   };
 }
 
+const RUNTIME_SOURCES = {
+  env: 'ACCOUNTBOX_CONTAINER_RUNTIME',
+  config: 'container_runtime in tools.toml',
+  auto: 'auto-detect',
+  default: 'default; none installed',
+};
+
+const USER_SOURCES = {
+  env: 'ACCOUNTBOX_CONTAINER_USER',
+  config: 'container_user in tools.toml',
+  default: `default on ${process.platform}`,
+};
+
+function describeContainerUser(u) {
+  if (u.error) return `ERROR (${u.error})`;
+  const via = USER_SOURCES[u.source] || u.source;
+  if (u.mode === 'root') return `root (${via})`;
+  // args is null when the runtime couldn't be asked; [] when it already maps root to the host user.
+  const how = u.args == null ? null : u.args.length === 0 ? 'rootless runtime maps root to you' : u.args.includes('--userns=keep-id') ? 'keep-id' : null;
+  return `host (${[u.uid != null ? `${u.uid}:${u.gid}` : null, how, via].filter(Boolean).join(', ')})`;
+}
+
+const ISOLATION_SOURCES = {
+  env: 'ACCOUNTBOX_CLAUDE_ISOLATION',
+  project: 'claude_isolation in .accountbox.toml',
+  config: 'claude_isolation in tools.toml',
+  default: 'default',
+};
+
+// One line per label that has run Claude Code: did its last run write credentials outside the label dir?
+function describeClaudeIsolationRuns(iso) {
+  if (!iso.runs.length) return ['claude isolation check: no runs recorded yet (run Claude through accountbox once)'];
+  const stronger = iso.mode === 'home' ? null : iso.mode === 'config_dir' ? '"home"' : '"config_dir" or "home"';
+  return iso.runs.map(r => {
+    const when = `${r.account}, last run ${r.startedAt} (${r.mode})`;
+    if (r.leaks.length) {
+      const fix = stronger ? ` Try claude_isolation = ${stronger}.` : '';
+      return `claude isolation check: LEAK (${when}) wrote ${r.leaks.join(', ')} outside the label dir.${fix}`;
+    }
+    if (r.wroteInside) return `claude isolation check: OK (${when}) credentials stayed in the label dir`;
+    const keychain = process.platform === 'darwin' ? '; on macOS they may be in the Keychain, which is not checked' : '';
+    return `claude isolation check: OK (${when}) no credential writes seen${keychain}`;
+  });
+}
+
 export function printDoctorInfo(info) {
   console.log(`cwd: ${info.cwd}`);
   console.log(`git root: ${info.gitRoot || 'n/a'}`);
@@ -54,8 +176,35 @@ export function printDoctorInfo(info) {
   console.log(`default claude_account: ${info.defaults.claude_account || 'n/a'}`);
   console.log(`accountbox home: ${info.accountboxHome}`);
   console.log(`user tools config: ${info.userToolsConfig}`);
-  console.log(`codex image: ${info.codex.image} (npm spec: ${info.codex.npmSpec})`);
-  console.log(`docker runtime: ${info.docker.status === 'OK' ? 'OK' : info.docker.status === 'NOT_REACHABLE' ? 'NOT REACHABLE' : 'missing'}`);
+  console.log(`codex image: ${info.codex.image} (npm spec: ${info.codex.npmSpec}${info.codex.version ? `, pinned by codex_version` : ''})`);
+  if (info.codex.versionError) console.log(`codex_version: INVALID (${info.codex.versionError})`);
+  if (info.codex.build) {
+    const b = info.codex.build;
+    console.log(`codex image built: ${b.builtAt ? `${b.builtAt} (${formatImageAge(b.ageSeconds)})` : 'unknown (built before accountbox stamped images)'}${b.cliVersion ? `, ${b.cliVersion}` : ''}`);
+    if (b.specDrift) {
+      console.log(`codex image spec drift: built with ${b.npmSpec}, now ${info.codex.npmSpec}. Run: accountbox codex rebuild`);
+    }
+  }
+  if (info.codex.cachedImages) {
+    const list = info.codex.cachedImages.map(i => i.version || 'latest');
+    console.log(`codex cached images: ${list.length ? list.join(', ') : 'none'}`);
+  }
+  const rt = info.containerRuntime;
+  if (rt.status === 'error') {
+    console.log(`container runtime: ERROR (${rt.error})`);
+  } else {
+    const state = rt.status === 'OK' ? 'OK' : rt.status === 'NOT_REACHABLE' ? 'NOT REACHABLE' : 'missing';
+    const details = [rt.version, rt.rootless ? 'rootless' : null, `via ${RUNTIME_SOURCES[rt.source] || rt.source}`].filter(Boolean).join(', ');
+    console.log(`container runtime: ${rt.name} ${state} (${details})`);
+  }
+  console.log(`container user: ${describeContainerUser(info.containerUser)}`);
   console.log(`claude: ${info.claude.status === 'OK' ? info.claude.version : info.claude.status}`);
+  const iso = info.claudeIsolation;
+  if (iso.error) {
+    console.log(`claude isolation: ERROR (${iso.error})`);
+  } else {
+    console.log(`claude isolation: ${iso.mode} (${ISOLATION_SOURCES[iso.source] || iso.source})`);
+    for (const line of describeClaudeIsolationRuns(iso)) console.log(line);
+  }
 }
 
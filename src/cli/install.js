@@ -5,12 +5,14 @@ import process from 'node:process';
 import readline from 'node:readline/promises';
 import { stdin as input, stdout as output } from 'node:process';
 
-import { ACCOUNTBOX_HOME, CODEX_IMAGE_NAME, CODEX_NPM_SPEC } from '../core/env.js';
+import { ACCOUNTBOX_HOME, CODEX_NPM_SPEC } from '../core/env.js';
+import { getContainerRuntime } from '../core/runtime.js';
 import { findGitRoot } from '../config/git.js';
 import { setProjectDefault } from '../config/project.js';
 import { ensureDir } from '../util/fs.js';
 import { isErrno } from '../util/errors.js';
-import { ensureCodexImage, codexLoginWithApiKey } from '../tools/builtins/codex.js';
+import { codexLoginWithApiKey } from '../tools/builtins/codex.js';
+import { codexImageExists, ensureCodexImage } from '../tools/builtins/codexImages.js';
 
 async function promptYesNo(rl, message, def = true) {
   const suffix = def ? '[Y/n]' : '[y/N]';
@@ -42,21 +44,14 @@ async function ensureBrewOrThrow() {
   }
 }
 
-async function dockerReachable() {
+async function containerRuntimeReachable() {
   try {
-    const res = await execa('docker', ['ps'], { reject: false, stdio: 'ignore' });
-    return res.exitCode === 0;
-  } catch (e) {
-    if (isErrno(e, 'ENOENT')) return false;
+    return await (await getContainerRuntime()).isReachable();
+  } catch {
     return false;
   }
 }
 
-async function codexImageExists() {
-  const inspect = await execa('docker', ['image', 'inspect', `${CODEX_IMAGE_NAME}:latest`], { reject: false, stdio: 'ignore' });
-  return inspect.exitCode === 0;
-}
-
 function makeLogger({ serious, quiet }) {
   return {
     info: (s) => { if (!quiet) console.log(s); },
@@ -108,8 +103,8 @@ export async function cmdInstall({ serious = false, quiet = false, codexTool } =
     await writeInstallState({ setupCodex, setupClaude });
 
     if (setupCodex) {
-      if (!(await dockerReachable())) {
-        log.info('Docker runtime not available/reachable.');
+      if (!(await containerRuntimeReachable())) {
+        log.info('Container runtime not available/reachable (docker, podman or nerdctl; pick one with ACCOUNTBOX_CONTAINER_RUNTIME).');
         log.fun('No container engine detected. Time to summon one.');
         if (platform === 'darwin') {
           const ok = await promptYesNo(rl, 'Install OrbStack via Homebrew? (recommended for performance)', true);
@@ -122,11 +117,11 @@ export async function cmdInstall({ serious = false, quiet = false, codexTool } =
             log.info('Skipping OrbStack install. You must provide a Docker-compatible runtime for Codex.');
           }
         } else {
-          console.log('Please install Docker/Podman for your OS, then re-run accountbox install.');
+          console.log('Please install Docker, Podman or nerdctl for your OS, then re-run accountbox install.');
         }
       }
 
-      if (await dockerReachable()) {
+      if (await containerRuntimeReachable()) {
         const imageAlready = await codexImageExists();
         if (imageAlready) {
           log.fun('Codex image already exists — no rebuild needed.');
@@ -175,7 +170,7 @@ export async function cmdInstall({ serious = false, quiet = false, codexTool } =
           await codexTool.login({ account: acct, args: loginArgs, cwd: process.cwd() });
         }
       } else {
-        log.info('Codex setup incomplete (Docker not reachable). You can finish later by starting OrbStack and running accountbox install again.');
+        log.info('Codex setup incomplete (container runtime not reachable). You can finish later by starting it (e.g. OrbStack) and running accountbox install again.');
       }
     }
 
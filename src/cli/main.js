@@ -1,21 +1,42 @@
 import { Command } from 'commander';
+import path from 'node:path';
 import process from 'node:process';
 
 import { ACCOUNTBOX_VERSION } from '../core/env.js';
+import { getContainerRuntime } from '../core/runtime.js';
 import { openSandboxedBrowser } from '../browser.js';
 import { resolveUserToolsTomlPath, readUserToolsConfig } from '../config/userTools.js';
 import { findGitRoot } from '../config/git.js';
-import { readProjectConfig, resolveAccountOrThrow, setProjectDefault } from '../config/project.js';
+import {
+  readAccountPool,
+  readCodexVersion,
+  readProjectConfig,
+  replaceProjectAccountReferences,
+  resolveAccountOrThrow,
+  setProjectDefault,
+} from '../config/project.js';
+import { codexContainerRunArgs, readCodexContainerConfig } from '../config/codexContainer.js';
+import { isDefaultSandboxPolicy, resolveSandboxPolicy, sandboxRunArgs } from '../config/sandbox.js';
 import { resolveToolDefinitionWithSources, resolveToolsForCwd } from '../config/tools.js';
-import { disambiguateAccountArg, normalizeToolId } from '../util/args.js';
+import { assertSafeName, disambiguateAccountArg, normalizeToolId } from '../util/args.js';
 import { sanitizeToolDef, createToolRegistry } from '../tools/registry.js';
 import { validateToolDef } from '../tools/validate.js';
 import { runNativeTool } from '../tools/runners/native.js';
 import { runContainerTool } from '../tools/runners/container.js';
-import { createCodexTool, CODEX_HELPER_SUBCOMMANDS } from '../tools/builtins/codex.js';
-import { createClaudeTool, CLAUDE_KNOWN_SUBCOMMANDS } from '../tools/builtins/claude.js';
+import {
+  codexSandboxRequiredHosts,
+  createCodexTool,
+  CODEX_HELPER_SUBCOMMANDS,
+  describeNoEligibleCodexAccount,
+  selectBestCodexAccount,
+} from '../tools/builtins/codex.js';
+import { resolveCodexKeepalive } from '../tools/builtins/codexWarm.js';
+import { createClaudeTool, CLAUDE_HELPER_SUBCOMMANDS, CLAUDE_KNOWN_SUBCOMMANDS } from '../tools/builtins/claude.js';
+import { resolveClaudeIsolation } from '../tools/builtins/claudeIsolation.js';
 import { getDoctorInfo, printDoctorInfo } from './doctor.js';
 import { cmdInstall } from './install.js';
+import { cmdExport, cmdImport } from './bundle.js';
+import { cmdVault } from './vault.js';
 
 function toolKeyForDefaults(toolId) {
   if (toolId === 'codex') return 'codex_account';
@@ -23,22 +44,76 @@ function toolKeyForDefaults(toolId) {
   return `${toolId}_account`;
 }
 
+const PROJECT_SANDBOX_WHERE = '[sandbox] in .accountbox.toml';
+
+function codexSandboxPolicy(projectData) {
+  return resolveSandboxPolicy([{ raw: projectData?.sandbox, where: PROJECT_SANDBOX_WHERE }], { requiredHosts: codexSandboxRequiredHosts() });
+}
+
+// The repo's [sandbox] applies to every container tool; the tool's own sandbox table overrides it key by key.
+function toolSandboxPolicy(toolId, def, projectData) {
+  return resolveSandboxPolicy([
+    { raw: projectData?.sandbox, where: PROJECT_SANDBOX_WHERE },
+    { raw: def?.sandbox, where: `[tools.${toolId}.sandbox]` },
+  ]);
+}
+
+function describeSandbox(policy) {
+  if (!policy) return null;
+  return {
+    ...policy,
+    default: isDefaultSandboxPolicy(policy),
+    runArgs: sandboxRunArgs(policy),
+  };
+}
+
+function readCodexContainer(projectData, projectFile, cwd) {
+  return readCodexContainerConfig(projectData, { baseDir: projectFile ? path.dirname(projectFile) : cwd });
+}
+
+// Everything a Codex run would mount, for auditing via `resolve codex --json`.
+async function describeCodexMounts(projectData, projectFile, { cwd, account }) {
+  const cfg = await readCodexContainer(projectData, projectFile, cwd);
+  const runtime = await getContainerRuntime();
+  const extras = codexContainerRunArgs(cfg, { runtimeName: runtime.name });
+  const keepaliveMs = resolveCodexKeepalive(cfg.keepaliveMs);
+  return {
+    mounts: [
+      { type: 'bind', source: cwd, target: '/work', readOnly: false, origin: 'cwd' },
+      { type: 'volume', source: account ? `accountbox_codex_${account}` : null, target: '/root/.codex', readOnly: false, origin: 'account' },
+      ...extras.mounts,
+    ],
+    env: extras.envNames,
+    notes: extras.notes,
+    // Idle timeout of the warm container sessions run in, or null when each session gets a fresh container.
+    keepaliveSeconds: keepaliveMs ? Math.round(keepaliveMs / 1000) : null,
+  };
+}
+
 function describeBuiltInTool(tool) {
   const caps = [];
-  for (const k of ['run', 'login', 'logout', 'status', 'whoami', 'limits', 'app', 'rebuild', 'list', 'snapshots', 'save', 'switch', 'use']) {
+  for (const k of ['run', 'auto', 'login', 'logout', 'status', 'whoami', 'limits', 'app', 'rebuild', 'sync', 'list', 'snapshots', 'snapshot', 'save', 'switch', 'use', 'rm', 'rename', 'clone', 'config', 'images', 'ps', 'stop']) {
     if (typeof tool[k] === 'function') caps.push(k);
   }
   return { id: tool.id, kind: 'built-in', capabilities: caps };
 }
 
-async function dispatchCodex({ codexTool, accountArg, argsList, accountIsSubcommand, projectData, cwd }) {
+async function dispatchCodex({ codexTool, accountArg, argsList, accountIsSubcommand, projectData, projectFile, cwd }) {
   const resolved = accountArg
     ? resolveAccountOrThrow(accountArg, 'codex_account', projectData)
     : accountIsSubcommand
       ? (projectData?.codex_account || 'default')
       : resolveAccountOrThrow(undefined, 'codex_account', projectData);
+  // Only the paths that pick a Codex image read codex_version, so a bad pin doesn't break the helpers.
+  const codexVersion = () => readCodexVersion(projectData);
 
   const cmd = argsList[0];
+  if (cmd === 'auto') {
+    const sandbox = codexSandboxPolicy(projectData);
+    const container = await readCodexContainer(projectData, projectFile, cwd);
+    await codexTool.auto({ args: argsList.slice(1), cwd, pool: readAccountPool(projectData, 'codex_pool'), codexVersion: codexVersion(), sandbox, container });
+    return;
+  }
   if (cmd === 'app') {
     const target = accountIsSubcommand ? (argsList[1] || resolved) : resolved;
     await codexTool.app({ account: target, args: argsList.slice(1), cwd });
@@ -49,15 +124,16 @@ async function dispatchCodex({ codexTool, accountArg, argsList, accountIsSubcomm
     return;
   }
   if (cmd === 'logout') {
-    await codexTool.logout({ account: resolved, cwd });
+    await codexTool.logout({ account: resolved, cwd, codexVersion: codexVersion() });
     return;
   }
   if (cmd === 'status') {
-    await codexTool.status({ account: resolved, cwd });
+    const args = argsList.slice(1);
+    await codexTool.status({ account: resolved, args, cwd, codexVersion: args.includes('--deep') ? codexVersion() : null });
     return;
   }
   if (cmd === 'whoami') {
-    await codexTool.whoami({ account: resolved, cwd });
+    await codexTool.whoami({ account: resolved, args: argsList.slice(1), cwd });
     return;
   }
   if (cmd === 'limits') {
@@ -65,8 +141,29 @@ async function dispatchCodex({ codexTool, accountArg, argsList, accountIsSubcomm
     await codexTool.limits({ account: resolved, args: argsList.slice(1), cwd, allAccounts });
     return;
   }
+  if (cmd === 'sync') {
+    await codexTool.sync({ account: resolved, args: argsList.slice(1) });
+    return;
+  }
   if (cmd === 'rebuild') {
-    await codexTool.rebuild();
+    await codexTool.rebuild({ args: argsList.slice(1), codexVersion: codexVersion() });
+    return;
+  }
+  if (cmd === 'images') {
+    await codexTool.images({ args: argsList.slice(1), codexVersion: codexVersion() });
+    return;
+  }
+  if (cmd === 'ps') {
+    await codexTool.ps({ args: argsList.slice(1) });
+    return;
+  }
+  if (cmd === 'stop') {
+    // `codex stop <label>`, `codex <label> stop`, `codex stop --all`; bare `codex stop` stops this repo's.
+    const rest = argsList.slice(1);
+    const all = rest.includes('--all');
+    const label = rest.find(a => !a.startsWith('-')) || accountArg || null;
+    if (label) assertSafeName(label, 'label');
+    await codexTool.stop({ account: all ? null : label, all, cwd });
     return;
   }
   if (cmd === 'list') {
@@ -74,7 +171,11 @@ async function dispatchCodex({ codexTool, accountArg, argsList, accountIsSubcomm
     return;
   }
   if (cmd === 'snapshots') {
-    await codexTool.snapshots();
+    await codexTool.snapshots({ args: argsList.slice(1) });
+    return;
+  }
+  if (cmd === 'snapshot') {
+    await codexTool.snapshot({ args: argsList.slice(1) });
     return;
   }
   if (cmd === 'save') {
@@ -85,6 +186,19 @@ async function dispatchCodex({ codexTool, accountArg, argsList, accountIsSubcomm
     await codexTool.switch({ account: resolved, args: argsList, cwd, defaultAccount: projectData?.codex_account || 'default' });
     return;
   }
+  if (cmd === 'config') {
+    await codexTool.config({ account: resolved, args: argsList.slice(1) });
+    return;
+  }
+  if (cmd === 'rm' || cmd === 'rename' || cmd === 'clone') {
+    // Destructive/identity-changing: never fall back to the project default label.
+    if (!accountArg) {
+      throw new Error(`Usage: accountbox codex <label> ${cmd}${{ rm: ' [--keep-browser] [--host-only]', rename: ' <newLabel> [--host-only]', clone: ' <newLabel>' }[cmd]}`);
+    }
+    assertSafeName(resolved, 'label');
+    await codexTool[cmd]({ account: resolved, args: argsList.slice(1), cwd, replaceProjectAccountReferences });
+    return;
+  }
   if (cmd === 'use') {
     const toAccount = argsList[1];
     if (!toAccount) throw new Error('Usage: accountbox codex use <account> (writes .accountbox.toml in current repo)');
@@ -93,9 +207,13 @@ async function dispatchCodex({ codexTool, accountArg, argsList, accountIsSubcomm
     return;
   }
 
-  await codexTool.run({ account: resolved, args: argsList, cwd });
+  const container = await readCodexContainer(projectData, projectFile, cwd);
+  await codexTool.run({ account: resolved, args: argsList, cwd, codexVersion: codexVersion(), sandbox: codexSandboxPolicy(projectData), container });
 }
 
+// Words that can't be a label: Claude Code's own subcommands plus accountbox's helpers.
+const CLAUDE_SUBCOMMANDS = new Set([...CLAUDE_KNOWN_SUBCOMMANDS, ...CLAUDE_HELPER_SUBCOMMANDS]);
+
 async function dispatchClaude({ claudeTool, accountArg, argsList, accountIsSubcommand, accountLooksLikeOption, projectData, cwd }) {
   const resolved = accountArg
     ? resolveAccountOrThrow(accountArg, 'claude_account', projectData)
@@ -103,7 +221,15 @@ async function dispatchClaude({ claudeTool, accountArg, argsList, accountIsSubco
       ? (projectData?.claude_account || 'default')
       : resolveAccountOrThrow(undefined, 'claude_account', projectData);
 
-  await claudeTool.run({ account: resolved, args: argsList, cwd });
+  const isolation = await resolveClaudeIsolation(projectData);
+  const cmd = argsList[0];
+  if (CLAUDE_HELPER_SUBCOMMANDS.has(cmd)) {
+    if (cmd !== 'list') assertSafeName(resolved, 'label');
+    await claudeTool[cmd]({ account: resolved, args: argsList.slice(1), cwd, isolation });
+    return;
+  }
+
+  await claudeTool.run({ account: resolved, args: argsList, cwd, isolation });
 }
 
 async function dispatchConfiguredTool({ toolId, accountArg, argsList, cwd }) {
@@ -137,7 +263,8 @@ async function dispatchConfiguredTool({ toolId, accountArg, argsList, cwd }) {
     if (!image) throw new Error(`Tool '${toolId}' is container but missing 'image' in config.`);
     const workdir = def.workdir || '/work';
     const configMountPath = def.configMountPath;
-    await runContainerTool({ toolId, account: resolved, image, args: argsList, cwd, workdir, configMountPath });
+    const sandbox = toolSandboxPolicy(toolId, def, proj.data);
+    await runContainerTool({ toolId, account: resolved, image, args: argsList, cwd, workdir, configMountPath, sandbox });
     return;
   }
 
@@ -168,10 +295,10 @@ export async function main(argv = process.argv) {
     .allowUnknownOption(true)
     .argument('[account]')
     .argument('[args...]')
-    .description('Run Codex in a container with per-account isolation (helpers: app/login/logout/status/whoami/limits/rebuild/list/snapshots/save/switch/use)')
+    .description('Run Codex in a container with per-account isolation (helpers: auto/app/login/logout/status/whoami/limits/rebuild/sync/list/snapshots/snapshot/save/switch/use/rm/rename/clone/config/images/ps/stop)')
     .action(async (account, args) => {
       const cwd = process.cwd();
-      const { data } = await readProjectConfig(cwd);
+      const { file, data } = await readProjectConfig(cwd);
 
       const { accountArg, argsList, accountIsSubcommand } = disambiguateAccountArg({
         account,
@@ -179,7 +306,7 @@ export async function main(argv = process.argv) {
         knownSubcommands: CODEX_HELPER_SUBCOMMANDS,
       });
 
-      await dispatchCodex({ codexTool, accountArg, argsList, accountIsSubcommand, projectData: data, cwd });
+      await dispatchCodex({ codexTool, accountArg, argsList, accountIsSubcommand, projectData: data, projectFile: file, cwd });
     });
 
   program
@@ -187,7 +314,7 @@ export async function main(argv = process.argv) {
     .allowUnknownOption(true)
     .argument('[account]')
     .argument('[args...]')
-    .description('Run Claude Code natively with per-account XDG isolation')
+    .description('Run Claude Code natively with per-account isolation (helpers: list/login/logout/status/whoami/save/snapshots/snapshot/switch)')
     .action(async (account, args) => {
       const cwd = process.cwd();
       const { data } = await readProjectConfig(cwd);
@@ -195,7 +322,7 @@ export async function main(argv = process.argv) {
       const { accountArg, argsList, accountIsSubcommand, accountLooksLikeOption } = disambiguateAccountArg({
         account,
         args,
-        knownSubcommands: CLAUDE_KNOWN_SUBCOMMANDS,
+        knownSubcommands: CLAUDE_SUBCOMMANDS,
       });
 
       await dispatchClaude({ claudeTool, accountArg, argsList, accountIsSubcommand, accountLooksLikeOption, projectData: data, cwd });
@@ -214,14 +341,14 @@ export async function main(argv = process.argv) {
 
       const builtIn = registry.getBuiltIn(toolId);
       if (builtIn?.id === 'codex') {
-        const { data } = await readProjectConfig(cwd);
+        const { file, data } = await readProjectConfig(cwd);
         const { accountArg, argsList, accountIsSubcommand } = disambiguateAccountArg({ account, args, knownSubcommands: CODEX_HELPER_SUBCOMMANDS });
-        await dispatchCodex({ codexTool, accountArg, argsList, accountIsSubcommand, projectData: data, cwd });
+        await dispatchCodex({ codexTool, accountArg, argsList, accountIsSubcommand, projectData: data, projectFile: file, cwd });
         return;
       }
       if (builtIn?.id === 'claude') {
         const { data } = await readProjectConfig(cwd);
-        const { accountArg, argsList, accountIsSubcommand, accountLooksLikeOption } = disambiguateAccountArg({ account, args, knownSubcommands: CLAUDE_KNOWN_SUBCOMMANDS });
+        const { accountArg, argsList, accountIsSubcommand, accountLooksLikeOption } = disambiguateAccountArg({ account, args, knownSubcommands: CLAUDE_SUBCOMMANDS });
         await dispatchClaude({ claudeTool, accountArg, argsList, accountIsSubcommand, accountLooksLikeOption, projectData: data, cwd });
         return;
       }
@@ -325,6 +452,7 @@ export async function main(argv = process.argv) {
     .argument('<toolId>')
     .option('--cwd <path>', 'Resolve as if running from this directory')
     .option('--json', 'Print machine-readable JSON')
+    .option('--best', 'Pick the account with the most rate-limit headroom (codex only)')
     .description('Resolve the effective account label for a tool in a directory')
     .action(async (toolId, opts) => {
       const cwd = opts.cwd || process.cwd();
@@ -337,11 +465,39 @@ export async function main(argv = process.argv) {
       }
 
       const key = toolKeyForDefaults(id);
+      // Only container runs are sandboxed; native tools report null.
+      const sandbox = id === 'codex'
+        ? describeSandbox(codexSandboxPolicy(project.data))
+        : (!builtIn && mergedTools[id].mode === 'container') ? describeSandbox(toolSandboxPolicy(id, mergedTools[id], project.data)) : null;
+      const codexMounts = (account) => (id === 'codex' ? describeCodexMounts(project.data, project.file, { cwd, account }) : null);
+
+      if (opts.best) {
+        if (id !== 'codex') throw new Error(`--best is only supported for codex (got '${id}').`);
+        const pool = readAccountPool(project.data, 'codex_pool');
+        const { best, candidates } = await selectBestCodexAccount({ pool });
+        if (!best) {
+          const msg = describeNoEligibleCodexAccount(candidates, pool);
+          if (opts.json) {
+            console.log(JSON.stringify({ ok: false, toolId: id, cwd, projectConfig: project.file, pool, error: msg, candidates }, null, 2));
+            process.exitCode = 1;
+            return;
+          }
+          throw new Error(msg);
+        }
+        if (opts.json) {
+          const gitRoot = await findGitRoot(cwd);
+          console.log(JSON.stringify({ ok: true, toolId: id, cwd, gitRoot, projectConfig: project.file, pool, account: best.account, headroomPercent: best.headroomPercent, candidates, sandbox, container: await codexMounts(best.account) }, null, 2));
+          return;
+        }
+        console.log(best.account);
+        return;
+      }
+
       const account = project.data?.[key] || null;
       if (!account) {
         const msg = `No default account configured for '${id}' (${key}). Set it in .accountbox.toml.`;
         if (opts.json) {
-          console.log(JSON.stringify({ ok: false, toolId: id, cwd, accountKey: key, error: msg, projectConfig: project.file }, null, 2));
+          console.log(JSON.stringify({ ok: false, toolId: id, cwd, accountKey: key, error: msg, projectConfig: project.file, sandbox, container: await codexMounts(null) }, null, 2));
           process.exitCode = 1;
           return;
         }
@@ -350,7 +506,7 @@ export async function main(argv = process.argv) {
 
       if (opts.json) {
         const gitRoot = await findGitRoot(cwd);
-        console.log(JSON.stringify({ ok: true, toolId: id, cwd, gitRoot, projectConfig: project.file, accountKey: key, account }, null, 2));
+        console.log(JSON.stringify({ ok: true, toolId: id, cwd, gitRoot, projectConfig: project.file, accountKey: key, account, sandbox, container: await codexMounts(account) }, null, 2));
         return;
       }
       console.log(account);
@@ -388,6 +544,35 @@ export async function main(argv = process.argv) {
       printDoctorInfo(info);
     });
 
+  program
+    .command('vault')
+    .argument('<action>', 'lock|unlock|rekey|status')
+    .option('--json', 'Print machine-readable JSON (status)')
+    .description('Encrypt host Codex credentials (auth.json + snapshots) at rest with a passphrase')
+    .action(async (action, opts) => {
+      await cmdVault(action, { json: Boolean(opts.json) });
+    });
+
+  program
+    .command('export')
+    .argument('<labels...>', 'Codex labels to export')
+    .requiredOption('-o, --output <file>', 'Bundle file to write')
+    .option('--encrypt', 'Encrypt the bundle with a passphrase ($ACCOUNTBOX_BUNDLE_PASSPHRASE or prompt)')
+    .description('Package Codex labels (auth.json, volume config, snapshots) into a portable bundle')
+    .action(async (labels, opts) => {
+      await cmdExport(labels, { output: opts.output, encrypt: Boolean(opts.encrypt) });
+    });
+
+  program
+    .command('import')
+    .argument('<bundle>', 'Bundle written by accountbox export')
+    .option('--force', 'Overwrite labels/snapshots that already exist')
+    .option('--dry-run', 'Only show what would be imported')
+    .description('Recreate Codex labels (host dirs + Docker volumes) from a bundle')
+    .action(async (bundle, opts) => {
+      await cmdImport(bundle, { force: Boolean(opts.force), dryRun: Boolean(opts.dryRun) });
+    });
+
   program
     .command('install')
     .alias('i')
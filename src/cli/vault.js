@@ -0,0 +1,54 @@
+import { isEncryptedFile, isRekeyPending, isVaultEnabled, lockVault, rekeyVault, unlockVault, vaultConfigPath } from '../core/vault.js';
+import { listCodexCredentialFiles } from '../tools/builtins/codex.js';
+
+export async function getVaultStatus() {
+  const files = await listCodexCredentialFiles();
+  let encrypted = 0;
+  for (const f of files) if (await isEncryptedFile(f)) encrypted += 1;
+  return {
+    enabled: await isVaultEnabled(),
+    config: vaultConfigPath(),
+    rekeyPending: await isRekeyPending(),
+    files: files.length,
+    encrypted,
+    plaintext: files.length - encrypted,
+  };
+}
+
+export async function cmdVault(action, { json = false } = {}) {
+  if (action === 'status') {
+    const st = await getVaultStatus();
+    if (json) {
+      console.log(JSON.stringify(st, null, 2));
+      return;
+    }
+    console.log(`vault: ${st.enabled ? 'enabled' : 'disabled'} (${st.config})`);
+    console.log(`credential files: ${st.files} (${st.encrypted} encrypted, ${st.plaintext} plaintext)`);
+    if (st.rekeyPending) console.log('rekey: interrupted; finish it with: accountbox vault rekey');
+    return;
+  }
+
+  if (action === 'lock') {
+    const r = await lockVault(await listCodexCredentialFiles());
+    console.log(`Vault locked: encrypted ${r.encrypted} of ${r.total} credential file(s).`);
+    return;
+  }
+
+  if (action === 'unlock') {
+    const r = await unlockVault(await listCodexCredentialFiles());
+    if (!r.wasEnabled) {
+      console.log('Vault is not enabled; nothing to unlock.');
+      return;
+    }
+    console.log(`Vault unlocked: decrypted ${r.decrypted} of ${r.total} credential file(s). Credentials are plaintext again.`);
+    return;
+  }
+
+  if (action === 'rekey') {
+    const r = await rekeyVault(await listCodexCredentialFiles());
+    console.log(`Vault rekeyed${r.resumed ? ' (resumed an interrupted rekey)' : ''}: re-encrypted ${r.reencrypted} credential file(s) with the new passphrase.`);
+    return;
+  }
+
+  throw new Error('Usage: accountbox vault lock|unlock|rekey|status');
+}
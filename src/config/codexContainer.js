@@ -0,0 +1,215 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+
+import { ACCOUNTBOX_HOME } from '../core/env.js';
+import { parseDurationMs } from '../util/time.js';
+
+// `[codex]` in .accountbox.toml: what the Codex container gets besides the repo and its account volume.
+//
+//   [codex]
+//   mounts = ["~/.gitconfig:/root/.gitconfig:ro", { source = "~/.npm", target = "/root/.npm" }]
+//   env = { NODE_ENV = "development" }
+//   env_passthrough = ["GITHUB_TOKEN", "NPM_CONFIG_*"]
+//   ssh_agent = true
+//   keepalive = "15m"
+
+const CODEX_KEYS = ['mounts', 'env', 'env_passthrough', 'ssh_agent', 'keepalive'];
+
+// `keepalive = true` keeps a warm container this long after its last session.
+export const DEFAULT_KEEPALIVE_MS = 15 * 60_000;
+
+// Container paths accountbox manages itself.
+const RESERVED_TARGETS = ['/work', '/root/.codex'];
+const RESERVED_ENV = ['CODEX_HOME', 'SSH_AUTH_SOCK'];
+
+export const SSH_AGENT_TARGET = '/run/accountbox/ssh-agent.sock';
+
+// Docker Desktop and OrbStack can't bind-mount macOS sockets; they expose the host agent here instead.
+const DOCKER_DESKTOP_SSH_SOCKET = '/run/host-services/ssh-auth.sock';
+
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function isPlainObject(v) {
+  return Boolean(v) && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date);
+}
+
+function expandHome(p) {
+  if (p === '~') return os.homedir();
+  if (p.startsWith('~/')) return path.join(os.homedir(), p.slice(2));
+  return p;
+}
+
+function isSameOrInside(child, parent) {
+  const rel = path.relative(parent, child);
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+async function realpathOrResolve(p) {
+  try {
+    return await fs.realpath(p);
+  } catch {
+    return path.resolve(p);
+  }
+}
+
+function readMountEntry(entry, i, where) {
+  const label = `${where}.mounts[${i}]`;
+  if (typeof entry === 'string') {
+    const parts = entry.split(':');
+    const mode = parts.length === 3 ? parts[2] : null;
+    if (parts.length < 2 || parts.length > 3 || (mode && !['ro', 'rw'].includes(mode))) {
+      throw new Error(`${label} must look like "source:target" or "source:target:ro" (got ${JSON.stringify(entry)}).`);
+    }
+    return { source: parts[0], target: parts[1], readOnly: mode === 'ro' };
+  }
+  if (isPlainObject(entry)) {
+    const unknown = Object.keys(entry).filter(k => !['source', 'target', 'read_only'].includes(k));
+    if (unknown.length) throw new Error(`Unknown key(s) in ${label}: ${unknown.join(', ')} (supported: source, target, read_only).`);
+    if (typeof entry.source !== 'string' || typeof entry.target !== 'string') throw new Error(`${label} needs string 'source' and 'target'.`);
+    if ('read_only' in entry && typeof entry.read_only !== 'boolean') throw new Error(`${label}.read_only must be true or false.`);
+    return { source: entry.source, target: entry.target, readOnly: entry.read_only === true };
+  }
+  throw new Error(`${label} must be a "source:target[:ro]" string or a { source, target, read_only } table.`);
+}
+
+async function checkMount(m, label, { baseDir, accountboxHome }) {
+  const source = path.resolve(baseDir, expandHome(m.source));
+  if (source.includes(':') || m.target.includes(':')) throw new Error(`${label}: paths containing ':' can't be mounted.`);
+  if (!path.posix.isAbsolute(m.target)) throw new Error(`${label}: target must be an absolute container path (got ${JSON.stringify(m.target)}).`);
+  const target = path.posix.normalize(m.target).replace(/(.)\/$/, '$1');
+  if (target === '/') throw new Error(`${label}: can't mount over the container's root.`);
+  for (const r of RESERVED_TARGETS) {
+    if (isSameOrInside(target, r) || isSameOrInside(r, target)) {
+      throw new Error(`${label}: target ${target} overlaps ${r}, which accountbox manages. Pick another container path.`);
+    }
+  }
+
+  if (!(await fs.stat(source).catch(() => null))) {
+    throw new Error(`${label}: source ${source} does not exist. Create it first (the runtime would otherwise create it as root).`);
+  }
+  // ~/.accountbox holds every label's credentials; mounting it (or a parent, like ~) would hand all of them to one container.
+  const real = await realpathOrResolve(source);
+  if (isSameOrInside(real, accountboxHome) || isSameOrInside(accountboxHome, real)) {
+    throw new Error(`${label}: refusing to mount ${source}; it contains or is inside ${accountboxHome}, which holds every label's credentials.`);
+  }
+  return { source, target, readOnly: m.readOnly };
+}
+
+// keepalive value -> idle timeout in ms, or null when off (false, "off", 0).
+export function parseKeepalive(value, where) {
+  if (value === true) return DEFAULT_KEEPALIVE_MS;
+  if (value === false || value == null) return null;
+  if (typeof value === 'string' && ['on', 'true'].includes(value.trim().toLowerCase())) return DEFAULT_KEEPALIVE_MS;
+  if (typeof value === 'string' && ['off', 'false'].includes(value.trim().toLowerCase())) return null;
+  const ms = parseDurationMs(value);
+  if (ms == null) throw new Error(`${where} must be true, false or an idle timeout like "15m" (got ${JSON.stringify(value)}).`);
+  return ms > 0 ? ms : null;
+}
+
+// Validated `[codex]` settings. Relative mount sources resolve against `baseDir` (the directory of .accountbox.toml).
+export async function readCodexContainerConfig(config, { baseDir = process.cwd(), accountboxHome = ACCOUNTBOX_HOME } = {}) {
+  const where = '[codex] in .accountbox.toml';
+  const raw = config?.codex;
+  const out = { mounts: [], env: {}, envPassthrough: [], sshAgent: false, keepaliveMs: null };
+  if (raw == null) return out;
+  if (!isPlainObject(raw)) throw new Error(`${where} must be a table.`);
+
+  const unknown = Object.keys(raw).filter(k => !CODEX_KEYS.includes(k));
+  if (unknown.length) throw new Error(`Unknown key(s) in ${where}: ${unknown.join(', ')} (supported: ${CODEX_KEYS.join(', ')}).`);
+
+  if ('mounts' in raw) {
+    if (!Array.isArray(raw.mounts)) throw new Error(`${where}.mounts must be an array.`);
+    const home = await realpathOrResolve(accountboxHome);
+    const seen = new Set();
+    for (const [i, entry] of raw.mounts.entries()) {
+      const label = `${where}.mounts[${i}]`;
+      const m = await checkMount(readMountEntry(entry, i, where), label, { baseDir, accountboxHome: home });
+      if (seen.has(m.target)) throw new Error(`${label}: target ${m.target} is mounted twice.`);
+      seen.add(m.target);
+      out.mounts.push(m);
+    }
+  }
+
+  if ('env' in raw) {
+    if (!isPlainObject(raw.env)) throw new Error(`${where}.env must be a table of NAME = "value".`);
+    for (const [k, v] of Object.entries(raw.env)) {
+      if (!ENV_NAME.test(k)) throw new Error(`${where}.env: '${k}' is not a valid variable name.`);
+      if (RESERVED_ENV.includes(k)) throw new Error(`${where}.env: ${k} is set by accountbox and can't be overridden.`);
+      if (!['string', 'number', 'boolean'].includes(typeof v)) throw new Error(`${where}.env.${k} must be a string.`);
+      out.env[k] = String(v);
+    }
+  }
+
+  if ('env_passthrough' in raw) {
+    const list = raw.env_passthrough;
+    if (!Array.isArray(list) || list.some(n => typeof n !== 'string' || !ENV_NAME.test(n.replace(/\*$/, '')))) {
+      throw new Error(`${where}.env_passthrough must be an array of variable names (a trailing * matches a prefix, e.g. "NPM_CONFIG_*").`);
+    }
+    const reserved = list.find(n => RESERVED_ENV.includes(n));
+    if (reserved) throw new Error(`${where}.env_passthrough: ${reserved} is set by accountbox and can't be passed through.`);
+    out.envPassthrough = [...new Set(list)];
+  }
+
+  if ('ssh_agent' in raw) {
+    if (typeof raw.ssh_agent !== 'boolean') throw new Error(`${where}.ssh_agent must be true or false.`);
+    out.sshAgent = raw.ssh_agent;
+  }
+
+  if ('keepalive' in raw) out.keepaliveMs = parseKeepalive(raw.keepalive, `${where}.keepalive`);
+  return out;
+}
+
+// Host variables matched by env_passthrough (names only; the values never leave the environment).
+export function passthroughEnvNames(patterns, env = process.env) {
+  const names = new Set();
+  for (const p of patterns) {
+    if (p.endsWith('*')) {
+      const prefix = p.slice(0, -1);
+      for (const k of Object.keys(env)) if (k.startsWith(prefix) && !RESERVED_ENV.includes(k)) names.add(k);
+    } else if (env[p] !== undefined) {
+      names.add(p);
+    }
+  }
+  return [...names].sort();
+}
+
+// Host side of the SSH agent forward, or { socket: null, note } when there's nothing to forward.
+export function sshAgentSocket({ runtimeName, platform = process.platform, env = process.env }) {
+  if (platform === 'darwin' && runtimeName === 'docker') return { socket: DOCKER_DESKTOP_SSH_SOCKET, note: null };
+  if (env.SSH_AUTH_SOCK) return { socket: env.SSH_AUTH_SOCK, note: null };
+  return { socket: null, note: 'ssh_agent = true but SSH_AUTH_SOCK is not set; start an agent (eval "$(ssh-agent)") to forward it' };
+}
+
+// Extra `run` flags for `[codex]`, plus the effective mount list for auditing. `envArgs` is the variable
+// part of `args` on its own, for `exec` into an already running container.
+export function codexContainerRunArgs(cfg, { runtimeName, platform = process.platform, env = process.env } = {}) {
+  const args = [];
+  const envArgs = [];
+  const mounts = [];
+  const notes = [];
+
+  for (const m of cfg.mounts) {
+    args.push('-v', `${m.source}:${m.target}${m.readOnly ? ':ro' : ''}`);
+    mounts.push({ type: 'bind', source: m.source, target: m.target, readOnly: m.readOnly, origin: '[codex].mounts' });
+  }
+
+  if (cfg.sshAgent) {
+    const agent = sshAgentSocket({ runtimeName, platform, env });
+    if (agent.socket) {
+      args.push('-v', `${agent.socket}:${SSH_AGENT_TARGET}`, '-e', `SSH_AUTH_SOCK=${SSH_AGENT_TARGET}`);
+      mounts.push({ type: 'bind', source: agent.socket, target: SSH_AGENT_TARGET, readOnly: false, origin: '[codex].ssh_agent' });
+    } else {
+      notes.push(agent.note);
+    }
+  }
+
+  for (const [k, v] of Object.entries(cfg.env)) envArgs.push('-e', `${k}=${v}`);
+  // `-e NAME` makes the runtime copy the value from our environment, so it never shows up in argv.
+  const passthrough = passthroughEnvNames(cfg.envPassthrough, env);
+  for (const k of passthrough) envArgs.push('-e', k);
+  args.push(...envArgs);
+
+  return { args, envArgs, mounts, envNames: [...Object.keys(cfg.env), ...passthrough], notes };
+}
@@ -46,25 +46,113 @@ export function resolveAccountOrThrow(passed, defaultsKey, config) {
   return a;
 }
 
+export function readAccountPool(config, poolKey) {
+  const pool = config?.[poolKey];
+  if (pool == null) return null;
+  if (!Array.isArray(pool) || pool.some(a => typeof a !== 'string' || !a.trim())) {
+    throw new Error(`${poolKey} in .accountbox.toml must be an array of account labels (e.g. ${poolKey} = ["work", "try1"]).`);
+  }
+  return [...new Set(pool.map(a => a.trim()))];
+}
+
+// `codex_version = "0.46.0"` pins the Codex CLI (and so the container image) for this repo.
+export function readCodexVersion(config) {
+  const v = config?.codex_version;
+  if (v == null) return null;
+  const s = typeof v === 'string' ? v.trim() : '';
+  if (!/^[0-9A-Za-z][0-9A-Za-z._-]{0,127}$/.test(s)) {
+    throw new Error(`codex_version in .accountbox.toml must be a Codex CLI version such as "0.46.0" (got ${JSON.stringify(v)}).`);
+  }
+  return s === 'latest' ? null : s;
+}
+
+function accountKeyForTool(tool) {
+  return tool === 'codex' ? 'codex_account'
+    : tool === 'claude' ? 'claude_account'
+      : `${tool}_account`;
+}
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Point `<tool>_account` / `<tool>_pool` entries in the repo's .accountbox.toml from one label to another
+// (or drop them when `to` is null). Only top-level keys are touched; comments and other lines are preserved.
+export async function replaceProjectAccountReferences(tool, from, to, cwd) {
+  const f = await findProjectConfigToml(cwd);
+  if (!f) return null;
+
+  const key = accountKeyForTool(tool);
+  const poolKey = `${tool}_pool`;
+  const keyRe = new RegExp(`^(\\s*${key}\\s*=\\s*)(["'])${escapeRegExp(from)}\\2(.*)$`);
+  const poolRe = new RegExp(`^\\s*${poolKey}\\s*=`);
+
+  const lines = (await fs.readFile(f, 'utf8')).split(/\r?\n/);
+  let changed = false;
+  let inTable = false;
+  const out = [];
+  for (const l of lines) {
+    if (/^\s*\[/.test(l)) inTable = true;
+    if (inTable) { out.push(l); continue; }
+
+    const m = l.match(keyRe);
+    if (m) {
+      changed = true;
+      if (to) out.push(`${m[1]}"${to}"${m[3]}`);
+      continue;
+    }
+
+    if (poolRe.test(l)) {
+      let pool = null;
+      try {
+        pool = toml.parse(l)?.[poolKey];
+      } catch {
+        // multi-line arrays aren't handled line-by-line; leave them alone
+      }
+      if (Array.isArray(pool) && pool.includes(from)) {
+        changed = true;
+        const next = [...new Set(pool.map(a => (a === from ? to : a)).filter(Boolean))];
+        out.push(`${poolKey} = [${next.map(a => `"${a}"`).join(', ')}]`);
+        continue;
+      }
+    }
+    out.push(l);
+  }
+
+  if (!changed) return null;
+  await fs.writeFile(f, out.join('\n'), 'utf8');
+  return f;
+}
+
 export async function setProjectDefault(tool, account, cwd) {
   const gitRoot = await findGitRoot(cwd);
   if (!gitRoot) throw new Error(`Not inside a git repo (.git not found). Run this inside the repo you want to configure (cwd: ${cwd}).`);
   const f = path.join(gitRoot, '.accountbox.toml');
 
-  const key = tool === 'codex' ? 'codex_account'
-    : tool === 'claude' ? 'claude_account'
-      : `${tool}_account`;
+  const key = accountKeyForTool(tool);
 
   let lines = [];
   if (await exists(f)) lines = (await fs.readFile(f, 'utf8')).split(/\r?\n/);
 
+  // Top-level keys must stay above the first [table] (e.g. [sandbox]) or TOML files them under it.
+  const firstTable = lines.findIndex(l => /^\s*\[/.test(l));
+  const topEnd = firstTable === -1 ? lines.length : firstTable;
+
   let replaced = false;
   const re = new RegExp(`^${key}\\s*=`);
-  lines = lines.map(l => {
-    if (re.test(l)) { replaced = true; return `${key} = \"${account}\"`; }
+  lines = lines.map((l, i) => {
+    if (i < topEnd && re.test(l)) { replaced = true; return `${key} = \"${account}\"`; }
     return l;
   });
-  if (!replaced) lines.push(`${key} = \"${account}\"`);
+  if (!replaced) {
+    if (firstTable === -1) {
+      lines.push(`${key} = \"${account}\"`);
+    } else {
+      let at = firstTable;
+      while (at > 0 && !lines[at - 1].trim()) at -= 1;
+      lines.splice(at, 0, `${key} = \"${account}\"`, ...(at === firstTable ? [''] : []));
+    }
+  }
 
   const out = lines
     .filter((_, i, arr) => !(i === arr.length - 1 && arr[i] === ''))
@@ -0,0 +1,131 @@
+// `[sandbox]` in .accountbox.toml (all container runs in the repo) and `[tools.<id>.sandbox]`
+// (one tool; wins key-by-key). Everything here is pure: parsing, merging and the run flags.
+
+export const SANDBOX_NETWORKS = ['default', 'none', 'allowlist'];
+
+const SANDBOX_KEYS = ['cpus', 'memory', 'read_only', 'cap_drop', 'network', 'allowlist', 'pids_limit'];
+
+// Shown in place of the per-run proxy URL (it carries a one-off credential).
+export const EGRESS_PROXY_PLACEHOLDER = 'http://<egress-proxy>';
+
+// Shown in place of the per-run internal network the container joins under network = "allowlist".
+export const EGRESS_NETWORK_PLACEHOLDER = '<egress-network>';
+
+function isPlainObject(v) {
+  return Boolean(v) && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date);
+}
+
+function readMemory(v, where) {
+  if (typeof v === 'number' && Number.isInteger(v) && v > 0) return String(v);
+  if (typeof v === 'string' && /^\d+(\.\d+)?[bkmg]?$/i.test(v.trim())) return v.trim().toLowerCase();
+  throw new Error(`${where}.memory must be a size such as "2g" or "512m" (got ${JSON.stringify(v)}).`);
+}
+
+function readCapDrop(v, where) {
+  const list = typeof v === 'string' ? [v] : v;
+  if (!Array.isArray(list) || list.some(c => typeof c !== 'string' || !/^(CAP_)?[A-Za-z_]+$/.test(c.trim()))) {
+    throw new Error(`${where}.cap_drop must be "ALL" or an array of capability names (e.g. ["NET_RAW", "SYS_ADMIN"]).`);
+  }
+  return [...new Set(list.map(c => c.trim().toUpperCase().replace(/^CAP_/, '')))];
+}
+
+// Allowlist entries: "api.openai.com", "*.githubusercontent.com", "registry.npmjs.org:443".
+export function parseAllowlistEntry(entry) {
+  const m = /^(\*\.)?([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*)(?::(\d{1,5}))?$/.exec(String(entry ?? '').trim());
+  if (!m) return null;
+  const port = m[3] ? Number(m[3]) : null;
+  if (port != null && (port < 1 || port > 65535)) return null;
+  return { wildcard: Boolean(m[1]), host: m[2].toLowerCase(), port };
+}
+
+function readAllowlist(v, where) {
+  if (!Array.isArray(v) || v.some(e => typeof e !== 'string' || !parseAllowlistEntry(e))) {
+    throw new Error(`${where}.allowlist must be an array of host names (e.g. ["api.openai.com", "*.npmjs.org:443"]).`);
+  }
+  return [...new Set(v.map(e => e.trim().toLowerCase()))];
+}
+
+// Validates one raw section; returns only the keys it sets (so sections can be layered).
+function readSandboxSection(raw, where) {
+  if (raw == null) return {};
+  if (!isPlainObject(raw)) throw new Error(`${where} must be a table.`);
+
+  const unknown = Object.keys(raw).filter(k => !SANDBOX_KEYS.includes(k));
+  if (unknown.length) throw new Error(`Unknown key(s) in ${where}: ${unknown.join(', ')} (supported: ${SANDBOX_KEYS.join(', ')}).`);
+
+  const out = {};
+  if ('cpus' in raw) {
+    if (typeof raw.cpus !== 'number' || !(raw.cpus > 0)) throw new Error(`${where}.cpus must be a positive number (e.g. 2 or 0.5).`);
+    out.cpus = raw.cpus;
+  }
+  if ('memory' in raw) out.memory = readMemory(raw.memory, where);
+  if ('read_only' in raw) {
+    if (typeof raw.read_only !== 'boolean') throw new Error(`${where}.read_only must be true or false.`);
+    out.readOnly = raw.read_only;
+  }
+  if ('cap_drop' in raw) out.capDrop = readCapDrop(raw.cap_drop, where);
+  if ('network' in raw) {
+    if (!SANDBOX_NETWORKS.includes(raw.network)) throw new Error(`${where}.network must be one of: ${SANDBOX_NETWORKS.join(', ')} (got ${JSON.stringify(raw.network)}).`);
+    out.network = raw.network;
+  }
+  if ('allowlist' in raw) out.allowlist = readAllowlist(raw.allowlist, where);
+  if ('pids_limit' in raw) {
+    if (!Number.isInteger(raw.pids_limit) || raw.pids_limit < 1) throw new Error(`${where}.pids_limit must be a positive integer.`);
+    out.pidsLimit = raw.pids_limit;
+  }
+  return out;
+}
+
+// Throws on the first problem; used by `tools validate` to report a tool's sandbox table.
+export function validateSandboxSection(raw, where = '[sandbox]') {
+  readSandboxSection(raw, where);
+}
+
+// Effective policy for a run. `sections` go from least to most specific ({ raw, where } each).
+// `requiredHosts` are always reachable under network = "allowlist" (e.g. the Codex API).
+export function resolveSandboxPolicy(sections, { requiredHosts = [] } = {}) {
+  const merged = {};
+  for (const s of sections) Object.assign(merged, readSandboxSection(s?.raw, s?.where || '[sandbox]'));
+
+  const policy = {
+    cpus: merged.cpus ?? null,
+    memory: merged.memory ?? null,
+    readOnly: merged.readOnly ?? false,
+    capDrop: merged.capDrop ?? [],
+    network: merged.network ?? 'default',
+    allowlist: [],
+    pidsLimit: merged.pidsLimit ?? null,
+  };
+  if (policy.network === 'allowlist') {
+    policy.allowlist = [...new Set([...requiredHosts.map(h => h.toLowerCase()), ...(merged.allowlist || [])])];
+  } else if (merged.allowlist?.length) {
+    policy.allowlistIgnored = `allowlist only applies with network = "allowlist" (network is "${policy.network}")`;
+  }
+  return policy;
+}
+
+export function isDefaultSandboxPolicy(policy) {
+  return !policy || (policy.cpus == null && policy.memory == null && !policy.readOnly && !policy.capDrop.length
+    && policy.network === 'default' && policy.pidsLimit == null);
+}
+
+// `docker run` flags for a policy (same flags for podman and nerdctl). Under network = "allowlist"
+// the container joins an internal network (`network`) whose only way out is accountbox's egress proxy
+// (`proxyUrl`), and gets proxy variables pointing at it.
+export function sandboxRunArgs(policy, { proxyUrl = EGRESS_PROXY_PLACEHOLDER, network = EGRESS_NETWORK_PLACEHOLDER } = {}) {
+  if (!policy) return [];
+  const args = [];
+  if (policy.cpus != null) args.push('--cpus', String(policy.cpus));
+  if (policy.memory != null) args.push('--memory', policy.memory);
+  if (policy.pidsLimit != null) args.push('--pids-limit', String(policy.pidsLimit));
+  // Volumes and the repo mount stay writable; /tmp is a tmpfs so tools can still use scratch space.
+  if (policy.readOnly) args.push('--read-only', '--tmpfs', '/tmp');
+  for (const cap of policy.capDrop) args.push('--cap-drop', cap);
+  if (policy.network === 'none') args.push('--network', 'none');
+  if (policy.network === 'allowlist') {
+    args.push('--network', network);
+    for (const name of ['HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy', 'ALL_PROXY']) args.push('-e', `${name}=${proxyUrl}`);
+    args.push('-e', 'NO_PROXY=', '-e', 'no_proxy=');
+  }
+  return args;
+}
@@ -0,0 +1,120 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+
+import { readUserToolsConfig } from '../config/userTools.js';
+import { ACCOUNTBOX_HOME } from './env.js';
+import { ensureDir, writeFileAtomic } from '../util/fs.js';
+
+export const CONTAINER_USER_MODES = ['host', 'root'];
+
+const USER_ENV = 'ACCOUNTBOX_CONTAINER_USER';
+
+// Used for chown when the tool's own image may not have a shell.
+const OWNERSHIP_HELPER_IMAGE = 'docker.io/library/alpine';
+
+function assertKnownMode(mode, where) {
+  if (!CONTAINER_USER_MODES.includes(mode)) {
+    throw new Error(`Unknown container user mode '${mode}' (${where}). Use one of: ${CONTAINER_USER_MODES.join(', ')}.`);
+  }
+  return mode;
+}
+
+// ACCOUNTBOX_CONTAINER_USER, then `container_user` in tools.toml, then "host" on Linux (bind mounts keep
+// container uids there) and "root" elsewhere (Docker Desktop/OrbStack already map ownership to the host user).
+export async function resolveContainerUserMode({ platform = process.platform } = {}) {
+  const fromEnv = process.env[USER_ENV]?.trim();
+  if (fromEnv) return { mode: assertKnownMode(fromEnv, USER_ENV), source: 'env' };
+
+  const user = await readUserToolsConfig();
+  const fromConfig = user.data?.container_user;
+  if (fromConfig != null) return { mode: assertKnownMode(String(fromConfig).trim(), `container_user in ${user.file}`), source: 'config' };
+
+  return { mode: platform === 'linux' ? 'host' : 'root', source: 'default' };
+}
+
+function hostIds() {
+  if (typeof process.getuid !== 'function') return null;
+  return { uid: process.getuid(), gid: process.getgid() };
+}
+
+// How containers should run: `args` go on every `run` that touches the repo or an account volume;
+// `owner` ("uid:gid") is set when volume contents have to be chowned to match. `homeTmpfs` is for images
+// whose volumes live under /root (Codex): it hides the image's own /root, so other images keep theirs.
+export async function resolveContainerUser(runtime, { ids = hostIds(), homeTmpfs = false } = {}) {
+  const { mode, source } = await resolveContainerUserMode();
+  // Running as root on the host already gives root-owned files the right owner.
+  if (mode === 'root' || !ids || ids.uid === 0) return { mode, source, uid: ids?.uid ?? null, gid: ids?.gid ?? null, args: [], owner: null };
+
+  const mapping = await runtime.hostUserMapping(ids);
+  const args = [...mapping.args];
+  if (args.length && homeTmpfs) {
+    // A non-root uid can't traverse the image's /root (mode 700), where account volumes are mounted;
+    // a world-writable tmpfs HOME keeps /root/.codex reachable and gives tools a writable home.
+    args.push('--tmpfs', '/root:mode=1777', '-e', 'HOME=/root');
+  }
+  return { mode, source, ...ids, args, owner: mapping.owner };
+}
+
+// Volumes already handed to their owner, so the check runs once per volume rather than once per process.
+// Each entry carries the volume's creation time: a volume removed and recreated under the same name is
+// checked again.
+function volumeOwnersPath() {
+  return path.join(ACCOUNTBOX_HOME, 'volume-owners.json');
+}
+
+async function readVolumeOwners() {
+  try {
+    const data = JSON.parse(await fs.readFile(volumeOwnersPath(), 'utf8'));
+    return data && typeof data === 'object' ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+// Best effort: without the record the next run just checks again.
+async function recordVolumeOwner(key, entry) {
+  try {
+    const owners = await readVolumeOwners();
+    owners[key] = entry;
+    await ensureDir(ACCOUNTBOX_HOME);
+    await writeFileAtomic(volumeOwnersPath(), JSON.stringify(owners, null, 2) + '\n');
+  } catch {
+    // checked again next time
+  }
+}
+
+async function volumeCreatedAt(runtime, volume) {
+  try {
+    const r = await runtime.exec(['volume', 'inspect', '--format', '{{.CreatedAt}}', volume], { reject: false });
+    return r.exitCode === 0 ? String(r.stdout || '').trim() || null : null;
+  } catch {
+    return null;
+  }
+}
+
+// Gives `volume` (and everything in it) to `owner`: volumes written by root before the user mapping was
+// turned on are migrated on first use. Once a volume has been checked it is recorded in volume-owners.json,
+// and later runs only inspect it.
+export async function ensureVolumeOwner(runtime, volume, owner, { image = OWNERSHIP_HELPER_IMAGE } = {}) {
+  if (!owner) return false;
+  const key = `${runtime.name}:${volume}`;
+  const known = (await readVolumeOwners())[key];
+  if (known?.owner === owner && known.createdAt && known.createdAt === await volumeCreatedAt(runtime, volume)) return false;
+
+  const [uid, gid] = owner.split(':');
+  const script = [
+    `if [ "$(stat -c %u:%g /v)" != "${owner}" ] || [ -n "$(find /v \\( ! -user ${uid} -o ! -group ${gid} \\) -print | head -n 1)" ]; then`,
+    `  chown -R ${owner} /v && echo migrated;`,
+    'fi',
+  ].join(' ');
+  const res = await runtime.exec(['run', '--rm', '--user', '0:0', '--entrypoint', 'sh', '-v', `${volume}:/v`, image, '-c', script], { reject: false });
+  if (res.exitCode !== 0) {
+    throw new Error(`Failed to hand volume ${volume} to ${owner}: ${String(res.stderr || '').trim() || `exit ${res.exitCode}`}. Set ${USER_ENV}=root to run containers as root instead.`);
+  }
+  // Read after the run, which creates the volume when it didn't exist yet.
+  await recordVolumeOwner(key, { owner, createdAt: await volumeCreatedAt(runtime, volume), checkedAt: new Date().toISOString() });
+  const migrated = String(res.stdout || '').includes('migrated');
+  if (migrated) console.error(`accountbox: migrated ownership of volume ${volume} to ${owner} (host user).`);
+  return migrated;
+}
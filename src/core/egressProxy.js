@@ -0,0 +1,139 @@
+import crypto from 'node:crypto';
+import http from 'node:http';
+import net from 'node:net';
+
+import { parseAllowlistEntry, sandboxRunArgs } from '../config/sandbox.js';
+import { pickLocalGatewayAddress } from './runtime.js';
+
+// network = "allowlist": the container runs on an internal network with no route off it, and this
+// host-side proxy, bound to that network's gateway address, is the only thing it can reach. The proxy
+// only tunnels to allowlisted hosts; HTTP(S)_PROXY tells the tool where it is.
+
+export function hostAllowed(host, port, allowlist) {
+  const h = String(host || '').toLowerCase().replace(/\.$/, '');
+  return allowlist.some((raw) => {
+    const e = parseAllowlistEntry(raw);
+    if (!e) return false;
+    if (e.port != null ? e.port !== Number(port) : ![80, 443].includes(Number(port))) return false;
+    return e.wildcard ? h.endsWith(`.${e.host}`) : h === e.host;
+  });
+}
+
+function splitHostPort(authority, defaultPort) {
+  const m = /^\[?([^\]]+?)\]?(?::(\d+))?$/.exec(String(authority || ''));
+  return m ? { host: m[1], port: Number(m[2] || defaultPort) } : { host: '', port: defaultPort };
+}
+
+export async function startEgressProxy({ allowlist, listenHost = '127.0.0.1', log = msg => console.error(msg) }) {
+  const token = crypto.randomBytes(18).toString('base64url');
+  const expectedAuth = `Basic ${Buffer.from(`accountbox:${token}`).toString('base64')}`;
+  const reported = new Set();
+  const sockets = new Set();
+
+  const deny = (host, port) => {
+    const key = `${host}:${port}`;
+    if (reported.has(key)) return;
+    reported.add(key);
+    log(`accountbox: sandbox blocked ${key} (not in the allowlist)`);
+  };
+
+  const server = http.createServer((req, res) => {
+    // Plain-HTTP proxying: the request line carries an absolute URL.
+    if (req.headers['proxy-authorization'] !== expectedAuth) {
+      res.writeHead(407, { 'Proxy-Authenticate': 'Basic realm="accountbox"' }).end();
+      return;
+    }
+    let url;
+    try {
+      url = new URL(req.url);
+    } catch {
+      res.writeHead(400).end();
+      return;
+    }
+    const port = Number(url.port || 80);
+    if (url.protocol !== 'http:' || !hostAllowed(url.hostname, port, allowlist)) {
+      deny(url.hostname, port);
+      res.writeHead(403).end('Blocked by accountbox sandbox allowlist\n');
+      return;
+    }
+    const headers = { ...req.headers };
+    delete headers['proxy-authorization'];
+    delete headers['proxy-connection'];
+    const upstream = http.request({ host: url.hostname, port, method: req.method, path: `${url.pathname}${url.search}`, headers }, (up) => {
+      res.writeHead(up.statusCode || 502, up.headers);
+      up.pipe(res);
+    });
+    upstream.on('error', () => { if (!res.headersSent) res.writeHead(502); res.end(); });
+    req.pipe(upstream);
+  });
+
+  server.on('connect', (req, client, head) => {
+    client.on('error', () => {});
+    if (req.headers['proxy-authorization'] !== expectedAuth) {
+      client.end('HTTP/1.1 407 Proxy Authentication Required\r\nProxy-Authenticate: Basic realm="accountbox"\r\n\r\n');
+      return;
+    }
+    const { host, port } = splitHostPort(req.url, 443);
+    if (!hostAllowed(host, port, allowlist)) {
+      deny(host, port);
+      client.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+    const upstream = net.connect(port, host, () => {
+      client.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head?.length) upstream.write(head);
+      upstream.pipe(client);
+      client.pipe(upstream);
+    });
+    upstream.on('error', () => client.end('HTTP/1.1 502 Bad Gateway\r\n\r\n'));
+    client.on('close', () => upstream.destroy());
+  });
+
+  server.on('connection', (s) => {
+    sockets.add(s);
+    s.on('close', () => sockets.delete(s));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, listenHost, resolve);
+  });
+
+  return {
+    port: server.address().port,
+    urlFor: host => `http://accountbox:${token}@${host}:${server.address().port}`,
+    close: () => new Promise((resolve) => {
+      for (const s of sockets) s.destroy();
+      server.close(() => resolve());
+    }),
+  };
+}
+
+// Run flags for a sandboxed run, creating the internal network and starting the egress proxy when the
+// policy needs them. Call `close()` once the container exits.
+export async function prepareSandboxRun(policy, runtime) {
+  if (policy?.network !== 'allowlist') return { args: sandboxRunArgs(policy), close: async () => {} };
+
+  const network = await runtime.createInternalNetwork();
+  try {
+    const gateway = pickLocalGatewayAddress(network.gateways);
+    if (!gateway) {
+      throw new Error(
+        `network = "allowlist" can't be enforced with ${runtime.displayName} here: the internal network's gateway ` +
+        `(${network.gateways || 'none reported'}) is not an address on this host, as with Docker Desktop or a rootless runtime, ` +
+        'so the egress proxy can\'t sit on it. Use network = "none", or "default" for this repo.'
+      );
+    }
+    const proxy = await startEgressProxy({ allowlist: policy.allowlist, listenHost: gateway });
+    return {
+      args: sandboxRunArgs(policy, { proxyUrl: proxy.urlFor(gateway), network: network.name }),
+      close: async () => {
+        await proxy.close();
+        await network.remove();
+      },
+    };
+  } catch (err) {
+    await network.remove();
+    throw err;
+  }
+}
@@ -19,6 +19,15 @@ export const CODEX_NPM_SPEC = process.env.ACCOUNTBOX_CODEX_NPM_SPEC || '@openai/
 export const CODEX_HOST_NPM_SPEC = process.env.ACCOUNTBOX_CODEX_HOST_NPM_SPEC || CODEX_NPM_SPEC;
 export const CODEX_DOCKERFILE_DIR = process.env.ACCOUNTBOX_CODEX_DOCKERFILE_DIR || PROJECT_ROOT;
 
+// OAuth endpoints for host auth.json refresh and `login --remote` (same public client the Codex CLI uses).
+export const CODEX_OAUTH_TOKEN_URL = process.env.ACCOUNTBOX_CODEX_TOKEN_URL || 'https://auth.openai.com/oauth/token';
+export const CODEX_OAUTH_CLIENT_ID = process.env.ACCOUNTBOX_CODEX_CLIENT_ID || 'app_EMoamEEZ73f0CkXaXp7hrann';
+export const CODEX_OAUTH_AUTHORIZE_URL = process.env.ACCOUNTBOX_CODEX_AUTHORIZE_URL || 'https://auth.openai.com/oauth/authorize';
+
+// Usage endpoints: ChatGPT OAuth labels use `{chatgpt}/wham/usage`, API-key labels `{api}/api/codex/usage`.
+export const CODEX_CHATGPT_BASE_URL = process.env.ACCOUNTBOX_CODEX_CHATGPT_BASE_URL || 'https://chatgpt.com/backend-api';
+export const CODEX_API_BASE_URL = process.env.ACCOUNTBOX_CODEX_API_BASE_URL || 'https://api.openai.com';
+
 export const XDG_CONFIG_HOME_DEFAULT = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
 export const USER_TOOLS_TOML_DEFAULT =
   process.env.ACCOUNTBOX_TOOLS_TOML || path.join(XDG_CONFIG_HOME_DEFAULT, 'accountbox', 'tools.toml');
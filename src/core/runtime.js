@@ -0,0 +1,306 @@
+import { execa } from 'execa';
+import crypto from 'node:crypto';
+import os from 'node:os';
+import process from 'node:process';
+
+import { readUserToolsConfig } from '../config/userTools.js';
+
+export const CONTAINER_RUNTIMES = ['docker', 'podman', 'nerdctl'];
+
+const RUNTIME_ENV = 'ACCOUNTBOX_CONTAINER_RUNTIME';
+
+const DISPLAY_NAMES = { docker: 'Docker', podman: 'Podman', nerdctl: 'nerdctl' };
+
+function assertKnownRuntime(name, where) {
+  if (!CONTAINER_RUNTIMES.includes(name)) {
+    throw new Error(`Unknown container runtime '${name}' (${where}). Use one of: ${CONTAINER_RUNTIMES.join(', ')}.`);
+  }
+  return name;
+}
+
+async function isInstalled(bin) {
+  try {
+    const r = await execa(bin, ['--version'], { reject: false, stdio: 'ignore' });
+    return r.exitCode === 0;
+  } catch {
+    return false;
+  }
+}
+
+// ACCOUNTBOX_CONTAINER_RUNTIME, then `container_runtime` in the user config (tools.toml),
+// then the first of docker/podman/nerdctl that is installed (docker when none is).
+export async function resolveContainerRuntimeName() {
+  const fromEnv = process.env[RUNTIME_ENV]?.trim();
+  if (fromEnv) return { name: assertKnownRuntime(fromEnv, RUNTIME_ENV), source: 'env' };
+
+  const user = await readUserToolsConfig();
+  const fromConfig = user.data?.container_runtime;
+  if (fromConfig != null) {
+    return { name: assertKnownRuntime(String(fromConfig).trim(), `container_runtime in ${user.file}`), source: 'config' };
+  }
+
+  for (const name of CONTAINER_RUNTIMES) {
+    if (await isInstalled(name)) return { name, source: 'auto' };
+  }
+  return { name: 'docker', source: 'default' };
+}
+
+// docker/nerdctl print Ports as "0.0.0.0:1455->1455/tcp, ..."; podman as [{ host_ip, host_port, container_port, protocol }].
+function hostPortsOf(ports) {
+  if (Array.isArray(ports)) return ports.map(p => Number(p?.host_port ?? p?.hostPort)).filter(Number.isFinite);
+  return [...String(ports || '').matchAll(/:(\d+)->/g)].map(m => Number(m[1]));
+}
+
+function formatPorts(ports) {
+  if (!Array.isArray(ports)) return String(ports || '');
+  return ports.map(p => `${p.host_ip || '0.0.0.0'}:${p.host_port}->${p.container_port}/${p.protocol || 'tcp'}`).join(', ');
+}
+
+// `--format '{{json .}}'` output: one object per line (docker, nerdctl) or a single JSON array (some podman versions).
+export function parseJsonRows(stdout) {
+  const out = String(stdout || '').trim();
+  if (out.startsWith('[')) {
+    try {
+      const rows = JSON.parse(out);
+      return Array.isArray(rows) ? rows : [];
+    } catch {
+      return [];
+    }
+  }
+  const rows = [];
+  for (const line of out.split(/\r?\n/)) {
+    try {
+      if (line.trim()) rows.push(JSON.parse(line));
+    } catch {
+      // skip unparseable rows
+    }
+  }
+  return rows;
+}
+
+export function parsePsOutput(stdout) {
+  const rows = parseJsonRows(stdout);
+  return rows.map(c => ({
+    id: String(c.ID || c.Id || '').slice(0, 12),
+    name: Array.isArray(c.Names) ? c.Names.join(',') : String(c.Names || ''),
+    ports: formatPorts(c.Ports),
+    hostPorts: hostPortsOf(c.Ports),
+  }));
+}
+
+// The first of a network's gateways that is one of this host's own addresses, or null when the bridge lives
+// elsewhere (Docker Desktop's VM, a rootless runtime's namespace) and a host-side service can't sit on it.
+export function pickLocalGatewayAddress(gateways, localAddresses = localInterfaceAddresses()) {
+  for (const ip of String(gateways || '').split(/\s+/)) {
+    if (ip && localAddresses.has(ip)) return ip;
+  }
+  return null;
+}
+
+function localInterfaceAddresses() {
+  return new Set(Object.values(os.networkInterfaces()).flat().map(i => i?.address).filter(Boolean));
+}
+
+// docker/nerdctl print Labels as "k=v,k=v" (ambiguous when a value has a comma); podman as an object.
+function labelsOf(labels) {
+  if (labels && typeof labels === 'object') return { ...labels };
+  const out = {};
+  for (const pair of String(labels || '').split(',')) {
+    const i = pair.indexOf('=');
+    if (i > 0) out[pair.slice(0, i)] = pair.slice(i + 1);
+  }
+  return out;
+}
+
+// `inspect --format '{{.Id}} {{json .Config.Labels}}'` output: full container id -> labels.
+export function parseInspectLabels(stdout) {
+  const out = new Map();
+  for (const line of String(stdout || '').split(/\r?\n/)) {
+    const m = /^(\S+) (.*)$/.exec(line.trim());
+    if (!m) continue;
+    try {
+      const labels = JSON.parse(m[2]);
+      out.set(m[1], labels && typeof labels === 'object' ? labels : {});
+    } catch {
+      // skip unparseable rows
+    }
+  }
+  return out;
+}
+
+// `ps -a --format '{{json .}}'` rows with their state and labels.
+export function parseContainerRows(stdout) {
+  return parseJsonRows(stdout).map((c) => {
+    const status = String(c.Status || '');
+    const state = String(c.State || '').toLowerCase() || (/^up\b/i.test(status) ? 'running' : 'exited');
+    return {
+      id: String(c.ID || c.Id || '').slice(0, 12),
+      name: Array.isArray(c.Names) ? c.Names[0] : String(c.Names || ''),
+      state,
+      status: status || state,
+      createdAt: c.CreatedAt ? String(c.CreatedAt) : null,
+      labels: labelsOf(c.Labels),
+    };
+  });
+}
+
+export function createContainerRuntime(name, { source = 'default' } = {}) {
+  let rootlessPromise = null;
+
+  const runtime = {
+    name,
+    source,
+    displayName: DISPLAY_NAMES[name] || name,
+
+    exec(args, opts) {
+      return execa(name, args, opts);
+    },
+
+    async isReachable() {
+      try {
+        const r = await execa(name, ['ps'], { reject: false, stdio: 'ignore' });
+        return r.exitCode === 0;
+      } catch {
+        return false;
+      }
+    },
+
+    async ensureReachable() {
+      let r;
+      try {
+        r = await execa(name, ['ps'], { reject: false, stdio: ['ignore', 'ignore', 'pipe'] });
+      } catch (e) {
+        r = { exitCode: null, stderr: e?.message || String(e) };
+      }
+      if (r.exitCode === 0) return;
+      const missing = r.code === 'ENOENT' || /ENOENT/.test(String(r.stderr || r.message || ''));
+      throw new Error(
+        `${runtime.displayName} ${missing ? 'is not installed' : 'is not reachable'}` +
+        `${!missing && r.stderr ? ` (${String(r.stderr).trim().split('\n')[0]})` : ''}. ` +
+        `Start it, or choose another with ${RUNTIME_ENV}=${CONTAINER_RUNTIMES.join('|')}.`
+      );
+    },
+
+    async version() {
+      try {
+        const r = await execa(name, ['--version'], { reject: false });
+        return r.exitCode === 0 ? r.stdout.trim().split('\n')[0] : null;
+      } catch {
+        return null;
+      }
+    },
+
+    async isRootless() {
+      rootlessPromise ||= (async () => {
+        if (name === 'podman') {
+          const r = await execa(name, ['info', '--format', '{{.Host.Security.Rootless}}'], { reject: false });
+          return r.exitCode === 0 && r.stdout.trim() === 'true';
+        }
+        if (name === 'docker') {
+          const r = await execa(name, ['info', '--format', '{{json .SecurityOptions}}'], { reject: false });
+          return r.exitCode === 0 && /name=rootless/.test(r.stdout);
+        }
+        // nerdctl runs rootless whenever it isn't invoked as root.
+        return typeof process.getuid === 'function' && process.getuid() !== 0;
+      })().catch(() => false);
+      return await rootlessPromise;
+    },
+
+    async volumeExists(volume) {
+      const r = await execa(name, ['volume', 'inspect', volume], { reject: false, stdio: 'ignore' });
+      return r.exitCode === 0;
+    },
+
+    // docker treats create as idempotent; podman needs --ignore, nerdctl fails on an existing volume.
+    async createVolume(volume) {
+      if (name === 'podman') {
+        await execa(name, ['volume', 'create', '--ignore', volume], { stdio: 'ignore' });
+        return;
+      }
+      if (name === 'nerdctl' && await runtime.volumeExists(volume)) return;
+      await execa(name, ['volume', 'create', volume], { stdio: 'ignore' });
+    },
+
+    // Flags that make files written in the container belong to the host uid/gid. Rootless runtimes already
+    // map container root to the host user (podman needs keep-id to run as that uid); rootful ones need --user,
+    // and volume contents must then be owned by `owner`.
+    async hostUserMapping({ uid, gid }) {
+      if (await runtime.isRootless()) {
+        return { args: name === 'podman' ? ['--userns=keep-id'] : [], owner: null };
+      }
+      return { args: ['--user', `${uid}:${gid}`], owner: `${uid}:${gid}` };
+    },
+
+    // A fresh `--internal` network (no route off it) for one sandboxed run. `gateways` is the raw inspect
+    // output (space-separated); call `remove()` once the run is over.
+    async createInternalNetwork() {
+      const network = `accountbox_egress_${crypto.randomBytes(6).toString('hex')}`;
+      const r = await execa(name, ['network', 'create', '--internal', '--label', 'accountbox.egress=1', network], { reject: false });
+      if (r.exitCode !== 0) {
+        throw new Error(`Failed to create an internal network with ${runtime.displayName}: ${String(r.stderr || '').trim() || `exit ${r.exitCode}`}`);
+      }
+      const format = name === 'podman' ? '{{range .Subnets}}{{.Gateway}} {{end}}' : '{{range .IPAM.Config}}{{.Gateway}} {{end}}';
+      const inspected = await execa(name, ['network', 'inspect', network, '--format', format], { reject: false });
+      return {
+        name: network,
+        gateways: inspected.exitCode === 0 ? inspected.stdout.trim() : '',
+        remove: async () => {
+          await execa(name, ['network', 'rm', network], { reject: false, stdio: 'ignore' });
+        },
+      };
+    },
+
+    // All containers (running or not) carrying `label` ("key=value").
+    async listContainers(label) {
+      const r = await execa(name, ['ps', '-a', '--filter', `label=${label}`, '--format', '{{json .}}'], { reject: false });
+      if (r.exitCode !== 0) throw new Error(`Failed to list containers: ${String(r.stderr || '').trim() || `exit ${r.exitCode}`}`);
+      const rows = parseContainerRows(r.stdout);
+      if (!rows.length) return rows;
+      // docker and nerdctl join ps labels with ",", so a value holding one (a repo path) can't be split back
+      // reliably; inspect gives them as JSON. Rows inspect can't see (just removed) keep the ps labels.
+      const inspected = await execa(name, ['inspect', '--format', '{{.Id}} {{json .Config.Labels}}', ...rows.map(c => c.id)], { reject: false });
+      const labelsById = [...parseInspectLabels(inspected.stdout)];
+      return rows.map((c) => {
+        const hit = labelsById.find(([id]) => c.id && id.startsWith(c.id));
+        return hit ? { ...c, labels: hit[1] } : c;
+      });
+    },
+
+    // Containers publishing a host port. Only docker supports `ps --filter publish`; the others are filtered here.
+    async containersPublishingPort(port) {
+      let r;
+      try {
+        r = name === 'docker'
+          ? await execa(name, ['ps', '--filter', `publish=${port}`, '--format', '{{json .}}'], { reject: false })
+          : await execa(name, ['ps', '--format', '{{json .}}'], { reject: false });
+      } catch {
+        return [];
+      }
+      if (!r || r.exitCode !== 0) return [];
+      return parsePsOutput(r.stdout).filter(c => name === 'docker' || c.hostPorts.includes(Number(port)));
+    },
+  };
+  return runtime;
+}
+
+let cachedRuntime = null;
+
+export async function getContainerRuntime() {
+  if (!cachedRuntime) {
+    cachedRuntime = resolveContainerRuntimeName().then(({ name, source }) => createContainerRuntime(name, { source }));
+    cachedRuntime.catch(() => { cachedRuntime = null; });
+  }
+  return await cachedRuntime;
+}
+
+// The active runtime, after checking that it answers (throws an actionable error otherwise).
+export async function ensureContainerRuntime() {
+  const runtime = await getContainerRuntime();
+  await runtime.ensureReachable();
+  return runtime;
+}
+
+// Shorthand for `<runtime> args...` with the active runtime.
+export async function containerCli(args, opts) {
+  return (await getContainerRuntime()).exec(args, opts);
+}
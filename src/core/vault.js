@@ -0,0 +1,294 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { promisify } from 'node:util';
+
+import { ACCOUNTBOX_HOME } from './env.js';
+import { exists, writeFileAtomic } from '../util/fs.js';
+import { promptSecret } from '../util/prompt.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const VAULT_VERSION = 1;
+const CHECK_PLAINTEXT = 'accountbox-vault-check';
+const SCRYPT_DEFAULTS = { N: 2 ** 15, r: 8, p: 1 };
+
+export function vaultConfigPath() {
+  return path.join(ACCOUNTBOX_HOME, 'vault.json');
+}
+
+// Written by `rekey` before any file is re-encrypted and renamed over vault.json once all of them are, so an
+// interrupted rekey keeps both keys' check data around and can be finished by running it again.
+function pendingVaultConfigPath() {
+  return `${vaultConfigPath()}.next`;
+}
+
+export async function isRekeyPending() {
+  return await exists(pendingVaultConfigPath());
+}
+
+async function assertNoPendingRekey() {
+  if (await isRekeyPending()) {
+    throw new Error(`A vault rekey was interrupted (${pendingVaultConfigPath()} exists). Finish it first: accountbox vault rekey`);
+  }
+}
+
+export async function isVaultEnabled() {
+  return await exists(vaultConfigPath());
+}
+
+async function deriveKey(passphrase, kdf) {
+  const salt = Buffer.from(kdf.salt, 'base64');
+  return await scrypt(passphrase, salt, 32, { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: 256 * kdf.N * kdf.r });
+}
+
+function encryptWithKey(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    accountbox_vault: VAULT_VERSION,
+    alg: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+function decryptWithKey(key, envelope) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+export function isVaultEnvelope(obj) {
+  return Boolean(obj && typeof obj === 'object' && obj.accountbox_vault === VAULT_VERSION && typeof obj.data === 'string');
+}
+
+async function readVaultConfig(f = vaultConfigPath()) {
+  try {
+    return JSON.parse(await fs.readFile(f, 'utf8'));
+  } catch {
+    throw new Error(`Failed to read vault config at ${f}.`);
+  }
+}
+
+export async function readPassphrase({ envVar, prompt, confirm = false }) {
+  const fromEnv = process.env[envVar];
+  if (fromEnv) return fromEnv;
+  const first = await promptSecret(prompt);
+  if (first == null) {
+    throw new Error(`No terminal to prompt for the vault passphrase. Set ${envVar} and retry.`);
+  }
+  if (!first) throw new Error('Empty passphrase.');
+  if (confirm) {
+    const again = await promptSecret('Repeat passphrase: ');
+    if (again !== first) throw new Error('Passphrases do not match.');
+  }
+  return first;
+}
+
+// Self-contained passphrase encryption (salt and KDF params travel with the envelope),
+// for data that leaves this machine and can't rely on the local vault.json.
+export async function encryptWithPassphrase(plaintext, passphrase) {
+  const kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_DEFAULTS };
+  return { ...encryptWithKey(await deriveKey(passphrase, kdf), plaintext), kdf };
+}
+
+export async function decryptWithPassphrase(envelope, passphrase) {
+  if (!isVaultEnvelope(envelope) || !envelope.kdf) throw new Error('Not a passphrase-encrypted envelope.');
+  const key = await deriveKey(passphrase, envelope.kdf);
+  try {
+    return decryptWithKey(key, envelope);
+  } catch {
+    throw new Error('Wrong passphrase (or the data is corrupted).');
+  }
+}
+
+async function unlockKey(config, passphrase) {
+  const key = await deriveKey(passphrase, config.kdf);
+  try {
+    if (decryptWithKey(key, config.check) !== CHECK_PLAINTEXT) throw new Error('check mismatch');
+  } catch {
+    throw new Error('Wrong vault passphrase.');
+  }
+  return key;
+}
+
+// The passphrase is asked for at most once per process; concurrent readers share the same promise.
+let cachedKey = null;
+
+export async function getVaultKey() {
+  if (!cachedKey) {
+    cachedKey = (async () => {
+      const config = await readVaultConfig();
+      const passphrase = await readPassphrase({ envVar: 'ACCOUNTBOX_VAULT_PASSPHRASE', prompt: 'Vault passphrase: ' });
+      return await unlockKey(config, passphrase);
+    })();
+    cachedKey.catch(() => { cachedKey = null; });
+  }
+  return await cachedKey;
+}
+
+async function createVaultConfig(passphrase) {
+  const kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_DEFAULTS };
+  const key = await deriveKey(passphrase, kdf);
+  return { config: { version: VAULT_VERSION, kdf, check: encryptWithKey(key, CHECK_PLAINTEXT), createdAt: new Date().toISOString() }, key };
+}
+
+async function writeVaultConfig(config) {
+  await writeFileAtomic(vaultConfigPath(), JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+}
+
+// Reads a credential file that may or may not be encrypted; returns the plaintext string.
+export async function readSecretFile(file) {
+  const raw = await fs.readFile(file, 'utf8');
+  let obj = null;
+  try {
+    obj = JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+  if (!isVaultEnvelope(obj)) return raw;
+  if (!(await isVaultEnabled())) {
+    throw new Error(`${file} is encrypted but no vault is configured (${vaultConfigPath()} missing).`);
+  }
+  const key = await getVaultKey();
+  try {
+    return decryptWithKey(key, obj);
+  } catch {
+    if (await isRekeyPending()) {
+      throw new Error(`Failed to decrypt ${file}: it was re-encrypted by a vault rekey that didn't finish. Run: accountbox vault rekey`);
+    }
+    throw new Error(`Failed to decrypt ${file} (corrupted, or encrypted with a different vault key).`);
+  }
+}
+
+// Writes a credential file, encrypting it when the vault is enabled.
+export async function writeSecretFile(file, plaintext) {
+  await assertNoPendingRekey();
+  const data = (await isVaultEnabled())
+    ? JSON.stringify(encryptWithKey(await getVaultKey(), plaintext), null, 2) + '\n'
+    : plaintext;
+  await writeFileAtomic(file, data, { mode: 0o600 });
+}
+
+export async function isEncryptedFile(file) {
+  try {
+    return isVaultEnvelope(JSON.parse(await fs.readFile(file, 'utf8')));
+  } catch {
+    return false;
+  }
+}
+
+async function encryptFileWithKey(file, key) {
+  const raw = await fs.readFile(file, 'utf8');
+  try {
+    if (isVaultEnvelope(JSON.parse(raw))) return false;
+  } catch {
+    // not JSON: still a secret; encrypt as-is
+  }
+  await writeFileAtomic(file, JSON.stringify(encryptWithKey(key, raw), null, 2) + '\n', { mode: 0o600 });
+  return true;
+}
+
+async function decryptFileWithKey(file, key) {
+  const raw = await fs.readFile(file, 'utf8');
+  let obj;
+  try {
+    obj = JSON.parse(raw);
+  } catch {
+    return false;
+  }
+  if (!isVaultEnvelope(obj)) return false;
+  let plaintext;
+  try {
+    plaintext = decryptWithKey(key, obj);
+  } catch {
+    throw new Error(`Failed to decrypt ${file} (corrupted, or encrypted with a different vault key).`);
+  }
+  await writeFileAtomic(file, plaintext, { mode: 0o600 });
+  return true;
+}
+
+export async function lockVault(files) {
+  await assertNoPendingRekey();
+  let key;
+  if (await isVaultEnabled()) {
+    key = await getVaultKey();
+  } else {
+    const passphrase = await readPassphrase({ envVar: 'ACCOUNTBOX_VAULT_PASSPHRASE', prompt: 'New vault passphrase: ', confirm: true });
+    const created = await createVaultConfig(passphrase);
+    // Config first: a crash mid-way leaves a mix of encrypted/plaintext files, which readers handle.
+    await writeVaultConfig(created.config);
+    key = created.key;
+    cachedKey = Promise.resolve(key);
+  }
+  let changed = 0;
+  for (const f of files) if (await encryptFileWithKey(f, key)) changed += 1;
+  return { encrypted: changed, total: files.length };
+}
+
+export async function unlockVault(files) {
+  if (!(await isVaultEnabled())) return { decrypted: 0, total: files.length, wasEnabled: false };
+  await assertNoPendingRekey();
+  const key = await getVaultKey();
+  let changed = 0;
+  for (const f of files) if (await decryptFileWithKey(f, key)) changed += 1;
+  await fs.rm(vaultConfigPath(), { force: true });
+  cachedKey = null;
+  return { decrypted: changed, total: files.length, wasEnabled: true };
+}
+
+// Decrypts every file first (a bad one aborts before anything changes), records the new config next to the old
+// one, re-encrypts, then swaps the config in with a rename. Re-running after a crash resumes with the same new
+// passphrase: each file is decrypted with whichever of the two keys it is under.
+export async function rekeyVault(files) {
+  if (!(await isVaultEnabled())) throw new Error('Vault is not enabled. Run: accountbox vault lock');
+  const oldKey = await getVaultKey();
+  const resuming = await isRekeyPending();
+  let next;
+  if (resuming) {
+    const config = await readVaultConfig(pendingVaultConfigPath());
+    const passphrase = await readPassphrase({ envVar: 'ACCOUNTBOX_VAULT_NEW_PASSPHRASE', prompt: 'New vault passphrase (from the interrupted rekey): ' });
+    try {
+      next = { config, key: await unlockKey(config, passphrase) };
+    } catch {
+      throw new Error('Wrong new passphrase: it must be the one the interrupted rekey was started with.');
+    }
+  } else {
+    const passphrase = await readPassphrase({ envVar: 'ACCOUNTBOX_VAULT_NEW_PASSPHRASE', prompt: 'New vault passphrase: ', confirm: true });
+    next = await createVaultConfig(passphrase);
+  }
+
+  const plaintexts = [];
+  for (const f of files) {
+    let envelope;
+    try {
+      envelope = JSON.parse(await fs.readFile(f, 'utf8'));
+    } catch {
+      continue;
+    }
+    if (!isVaultEnvelope(envelope)) continue;
+    let plaintext = null;
+    for (const key of [oldKey, next.key]) {
+      try {
+        plaintext = decryptWithKey(key, envelope);
+        break;
+      } catch {
+        // try the other key
+      }
+    }
+    if (plaintext == null) throw new Error(`Failed to decrypt ${f} (corrupted, or encrypted with a different vault key).`);
+    plaintexts.push([f, plaintext]);
+  }
+
+  if (!resuming) await writeFileAtomic(pendingVaultConfigPath(), JSON.stringify(next.config, null, 2) + '\n', { mode: 0o600 });
+  for (const [f, plaintext] of plaintexts) {
+    await writeFileAtomic(f, JSON.stringify(encryptWithKey(next.key, plaintext), null, 2) + '\n', { mode: 0o600 });
+  }
+  await fs.rename(pendingVaultConfigPath(), vaultConfigPath());
+  cachedKey = Promise.resolve(next.key);
+  return { reencrypted: plaintexts.length, total: files.length, resumed: resuming };
+}
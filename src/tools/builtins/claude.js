@@ -1,7 +1,12 @@
 import { execa } from 'execa';
 import path from 'node:path';
-import { ACCOUNTBOX_HOME } from '../../core/env.js';
-import { ensureDir } from '../../util/fs.js';
+import process from 'node:process';
+import { formatColumns, formatDurationShort } from '../../util/format.js';
+import { isErrno } from '../../util/errors.js';
+import { hasAny } from '../../util/args.js';
+import { createFileSnapshots, snapshotCommands } from '../snapshots.js';
+import { claudeAccountStatus, claudeHostLogout, listClaudeAccounts, readClaudeAccount } from './claudeAuth.js';
+import { claudeHostHome, claudeLabelMode, prepareClaudeEnv, recordClaudeRun, resolveClaudeIsolation } from './claudeIsolation.js';
 
 export const CLAUDE_KNOWN_SUBCOMMANDS = new Set([
   'doctor',
@@ -12,26 +17,176 @@ export const CLAUDE_KNOWN_SUBCOMMANDS = new Set([
   'update',
 ]);
 
+// Handled by accountbox itself instead of being passed to Claude Code.
+export const CLAUDE_HELPER_SUBCOMMANDS = new Set([
+  'list',
+  'login',
+  'logout',
+  'save',
+  'snapshot',
+  'snapshots',
+  'status',
+  'switch',
+  'whoami',
+]);
+
+// Credentials and settings only: project history (`projects/` and the `projects` map in .claude.json), todos
+// and caches stay with the label.
+export const claudeSnapshots = createFileSnapshots({
+  toolId: 'claude',
+  labelDir: claudeHostHome,
+  roots: ['config', 'data', 'home'],
+  files: ['.credentials.json', '.claude.json', 'settings.json'],
+  skipDirs: ['projects', 'todos', 'shell-snapshots', 'statsig', 'logs', 'ide', 'plugins', 'cache', 'node_modules', '.cache', '.npm'],
+  keepKeys: { '.claude.json': ['projects'] },
+  describe(files) {
+    const pick = name => Object.entries(files).find(([rel]) => path.basename(rel) === name)?.[1];
+    const s = claudeAccountStatus({ credentials: pick('.credentials.json'), config: pick('.claude.json') });
+    return { authMode: s.authMode, email: s.email, organization: s.organization?.name || null, subscription: s.subscription };
+  },
+  identityOf: meta => meta.email || null,
+});
+
+function summarizeClaudeSnapshot(s) {
+  return [s.email, s.organization, s.subscription].filter(Boolean).join(', ') || null;
+}
+
+async function runClaude(account, args, cwd, isolation = null) {
+  isolation ||= await resolveClaudeIsolation();
+  const env = await prepareClaudeEnv(account, isolation);
+  const startedAt = new Date().toISOString();
+  try {
+    await execa('claude', args, { stdio: 'inherit', cwd, env, extendEnv: false });
+  } catch (e) {
+    if (isErrno(e, 'ENOENT')) throw new Error('Claude Code not found on PATH. Install it with: npm i -g @anthropic-ai/claude-code');
+    throw e;
+  } finally {
+    await recordClaudeRun(account, { mode: isolation.mode, startedAt, endedAt: new Date().toISOString() });
+  }
+}
+
+function describeTokenExpiry(row, nowMs) {
+  if (row.authMode === 'api-key') return 'n/a (API key)';
+  if (!row.tokenExpiresAt) return '-';
+  const seconds = (Date.parse(row.tokenExpiresAt) - nowMs) / 1000;
+  return row.tokenExpired ? `expired ${formatDurationShort(-seconds)} ago` : `expires in ${formatDurationShort(seconds)}`;
+}
+
+function describeOrganization(org) {
+  if (!org) return null;
+  return [org.name, org.id, org.role ? `role=${org.role}` : null].filter(Boolean).join(' | ');
+}
+
 export function createClaudeTool() {
   return {
     id: 'claude',
-    async run({ account, args, cwd }) {
-      const base = path.join(ACCOUNTBOX_HOME, 'claude', account);
-      await ensureDir(path.join(base, 'config'));
-      await ensureDir(path.join(base, 'data'));
-      await ensureDir(path.join(base, 'state'));
-
-      await execa('claude', args, {
-        stdio: 'inherit',
-        cwd,
-        env: {
-          ...process.env,
-          XDG_CONFIG_HOME: path.join(base, 'config'),
-          XDG_DATA_HOME: path.join(base, 'data'),
-          XDG_STATE_HOME: path.join(base, 'state'),
-        },
-      });
+    async run({ account, args, cwd, isolation }) {
+      await runClaude(account, args, cwd, isolation);
+    },
+
+    ...snapshotCommands(claudeSnapshots, { toolId: 'claude', summarize: summarizeClaudeSnapshot }),
+
+    async list({ args = [], isolation } = {}) {
+      const nowMs = Date.now();
+      const rows = [];
+      // Each label is read where its last run put its files, which may not be this repo's mode.
+      for (const account of await listClaudeAccounts()) {
+        rows.push(await readClaudeAccount(account, { nowMs, mode: await claudeLabelMode(account, isolation?.mode) }));
+      }
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(rows, null, 2));
+        return;
+      }
+      if (!rows.length) {
+        console.log('No Claude accounts found under ~/.accountbox/claude yet.');
+        console.log('Run: accountbox claude <account> login');
+        return;
+      }
+      const table = [['LABEL', 'LOGGED IN', 'EMAIL', 'ORG', 'PLAN', 'ACCESS TOKEN']];
+      for (const r of rows) {
+        table.push([
+          r.account,
+          r.error ? `error: ${r.error}` : (r.loggedIn ? `yes (${r.authMode})` : 'no'),
+          r.email || '-',
+          r.organization?.name || r.organization?.id || '-',
+          r.subscription || '-',
+          describeTokenExpiry(r, nowMs),
+        ]);
+      }
+      for (const line of formatColumns(table)) console.log(line);
+    },
+
+    async whoami({ account, args = [], isolation }) {
+      const r = await readClaudeAccount(account, { mode: await claudeLabelMode(account, isolation?.mode) });
+      if (r.error) throw new Error(r.error);
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(r, null, 2));
+        return;
+      }
+      if (!r.email && !r.hasCredentials && r.authMode !== 'api-key') {
+        throw new Error(`Claude label '${account}' isn't logged in (no credentials in ${path.dirname(r.credentialsPath)}). Run: accountbox claude ${account} login`);
+      }
+      console.log(`Account label: ${account}`);
+      if (r.authMode) console.log(`Auth mode: ${r.authMode}`);
+      if (r.email) console.log(`Email: ${r.email}`);
+      if (r.accountId) console.log(`Account ID: ${r.accountId}`);
+      if (r.organization) console.log(`Organization: ${describeOrganization(r.organization)}`);
+      if (r.subscription) console.log(`Plan: ${r.subscription}`);
+      if (!r.email) console.log(`(No account details in ${r.configPath}; start Claude Code once to fill them in.)`);
+      console.log(`Tip: if this is the wrong Anthropic account, re-run: accountbox claude ${account} login --force`);
+    },
+
+    async status({ account, args = [], isolation }) {
+      const nowMs = Date.now();
+      const r = await readClaudeAccount(account, { nowMs, mode: await claudeLabelMode(account, isolation?.mode) });
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(r, null, 2));
+      } else {
+        console.log(`Claude label: ${account}`);
+        if (r.error) console.log(`Logged in: unknown (${r.error})`);
+        else if (!r.authMode) console.log(`Logged in: no (run: accountbox claude ${account} login)`);
+        else console.log(`Logged in: ${r.loggedIn ? 'yes' : 'no'} (${r.authMode})`);
+        if (r.email) console.log(`Email: ${r.email}`);
+        if (r.organization) console.log(`Organization: ${describeOrganization(r.organization)}`);
+        if (r.authMode === 'oauth') {
+          console.log(`Access token: ${describeTokenExpiry(r, nowMs)}${r.tokenExpiresAt ? ` (${r.tokenExpiresAt})` : ''}`);
+          console.log(`Refresh token: ${r.hasRefreshToken ? 'present' : 'missing'}`);
+        }
+        console.log(`Credentials: ${r.credentialsPath}${r.hasCredentials ? '' : ' (missing)'}`);
+        if (isolation && r.mode !== isolation.mode) console.log(`Isolation: ${r.mode} (its last run; ${isolation.mode} applies here from the next run)`);
+        else if (isolation) console.log(`Isolation: ${isolation.mode}`);
+        if (!r.hasCredentials && process.platform === 'darwin') {
+          console.log('Note: on macOS Claude Code may keep credentials in the login Keychain, which accountbox does not read.');
+        }
+      }
+      if (!r.loggedIn) process.exitCode = 1;
+    },
+
+    async logout({ account, isolation }) {
+      const bak = await claudeHostLogout(account, { mode: await claudeLabelMode(account, isolation?.mode) });
+      if (bak) console.log(`Moved Claude credentials -> ${bak}`);
+      else console.log(`No Claude credentials to remove for '${account}'.`);
+    },
+
+    async login({ account, args = [], cwd, isolation }) {
+      const force = hasAny(args, ['force', '--force']);
+      const mode = isolation?.mode;
+      const current = await readClaudeAccount(account, { mode });
+      if (current.loggedIn && !force) {
+        console.log(`Claude label '${account}' is already logged in${current.email ? ` as ${current.email}` : ''}. Use --force to log in again.`);
+        return;
+      }
+      if (force) {
+        const bak = await claudeHostLogout(account, { mode });
+        if (bak) console.log(`Moved existing credentials -> ${bak}`);
+      }
+      // Claude Code asks for a sign-in on start when the label has no credentials.
+      console.log(`Starting Claude Code for '${account}'. Sign in when prompted (or run /login), then leave with /exit.`);
+      await runClaude(account, [], cwd, isolation);
+
+      const after = await readClaudeAccount(account, { mode });
+      if (after.loggedIn) console.log(`Logged in${after.email ? ` as ${after.email}` : ''}${after.organization?.name ? ` (${after.organization.name})` : ''}.`);
+      else console.error(`accountbox: no credentials were saved for '${account}'. Check with: accountbox claude ${account} status`);
     },
   };
 }
-
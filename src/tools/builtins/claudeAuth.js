@@ -0,0 +1,112 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { ACCOUNTBOX_HOME } from '../../core/env.js';
+import { exists } from '../../util/fs.js';
+import { maskEmail, maskId } from '../../util/format.js';
+import { timestampForFilename } from '../../util/time.js';
+import { claudeLayout } from './claudeIsolation.js';
+
+// Claude Code keeps its OAuth credentials in `.credentials.json` and the signed-in account (email, organization)
+// under `oauthAccount` in `.claude.json`. Where those live for a label depends on its isolation mode (see
+// claudeLayout). On macOS the credentials may live in the login Keychain instead.
+
+export async function listClaudeAccounts() {
+  const base = path.join(ACCOUNTBOX_HOME, 'claude');
+  if (!(await exists(base))) return [];
+  const entries = await fs.readdir(base, { withFileTypes: true });
+  return entries.filter(e => e.isDirectory()).map(e => e.name).sort((a, b) => a.localeCompare(b));
+}
+
+async function readJsonFile(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (e) {
+    if (e?.code === 'ENOENT') return null;
+    throw e;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new Error(`Failed to parse JSON at ${file}.`);
+  }
+}
+
+// Default personal organizations are named after the account ("alice@example.com's Organization").
+function maskEmailsIn(text) {
+  return typeof text === 'string' ? text.replace(/[^\s'"]+@[^\s'"]+/g, m => maskEmail(m)) : null;
+}
+
+// Masked login state from the parsed `.credentials.json` and `.claude.json` (either may be null). Logged in means
+// an API key, a refresh token (Claude Code renews the access token itself), or an access token that hasn't expired.
+export function claudeAccountStatus({ credentials, config }, { nowMs = Date.now() } = {}) {
+  const oauth = credentials?.claudeAiOauth && typeof credentials.claudeAiOauth === 'object' ? credentials.claudeAiOauth : null;
+  const account = config?.oauthAccount && typeof config.oauthAccount === 'object' ? config.oauthAccount : null;
+  const apiKey = typeof config?.primaryApiKey === 'string' && config.primaryApiKey ? config.primaryApiKey : null;
+
+  const expiresAt = Number(oauth?.expiresAt);
+  const hasExpiry = Number.isFinite(expiresAt) && expiresAt > 0;
+  const tokenExpired = oauth && hasExpiry ? expiresAt <= nowMs : null;
+  const hasRefreshToken = Boolean(oauth?.refreshToken);
+  const authMode = oauth?.accessToken || hasRefreshToken ? 'oauth' : (apiKey ? 'api-key' : null);
+
+  return {
+    authMode,
+    loggedIn: authMode === 'api-key' || hasRefreshToken || (Boolean(oauth?.accessToken) && tokenExpired !== true),
+    email: maskEmail(account?.emailAddress),
+    accountId: maskId(account?.accountUuid, 8),
+    organization: account?.organizationUuid || account?.organizationName
+      ? {
+        name: maskEmailsIn(account.organizationName),
+        id: maskId(account.organizationUuid, 8),
+        role: typeof account.organizationRole === 'string' ? account.organizationRole : null,
+      }
+      : null,
+    subscription: typeof oauth?.subscriptionType === 'string' ? oauth.subscriptionType : null,
+    tokenExpiresAt: hasExpiry && oauth ? new Date(expiresAt).toISOString() : null,
+    tokenExpired,
+    hasRefreshToken,
+  };
+}
+
+// Everything `list`, `whoami` and `status` report about one label; unreadable files end up in `error`.
+export async function readClaudeAccount(account, { nowMs = Date.now(), mode = 'xdg' } = {}) {
+  const { credentialsPath, globalConfigPath: configPath } = claudeLayout(account, mode);
+  let credentials = null;
+  let config = null;
+  let error = null;
+  try {
+    credentials = await readJsonFile(credentialsPath);
+    config = await readJsonFile(configPath);
+  } catch (e) {
+    error = e?.message || String(e);
+  }
+  return {
+    account,
+    mode,
+    ...claudeAccountStatus({ credentials, config }, { nowMs }),
+    hasCredentials: Boolean(credentials),
+    credentialsPath,
+    configPath,
+    error,
+  };
+}
+
+// Moves the label's credentials aside and forgets the signed-in account, like Claude Code's /logout. Returns the
+// backup path, or null when there was nothing to move.
+export async function claudeHostLogout(account, { mode = 'xdg' } = {}) {
+  const { credentialsPath, globalConfigPath: configPath } = claudeLayout(account, mode);
+  let bak = null;
+  if (await exists(credentialsPath)) {
+    bak = `${credentialsPath}.logout-bak-${timestampForFilename()}`;
+    await fs.rename(credentialsPath, bak);
+  }
+  const config = await readJsonFile(configPath).catch(() => null);
+  if (config && typeof config === 'object' && (config.oauthAccount || config.primaryApiKey)) {
+    delete config.oauthAccount;
+    delete config.primaryApiKey;
+    await fs.writeFile(configPath, JSON.stringify(config, null, 2) + '\n', 'utf8');
+  }
+  return bak;
+}
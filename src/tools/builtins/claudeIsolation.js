@@ -0,0 +1,193 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+
+import { readUserToolsConfig } from '../../config/userTools.js';
+import { ACCOUNTBOX_HOME } from '../../core/env.js';
+import { ensureDir, exists } from '../../util/fs.js';
+
+// How a Claude label is kept apart from the others (`claude_isolation`):
+//   xdg         XDG_CONFIG_HOME/DATA/STATE point into the label dir (Claude keeps its files in config/claude)
+//   config_dir  the same, plus CLAUDE_CONFIG_DIR set to that config/claude dir
+//   home        HOME is the label's home/ dir, with a few dotfiles (`claude_home_links`) linked in from yours
+
+export const CLAUDE_ISOLATION_MODES = ['xdg', 'config_dir', 'home'];
+
+const ISOLATION_ENV = 'ACCOUNTBOX_CLAUDE_ISOLATION';
+const DEFAULT_HOME_LINKS = ['.gitconfig', '.config/git', '.ssh'];
+
+export function claudeHostHome(account) {
+  return path.join(ACCOUNTBOX_HOME, 'claude', account);
+}
+
+export function claudeXdgEnv(account) {
+  const base = claudeHostHome(account);
+  return {
+    XDG_CONFIG_HOME: path.join(base, 'config'),
+    XDG_DATA_HOME: path.join(base, 'data'),
+    XDG_STATE_HOME: path.join(base, 'state'),
+  };
+}
+
+// Where Claude Code keeps `.credentials.json` and `.claude.json` for a label under `mode`.
+export function claudeLayout(account, mode = 'xdg') {
+  const base = claudeHostHome(account);
+  if (mode === 'home') {
+    const home = path.join(base, 'home');
+    const configDir = path.join(home, '.claude');
+    return { home, configDir, credentialsPath: path.join(configDir, '.credentials.json'), globalConfigPath: path.join(home, '.claude.json') };
+  }
+  const configDir = path.join(base, 'config', 'claude');
+  return { home: null, configDir, credentialsPath: path.join(configDir, '.credentials.json'), globalConfigPath: path.join(configDir, '.claude.json') };
+}
+
+function assertKnownMode(mode, where) {
+  if (!CLAUDE_ISOLATION_MODES.includes(mode)) {
+    throw new Error(`Unknown Claude isolation '${mode}' (${where}). Use one of: ${CLAUDE_ISOLATION_MODES.join(', ')}.`);
+  }
+  return mode;
+}
+
+function readHomeLinks(value, where) {
+  if (value == null) return null;
+  const bad = !Array.isArray(value) || value.some(v => typeof v !== 'string' || !v.trim() || path.isAbsolute(v) || v.split(/[\\/]/).includes('..'));
+  if (bad) throw new Error(`claude_home_links in ${where} must be an array of paths relative to your home (e.g. [".gitconfig", ".ssh"]).`);
+  return value.map(v => v.trim());
+}
+
+// ACCOUNTBOX_CLAUDE_ISOLATION, then `claude_isolation` in .accountbox.toml, then in tools.toml; "xdg" by default.
+// `claude_home_links` (project, then user config) picks the dotfiles linked into a "home" label.
+export async function resolveClaudeIsolation(projectData = null, { env = process.env } = {}) {
+  const user = await readUserToolsConfig();
+  const homeLinks = readHomeLinks(projectData?.claude_home_links, '.accountbox.toml')
+    ?? readHomeLinks(user.data?.claude_home_links, user.file)
+    ?? DEFAULT_HOME_LINKS;
+
+  const fromEnv = env[ISOLATION_ENV]?.trim();
+  if (fromEnv) return { mode: assertKnownMode(fromEnv, ISOLATION_ENV), source: 'env', homeLinks };
+  if (projectData?.claude_isolation != null) {
+    return { mode: assertKnownMode(String(projectData.claude_isolation).trim(), 'claude_isolation in .accountbox.toml'), source: 'project', homeLinks };
+  }
+  if (user.data?.claude_isolation != null) {
+    return { mode: assertKnownMode(String(user.data.claude_isolation).trim(), `claude_isolation in ${user.file}`), source: 'config', homeLinks };
+  }
+  return { mode: 'xdg', source: 'default', homeLinks };
+}
+
+async function linkHomeFiles(home, links, realHome) {
+  for (const rel of links) {
+    const src = path.join(realHome, rel);
+    const dst = path.join(home, rel);
+    if (!(await exists(src))) continue;
+    try {
+      await fs.lstat(dst);
+      continue; // already linked, or the label has its own copy
+    } catch {
+      // missing: link it
+    }
+    await ensureDir(path.dirname(dst));
+    await fs.symlink(src, dst);
+  }
+}
+
+// Creates the label's dirs and returns the environment to run Claude Code with (a full env: `home` mode has to
+// drop XDG and CLAUDE_CONFIG_DIR overrides inherited from your shell).
+export async function prepareClaudeEnv(account, isolation, { baseEnv = process.env, realHome = os.homedir() } = {}) {
+  const xdg = claudeXdgEnv(account);
+  const layout = claudeLayout(account, isolation.mode);
+  if (isolation.mode === 'home') {
+    await ensureDir(layout.home);
+    await linkHomeFiles(layout.home, isolation.homeLinks, realHome);
+    const env = { ...baseEnv, HOME: layout.home };
+    for (const k of [...Object.keys(xdg), 'CLAUDE_CONFIG_DIR']) delete env[k];
+    return env;
+  }
+  for (const dir of Object.values(xdg)) await ensureDir(dir);
+  const env = { ...baseEnv, ...xdg };
+  if (isolation.mode === 'config_dir') {
+    await ensureDir(layout.configDir);
+    env.CLAUDE_CONFIG_DIR = layout.configDir;
+  } else {
+    delete env.CLAUDE_CONFIG_DIR;
+  }
+  return env;
+}
+
+function lastRunPath(account) {
+  return path.join(claudeHostHome(account), 'last-run.json');
+}
+
+// Remembers when Claude last ran for a label and how it was isolated, for `doctor`'s leak check. Best effort.
+export async function recordClaudeRun(account, run) {
+  try {
+    await fs.writeFile(lastRunPath(account), JSON.stringify(run, null, 2) + '\n', 'utf8');
+  } catch {
+    // doctor then just has nothing to check for this label
+  }
+}
+
+async function readClaudeRun(account) {
+  try {
+    return JSON.parse(await fs.readFile(lastRunPath(account), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// The mode a label was last run with (from last-run.json), which is where its files are; `fallback` (usually the
+// mode resolved for this repo) for labels that haven't been run through accountbox yet.
+export async function claudeLabelMode(account, fallback = 'xdg') {
+  const mode = (await readClaudeRun(account))?.mode;
+  return CLAUDE_ISOLATION_MODES.includes(mode) ? mode : fallback;
+}
+
+// Where Claude Code keeps credentials when nothing redirects it.
+export function globalClaudeCredentialPaths(home = os.homedir()) {
+  return [
+    path.join(home, '.claude.json'),
+    path.join(home, '.claude', '.credentials.json'),
+    path.join(home, '.config', 'claude', '.claude.json'),
+    path.join(home, '.config', 'claude', '.credentials.json'),
+  ];
+}
+
+async function mtimeMs(file) {
+  try {
+    return (await fs.stat(file)).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+// For each label's last recorded run: credential files outside the label dir modified during it (`leaks`),
+// and whether the label's own credential files were. Another Claude session running at the same time outside
+// accountbox shows up as a leak too.
+export async function checkClaudeIsolation({ home = os.homedir(), slackMs = 2000, nowMs = Date.now() } = {}) {
+  const base = path.join(ACCOUNTBOX_HOME, 'claude');
+  let labels = [];
+  try {
+    labels = (await fs.readdir(base, { withFileTypes: true })).filter(e => e.isDirectory()).map(e => e.name).sort();
+  } catch {
+    return [];
+  }
+
+  const outside = globalClaudeCredentialPaths(home);
+  const results = [];
+  for (const account of labels) {
+    const run = await readClaudeRun(account);
+    const started = Date.parse(run?.startedAt);
+    if (!run || !Number.isFinite(started)) continue;
+    const ended = Date.parse(run.endedAt);
+    const from = started - slackMs;
+    const to = (Number.isFinite(ended) ? ended : nowMs) + slackMs;
+    const during = t => t != null && t >= from && t <= to;
+
+    const leaks = [];
+    for (const f of outside) if (during(await mtimeMs(f))) leaks.push(f);
+    const layout = claudeLayout(account, run.mode);
+    const wroteInside = during(await mtimeMs(layout.credentialsPath)) || during(await mtimeMs(layout.globalConfigPath));
+    results.push({ account, mode: run.mode, startedAt: run.startedAt, endedAt: run.endedAt || null, leaks, wroteInside });
+  }
+  return results;
+}
@@ -1,6 +1,5 @@
 import { execa } from 'execa';
 import fs from 'node:fs/promises';
-import net from 'node:net';
 import os from 'node:os';
 import path from 'node:path';
 import process from 'node:process';
@@ -8,83 +7,225 @@ import { spawn } from 'node:child_process';
 
 import {
   ACCOUNTBOX_HOME,
-  CODEX_DOCKERFILE_DIR,
+  CODEX_API_BASE_URL,
+  CODEX_CHATGPT_BASE_URL,
   CODEX_HOST_NPM_SPEC,
-  CODEX_IMAGE_NAME,
-  CODEX_NPM_SPEC,
+  CODEX_OAUTH_TOKEN_URL,
 } from '../../core/env.js';
-import { openSandboxedBrowser, resetSandboxedBrowserProfile } from '../../browser.js';
+import { codexContainerRunArgs } from '../../config/codexContainer.js';
+import { sandboxRunArgs } from '../../config/sandbox.js';
+import { readUserToolsConfig } from '../../config/userTools.js';
+import { ensureVolumeOwner, resolveContainerUser } from '../../core/containerUser.js';
+import { prepareSandboxRun } from '../../core/egressProxy.js';
+import { containerCli, ensureContainerRuntime, getContainerRuntime } from '../../core/runtime.js';
+import { isEncryptedFile, isVaultEnabled } from '../../core/vault.js';
+import { browserProfileDir, openSandboxedBrowser, resetSandboxedBrowserProfile } from '../../browser.js';
 import { exists, ensureDir } from '../../util/fs.js';
 import { isErrno } from '../../util/errors.js';
-import { timestampForFilename } from '../../util/time.js';
-import { decodeJwtPayload, formatCredits, formatRateLimit, maskEmail, maskId, sanitizeWhamUsage } from '../../util/format.js';
-import { hasAny, readOptionNumber } from '../../util/args.js';
+import { canBindTcpPort, describePortListener, findPortListeners } from '../../util/ports.js';
+import { parseDurationMsOrThrow, timestampForFilename } from '../../util/time.js';
+import {
+  decodeJwtPayload,
+  formatColumns,
+  formatCredits,
+  formatDurationShort,
+  formatRateLimit,
+  maskEmail,
+  maskId,
+  sanitizeWhamUsage,
+} from '../../util/format.js';
+import { assertSafeName, hasAny, readOptionNumber, readOptionValue, splitCommandLine } from '../../util/args.js';
+import {
+  diffTomlDocuments,
+  formatTomlValue,
+  getTomlValue,
+  parseTomlDocument,
+  parseTomlKeyPath,
+  setTomlValue,
+  tomlValueFromInput,
+  unsetTomlValue,
+} from '../../util/tomlEdit.js';
+import {
+  codexAccessTokenNeedsRefresh,
+  codexAuthStatus,
+  codexCredentialsHash,
+  codexIdentityFromAuth,
+  codexSessionMayRefresh,
+  compareCodexAuthCopies,
+  findDuplicateCodexIdentities,
+  jwtExpiresAt,
+  readCodexAuthJson,
+  refreshCodexAuthFile,
+  sameCodexCredentials,
+  sameCodexIdentity,
+  writeCodexAuthJson,
+} from './codexAuth.js';
+import {
+  appendCodexUsageHistory,
+  codexUsageHistoryPath,
+  printCodexUsageHistory,
+  readCodexUsageHistory,
+  summarizeCodexUsageHistory,
+} from './codexHistory.js';
+import {
+  codexImageExists,
+  codexImageRef,
+  codexImageStaleness,
+  codexNpmSpecFor,
+  ensureCodexImage,
+  formatImageAge,
+  inspectCodexImage,
+  listCodexImages,
+  pruneCodexImages,
+} from './codexImages.js';
+import {
+  CODEX_LOGIN_REDIRECT_PORT,
+  codexAuthFromTokens,
+  createCodexLoginRequest,
+  exchangeCodexLoginCode,
+  printLoginQrCode,
+  readLoginCallback,
+  relayLoginCallback,
+  startLoginCallbackServer,
+} from './codexRemoteLogin.js';
+import { runCodexLimitsWatch } from './codexWatch.js';
+import {
+  ensureWarmCodexContainer,
+  formatWarmContainer,
+  listWarmCodexContainers,
+  resolveCodexKeepalive,
+  stopWarmCodexContainers,
+} from './codexWarm.js';
 
 export const CODEX_HELPER_SUBCOMMANDS = new Set([
   'app',
+  'auto',
   'login',
   'logout',
   'status',
   'whoami',
   'limits',
   'rebuild',
+  'sync',
   'list',
   'snapshots',
+  'snapshot',
   'save',
   'switch',
   'use',
+  'rm',
+  'rename',
+  'clone',
+  'config',
+  'images',
+  'ps',
+  'stop',
 ]);
 
-async function codexImageExists() {
-  const inspect = await execa('docker', ['image', 'inspect', `${CODEX_IMAGE_NAME}:latest`], { reject: false, stdio: 'ignore' });
-  return inspect.exitCode === 0;
+// For small file shuffling inside volumes: prefer the Codex image when it's already present;
+// otherwise use alpine to avoid forcing an image build.
+async function codexHelperImage() {
+  return (await codexImageExists()) ? codexImageRef() : 'docker.io/library/alpine';
 }
 
-export async function ensureCodexImage({ forceRebuild = false } = {}) {
-  await execa('docker', ['ps'], { stdio: 'ignore' });
-
-  if (!forceRebuild && await codexImageExists()) return;
+// `run` flags for containers that write to a label's volume. With the host-user mapping on, the volume is
+// handed to the host uid first (existing root-owned volumes are migrated here).
+async function codexVolumeUserArgs(account) {
+  const runtime = await getContainerRuntime();
+  const user = await resolveContainerUser(runtime, { homeTmpfs: true });
+  await ensureVolumeOwner(runtime, `accountbox_codex_${account}`, user.owner, { image: await codexHelperImage() });
+  return user.args;
+}
 
-  await execa('docker', [
-    'build',
-    '-f', path.join(CODEX_DOCKERFILE_DIR, 'Dockerfile.codex'),
-    '-t', `${CODEX_IMAGE_NAME}:latest`,
-    '--build-arg', `CODEX_NPM_SPEC=${CODEX_NPM_SPEC}`,
-    CODEX_DOCKERFILE_DIR,
-  ], { stdio: 'inherit' });
+// Hosts a sandboxed Codex run can always reach under network = "allowlist" (model API, ChatGPT backend, token refresh).
+export function codexSandboxRequiredHosts() {
+  const hosts = [CODEX_API_BASE_URL, CODEX_CHATGPT_BASE_URL, CODEX_OAUTH_TOKEN_URL].map((u) => {
+    try {
+      return new URL(u).hostname;
+    } catch {
+      return null;
+    }
+  });
+  return [...new Set(hosts.filter(Boolean))];
 }
 
-export async function runCodexInContainer(account, args, cwd) {
-  await ensureCodexImage();
+// `container` is the validated [codex] table from .accountbox.toml (extra mounts, env, SSH agent). With a
+// keepalive the session runs via `exec` in the label's warm container for this repo (see codexWarm.js).
+// Returns { warmContainer }: the name of that container, or null for a one-off run.
+export async function runCodexInContainer(account, args, cwd, { version = null, sandbox = null, container = null, keepaliveMs = null } = {}) {
+  const image = await ensureCodexImage({ version });
   const volume = `accountbox_codex_${account}`;
 
   const interactive = process.stdin.isTTY && process.stdout.isTTY;
-
-  await execa('docker', [
-    'run', '--rm',
-    ...(interactive ? ['-it'] : ['-i']),
+  const ttyArgs = interactive ? ['-it'] : ['-i'];
+
+  const runtime = await getContainerRuntime();
+  const userArgs = await codexVolumeUserArgs(account);
+  const extras = container ? codexContainerRunArgs(container, { runtimeName: runtime.name }) : { args: [], envArgs: [], notes: [] };
+  for (const note of extras.notes) console.error(`accountbox: ${note}`);
+  const baseArgs = [
+    ...userArgs,
     '-v', `${cwd}:/work`,
     '-w', '/work',
     '-v', `${volume}:/root/.codex`,
-    `${CODEX_IMAGE_NAME}:latest`,
-    ...args,
-  ], { stdio: 'inherit' });
+    ...extras.args,
+  ];
+
+  if (keepaliveMs && sandbox?.network === 'allowlist') {
+    console.error('accountbox: keepalive is skipped under network = "allowlist" (the egress proxy only lives for one session).');
+  } else if (keepaliveMs) {
+    const name = await ensureWarmCodexContainer(runtime, { account, cwd, image, runArgs: [...baseArgs, ...sandboxRunArgs(sandbox)], idleMs: keepaliveMs });
+    if (name) {
+      // Passed-through variables are re-read on every exec, so sessions see the current shell's values.
+      await runtime.exec(['exec', ...ttyArgs, ...extras.envArgs, name, 'codex', ...args], { stdio: 'inherit' });
+      return { warmContainer: name };
+    }
+  }
+
+  const sandboxRun = await prepareSandboxRun(sandbox, runtime);
+  try {
+    await runtime.exec([
+      'run', '--rm',
+      ...ttyArgs,
+      ...baseArgs,
+      // Last, so the sandbox's proxy variables win over passed-through ones.
+      ...sandboxRun.args,
+      image,
+      ...args,
+    ], { stdio: 'inherit' });
+  } finally {
+    await sandboxRun.close();
+  }
+  return { warmContainer: null };
 }
 
 export async function codexLoginWithApiKey(account, apiKey, cwd) {
   if (!apiKey) throw new Error('Missing OPENAI_API_KEY for api-key login.');
-  await ensureCodexImage();
+  const image = await ensureCodexImage();
   const volume = `accountbox_codex_${account}`;
 
-  await execa('docker', [
+  await containerCli([
     'run', '--rm', '-i',
+    ...await codexVolumeUserArgs(account),
     '-v', `${cwd}:/work`,
     '-w', '/work',
     '-v', `${volume}:/root/.codex`,
-    `${CODEX_IMAGE_NAME}:latest`,
+    image,
     '--config', 'cli_auth_credentials_store="file"',
     'login', '--with-api-key',
   ], { stdio: ['pipe', 'inherit', 'inherit'], input: `${apiKey}\n` });
+
+  // Mirror the key on the host (same layout Codex writes) so list/limits can see api-key labels without a container.
+  await ensureDir(codexHostHome(account));
+  const hostAuth = codexHostAuthJsonPath(account);
+  if (await exists(hostAuth)) {
+    const bak = path.join(codexHostHome(account), `auth.json.bak-${timestampForFilename()}`);
+    await fs.rename(hostAuth, bak);
+    console.log(`Moved existing auth.json -> ${bak}`);
+  }
+  const mirror = { OPENAI_API_KEY: apiKey, tokens: null, last_refresh: null };
+  await writeCodexAuthJson(hostAuth, mirror);
+  await recordCodexVolumeAuth(account, mirror);
 }
 
 function codexHostHome(account) {
@@ -95,6 +236,31 @@ function codexHostAuthJsonPath(account) {
   return path.join(codexHostHome(account), 'auth.json');
 }
 
+function codexVolumeStatePath(account) {
+  return path.join(codexHostHome(account), 'volume-state.json');
+}
+
+// Remembers a digest of the auth.json accountbox last wrote to or read from the label's volume (null: none there),
+// so `status` can compare the volume with the host without starting a container. Best effort.
+async function recordCodexVolumeAuth(account, auth) {
+  try {
+    await ensureDir(codexHostHome(account));
+    const state = { authHash: auth ? codexCredentialsHash(auth) : null, recordedAt: new Date().toISOString() };
+    await fs.writeFile(codexVolumeStatePath(account), JSON.stringify(state, null, 2) + '\n', 'utf8');
+  } catch {
+    // status then reports the volume as unknown
+  }
+}
+
+async function readCodexVolumeState(account) {
+  try {
+    const state = JSON.parse(await fs.readFile(codexVolumeStatePath(account), 'utf8'));
+    return state && typeof state === 'object' && 'authHash' in state ? state : null;
+  } catch {
+    return null;
+  }
+}
+
 async function codexHostLogout(account) {
   const hostAuth = codexHostAuthJsonPath(account);
   if (!(await exists(hostAuth))) return null;
@@ -108,8 +274,23 @@ function codexSnapshotsDir() {
   return path.join(ACCOUNTBOX_HOME, 'codex-snapshots');
 }
 
+// New snapshot names must pass assertSafeName. Snapshots saved before that rule may use other characters; they
+// stay usable as long as the name is a single path component.
+function isCodexSnapshotDirName(name) {
+  return typeof name === 'string' && name !== '' && name !== '.' && name !== '..' && !/[\\/\0]/.test(name);
+}
+
+function codexSnapshotDir(name) {
+  if (!isCodexSnapshotDirName(name)) throw new Error(`Invalid snapshot name '${name}'.`);
+  return path.join(codexSnapshotsDir(), name);
+}
+
 function codexSnapshotAuthPath(name) {
-  return path.join(codexSnapshotsDir(), name, 'auth.json');
+  return path.join(codexSnapshotDir(name), 'auth.json');
+}
+
+function codexSnapshotMetaPath(name) {
+  return path.join(codexSnapshotDir(name), 'meta.json');
 }
 
 async function listCodexAccounts() {
@@ -127,6 +308,74 @@ async function listCodexAccounts() {
   return accounts.sort((x, y) => x.account.localeCompare(y.account));
 }
 
+// Every host file that holds Codex credentials: live auth.json, its backups, and snapshot copies.
+export async function listCodexCredentialFiles() {
+  const files = [];
+  for (const a of await listCodexAccounts()) {
+    const dir = codexHostHome(a.account);
+    for (const name of await fs.readdir(dir)) {
+      if (name === 'auth.json' || /^auth\.json\.(?:logout-)?bak-/.test(name)) files.push(path.join(dir, name));
+    }
+  }
+  if (await exists(codexSnapshotsDir())) {
+    for (const e of await fs.readdir(codexSnapshotsDir(), { withFileTypes: true })) {
+      if (!e.isDirectory()) continue;
+      const p = codexSnapshotAuthPath(e.name);
+      if (await exists(p)) files.push(p);
+    }
+  }
+  return files;
+}
+
+function codexSnapshotMetaFromAuth(auth) {
+  const id = codexIdentityFromAuth(auth);
+  return {
+    authMode: id.authMode,
+    email: maskEmail(id.email),
+    plan: id.plan,
+    accountId: maskId(id.accountId ? String(id.accountId) : null, 12),
+  };
+}
+
+async function readCodexSnapshot(name) {
+  const authPath = codexSnapshotAuthPath(name);
+  const metaPath = codexSnapshotMetaPath(name);
+  const hasAuth = await exists(authPath);
+
+  let meta = null;
+  if (await exists(metaPath)) {
+    try {
+      meta = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+    } catch {
+      meta = null;
+    }
+  }
+
+  // Snapshots saved before meta.json existed: derive what we can from auth.json itself.
+  if (!meta && hasAuth) {
+    let auth = null;
+    try {
+      auth = await readCodexAuthJson(authPath);
+    } catch {
+      // leave identity unknown
+    }
+    const st = await fs.stat(authPath);
+    meta = { sourceAccount: null, createdAt: st.mtime.toISOString(), ...(auth ? codexSnapshotMetaFromAuth(auth) : {}) };
+  }
+
+  return {
+    name,
+    hasAuth,
+    authPath,
+    sourceAccount: meta?.sourceAccount ?? null,
+    createdAt: meta?.createdAt ?? null,
+    authMode: meta?.authMode ?? null,
+    email: meta?.email ?? null,
+    plan: meta?.plan ?? null,
+    accountId: meta?.accountId ?? null,
+  };
+}
+
 async function listCodexSnapshots() {
   const base = codexSnapshotsDir();
   if (!(await exists(base))) return [];
@@ -134,119 +383,322 @@ async function listCodexSnapshots() {
   const snaps = [];
   for (const e of entries) {
     if (!e.isDirectory()) continue;
-    const name = e.name;
-    const p = codexSnapshotAuthPath(name);
-    const hasAuth = await exists(p);
-    snaps.push({ name, hasAuth, authPath: p });
+    snaps.push(await readCodexSnapshot(e.name));
   }
   return snaps.sort((x, y) => x.name.localeCompare(y.name));
 }
 
 async function saveCodexSnapshot(fromAccount, snapshotName) {
+  assertSafeName(snapshotName, 'snapshot name');
   await ensureDir(codexSnapshotsDir());
   const src = codexHostAuthJsonPath(fromAccount);
   if (!(await exists(src))) {
     throw new Error(`No auth.json for account '${fromAccount}' at ${src}. Login first.`);
   }
-  const dstDir = path.join(codexSnapshotsDir(), snapshotName);
-  await ensureDir(dstDir);
-  const dst = path.join(dstDir, 'auth.json');
-  await fs.copyFile(src, dst);
+  const auth = await readCodexAuthJson(src);
+  await ensureDir(codexSnapshotDir(snapshotName));
+  const dst = codexSnapshotAuthPath(snapshotName);
+  await writeCodexAuthJson(dst, auth);
+  const meta = {
+    name: snapshotName,
+    sourceAccount: fromAccount,
+    createdAt: new Date().toISOString(),
+    ...codexSnapshotMetaFromAuth(auth),
+  };
+  await fs.writeFile(codexSnapshotMetaPath(snapshotName), JSON.stringify(meta, null, 2) + '\n', 'utf8');
   return dst;
 }
 
-async function syncCodexAuthToVolume(account) {
-  await execa('docker', ['ps'], { stdio: 'ignore' });
+async function requireCodexSnapshot(name) {
+  if (!(await exists(codexSnapshotDir(name)))) {
+    throw new Error(`Snapshot '${name}' not found under ${codexSnapshotsDir()}. List them with: accountbox codex snapshots`);
+  }
+}
+
+async function removeCodexSnapshot(name) {
+  await requireCodexSnapshot(name);
+  await fs.rm(codexSnapshotDir(name), { recursive: true, force: true });
+}
+
+async function renameCodexSnapshot(from, to) {
+  await requireCodexSnapshot(from);
+  if (await exists(codexSnapshotDir(to))) {
+    throw new Error(`Snapshot '${to}' already exists. Remove it first: accountbox codex snapshot rm ${to}`);
+  }
+  await fs.rename(codexSnapshotDir(from), codexSnapshotDir(to));
+  const metaPath = codexSnapshotMetaPath(to);
+  if (await exists(metaPath)) {
+    try {
+      const meta = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+      await fs.writeFile(metaPath, JSON.stringify({ ...meta, name: to }, null, 2) + '\n', 'utf8');
+    } catch {
+      // A broken meta.json is regenerated from auth.json on read; nothing to fix here.
+    }
+  }
+}
+
+// What differs between a snapshot and another snapshot or a label's current auth.json. Values are masked;
+// credentials are only compared by hash.
+async function diffCodexSnapshot(name, other) {
+  const load = async (side) => {
+    if (side.label) {
+      assertSafeName(side.label, 'label');
+      const p = codexHostAuthJsonPath(side.label);
+      if (!(await exists(p))) throw new Error(`No auth.json for account '${side.label}' at ${p}.`);
+      return { kind: 'label', name: side.label, auth: await readCodexAuthJson(p) };
+    }
+    await requireCodexSnapshot(side.snapshot);
+    const p = codexSnapshotAuthPath(side.snapshot);
+    if (!(await exists(p))) throw new Error(`Snapshot '${side.snapshot}' has no auth.json (${p}).`);
+    return { kind: 'snapshot', name: side.snapshot, auth: await readCodexAuthJson(p) };
+  };
+  const a = await load({ snapshot: name });
+  const b = await load(other);
+
+  const describe = (auth) => {
+    const id = codexIdentityFromAuth(auth);
+    const st = codexAuthStatus(auth);
+    return {
+      authMode: id.authMode,
+      email: maskEmail(id.email),
+      subject: maskId(id.subject, 12),
+      accountId: maskId(id.accountId ? String(id.accountId) : null, 12),
+      plan: id.plan,
+      tokenExpiresAt: st.tokenExpiresAt,
+      hasRefreshToken: st.hasRefreshToken,
+      lastRefresh: st.lastRefresh,
+    };
+  };
+  const da = describe(a.auth);
+  const db = describe(b.auth);
+  const fields = Object.keys(da).map(field => ({ field, a: da[field], b: db[field], same: da[field] === db[field] }));
+  return {
+    a: { kind: a.kind, name: a.name },
+    b: { kind: b.kind, name: b.name },
+    sameIdentity: sameCodexIdentity(codexIdentityFromAuth(a.auth), codexIdentityFromAuth(b.auth)),
+    sameCredentials: codexCredentialsHash(a.auth) === codexCredentialsHash(b.auth),
+    fields,
+  };
+}
+
+function formatSnapshotSummary(s) {
+  const parts = [];
+  if (s.sourceAccount) parts.push(`from ${s.sourceAccount}`);
+  if (s.createdAt) parts.push(String(s.createdAt).slice(0, 10));
+  if (s.email) parts.push(s.email);
+  if (s.plan) parts.push(s.plan);
+  if (!s.hasAuth) parts.push('missing auth.json');
+  return parts.join(', ');
+}
+
+async function syncCodexAuthToVolume(account, { quiet = false } = {}) {
+  await ensureContainerRuntime();
 
-  const hostDir = codexHostHome(account);
   const hostAuth = codexHostAuthJsonPath(account);
   if (!(await exists(hostAuth))) {
     throw new Error(`Expected ${hostAuth} but it was not found. Codex login may have failed.`);
   }
+  // Decrypts on demand when the vault is enabled; the plaintext only ever lands in the volume.
+  const auth = await readCodexAuthJson(hostAuth);
 
   const volume = `accountbox_codex_${account}`;
 
-  // Copy auth.json into the volume under /root/.codex/auth.json.
-  // Prefer the Codex image when it's already present; otherwise use alpine to avoid forcing an image build during login.
-  const image = (await codexImageExists()) ? `${CODEX_IMAGE_NAME}:latest` : 'alpine';
-  await execa('docker', [
-    'run', '--rm',
+  // Stream auth.json into the volume under /root/.codex/auth.json.
+  const image = await codexHelperImage();
+  const out = quiet ? 'pipe' : 'inherit';
+  await containerCli([
+    'run', '--rm', '-i',
+    ...await codexVolumeUserArgs(account),
     '--entrypoint', 'sh',
     '-v', `${volume}:/root/.codex`,
-    '-v', `${hostDir}:/host:ro`,
     image,
     '-c',
-    'set -e; mkdir -p /root/.codex; cp /host/auth.json /root/.codex/auth.json; chmod 600 /root/.codex/auth.json; ls -la /root/.codex',
-  ], { stdio: 'inherit' });
+    `set -e; umask 077; mkdir -p /root/.codex; cat > /root/.codex/auth.json; chmod 600 /root/.codex/auth.json${quiet ? '' : '; ls -la /root/.codex'}`,
+  ], { input: JSON.stringify(auth, null, 2) + '\n', stdout: out, stderr: out });
+  await recordCodexVolumeAuth(account, auth);
 }
 
-async function listDockerContainersUsingHostPort(port) {
-  let res;
-  try {
-    res = await execa('docker', [
-      'ps',
-      '--filter', `publish=${port}`,
-      '--format', '{{.ID}}\t{{.Names}}\t{{.Ports}}'
+// `container`: a running warm container that has the volume mounted, read with `exec` instead of a new container.
+async function readCodexAuthFromVolume(account, { container = null } = {}) {
+  await ensureContainerRuntime();
+  const volume = `accountbox_codex_${account}`;
+  // First line: mtime (epoch seconds); rest: the file. Exit 3 when the volume has no auth.json.
+  const script = 'f=/root/.codex/auth.json; [ -f "$f" ] || exit 3; stat -c %Y "$f"; cat "$f"';
+  let res = container ? await containerCli(['exec', container, 'sh', '-c', script], { reject: false }) : null;
+  // The warm container may have stopped or been replaced since; fall back to a one-off read.
+  if (!res || (res.exitCode !== 0 && res.exitCode !== 3)) {
+    res = await containerCli([
+      'run', '--rm',
+      '--entrypoint', 'sh',
+      '-v', `${volume}:/root/.codex:ro`,
+      await codexHelperImage(),
+      '-c',
+      script,
     ], { reject: false });
+  }
+  if (res.exitCode === 3) {
+    await recordCodexVolumeAuth(account, null);
+    return null;
+  }
+  if (res.exitCode !== 0) {
+    throw new Error(`Failed to read auth.json from volume ${volume}: ${String(res.stderr || '').trim() || `exit ${res.exitCode}`}`);
+  }
+  const nl = res.stdout.indexOf('\n');
+  const mtimeMs = Number(res.stdout.slice(0, nl)) * 1000;
+  let auth;
+  try {
+    auth = JSON.parse(res.stdout.slice(nl + 1));
+  } catch {
+    throw new Error(`auth.json in volume ${volume} is not valid JSON.`);
+  }
+  await recordCodexVolumeAuth(account, auth);
+  return { auth, mtimeMs: Number.isFinite(mtimeMs) ? mtimeMs : null };
+}
+
+async function readCodexAuthFromHost(account) {
+  const hostAuth = codexHostAuthJsonPath(account);
+  if (!(await exists(hostAuth))) return null;
+  const st = await fs.stat(hostAuth);
+  return { auth: await readCodexAuthJson(hostAuth), mtimeMs: st.mtimeMs };
+}
+
+// Reconcile host and volume copies. direction: 'auto' keeps whichever is newer; 'pull'/'push' force one way.
+async function syncCodexAuth(account, { direction = 'auto', quiet = false, container = null } = {}) {
+  const volume = await readCodexAuthFromVolume(account, { container });
+  const host = await readCodexAuthFromHost(account);
+
+  let action = direction;
+  if (direction === 'auto') {
+    if (!host && !volume) action = 'none';
+    else if (!volume) action = 'push';
+    else if (!host) action = 'pull';
+    else {
+      const cmp = compareCodexAuthCopies(host, volume);
+      if (cmp > 0) action = 'push';
+      else if (cmp < 0) action = 'pull';
+      // Different credentials that nothing orders: keep the host copy (the side the user edits).
+      else action = sameCodexCredentials(host.auth, volume.auth) ? 'none' : 'push';
+    }
+  }
+
+  if (action === 'pull') {
+    if (!volume) throw new Error(`No auth.json in volume accountbox_codex_${account} to pull.`);
+    await ensureDir(codexHostHome(account));
+    await writeCodexAuthJson(codexHostAuthJsonPath(account), volume.auth);
+  } else if (action === 'push') {
+    if (!host) throw new Error(`No host auth.json for '${account}' to push. Login first.`);
+    await syncCodexAuthToVolume(account, { quiet });
+  }
+  return { action, hasHost: Boolean(host), hasVolume: Boolean(volume) };
+}
+
+// The host copy of a label when the volume is known to hold the same credentials (the digest accountbox last
+// wrote or read there matches), else null. Taken before a session so the read-back can be skipped after it.
+async function codexAuthMatchingVolume(account) {
+  try {
+    const [host, state] = await Promise.all([readCodexAuthFromHost(account), readCodexVolumeState(account)]);
+    return host && state?.authHash === codexCredentialsHash(host.auth) ? host.auth : null;
+  } catch {
+    return null;
+  }
+}
+
+// After a container session Codex may have refreshed (and rotated) tokens inside the volume. `before` is
+// codexAuthMatchingVolume() from before the session: when the session had no reason to refresh those
+// credentials, the volume still holds them and no container is started to read it back. A warm container
+// is read with `exec`.
+async function syncCodexAuthAfterRun(account, { before = null, warmContainer = null } = {}) {
+  if (before && !warmContainer && !codexSessionMayRefresh(before)) return;
+  try {
+    const r = await syncCodexAuth(account, { quiet: true, container: warmContainer });
+    if (r.action === 'pull') console.error(`accountbox: pulled refreshed credentials for '${account}' from the volume to the host.`);
   } catch (e) {
-    if (isErrno(e, 'ENOENT')) return [];
-    return [];
-  }
-  if (!res || res.exitCode !== 0) return [];
-  const lines = String(res.stdout || '').trim().split(/\r?\n/).filter(Boolean);
-  return lines.map(l => {
-    const [id, name, ports] = l.split('\t');
-    return { id, name, ports };
-  });
+    console.error(`Warning: could not reconcile credentials for '${account}' after the session: ${e?.shortMessage || e?.message || String(e)}`);
+  }
 }
 
-async function canBindTcpPort(port, host = '127.0.0.1') {
-  return await new Promise((resolve) => {
-    const server = net.createServer();
-    server.unref();
+async function refreshCodexHostAuth(account, { force = false, timeoutMs = 10_000 } = {}) {
+  let r;
+  try {
+    r = await refreshCodexAuthFile(codexHostAuthJsonPath(account), { force, timeoutMs });
+  } catch (e) {
+    const msg = e?.message || String(e);
+    throw new Error(`Could not refresh Codex tokens for '${account}': ${msg}. Re-run: accountbox codex ${account} login`);
+  }
 
-    server.once('error', (err) => {
-      if (err && typeof err === 'object' && err.code === 'EADDRINUSE') {
-        resolve(false);
-      } else {
-        // Treat unknown errors as "not free" to avoid false negatives.
-        resolve(false);
-      }
-    });
+  if (r.refreshed) {
+    // The volume copy is what containerized Codex uses; keep it in step with the host.
+    try {
+      await syncCodexAuthToVolume(account, { quiet: true });
+    } catch (e) {
+      const msg = e?.shortMessage || e?.message || String(e);
+      console.error(`Refreshed tokens for '${account}' but could not sync them to the volume: ${msg}`);
+    }
+  }
+  return r;
+}
 
-    server.listen({ port, host }, () => {
-      server.close(() => resolve(true));
-    });
-  });
+async function refreshCodexHostAuthBestEffort(account) {
+  if (!(await exists(codexHostAuthJsonPath(account)))) return;
+  try {
+    await refreshCodexHostAuth(account);
+  } catch (e) {
+    console.error(`Warning: ${e?.message || String(e)}`);
+  }
 }
 
 async function ensureCodexLoginPortFree(port = 1455) {
-  // First check Docker containers publishing the port
-  const containers = await listDockerContainersUsingHostPort(port);
+  // First check containers publishing the port
+  const runtime = await getContainerRuntime();
+  const containers = await runtime.containersPublishingPort(port);
   if (containers.length) {
     const autoStop = process.env.ACCOUNTBOX_CODEX_AUTO_STOP_PORT === '1';
     if (autoStop) {
       for (const c of containers) {
-        await execa('docker', ['stop', c.id], { stdio: 'inherit' });
+        await runtime.exec(['stop', c.id], { stdio: 'inherit' });
       }
       return;
     }
 
     const details = containers.map(c => `- ${c.name} (${c.id}) ${c.ports}`).join('\n');
     throw new Error(
-      `Port ${port} is already published by Docker container(s):\n${details}\n` +
-      `Stop them (docker stop <id>) or set ACCOUNTBOX_CODEX_AUTO_STOP_PORT=1 to auto-stop during login.`
+      `Port ${port} is already published by ${runtime.displayName} container(s):\n${details}\n` +
+      `Stop them (${runtime.name} stop <id>) or set ACCOUNTBOX_CODEX_AUTO_STOP_PORT=1 to auto-stop during login.`
     );
   }
 
   // Fallback: any other process listening on the port (cross-platform check).
   if (!(await canBindTcpPort(port, '127.0.0.1'))) {
     throw new Error(
-      `Port ${port} is already in use by another process. Free it, then retry login.`
+      `Port ${port} is already in use by ${await describePortInUse(port)}. Free it and retry, or receive the callback ` +
+      `on another port (login --browser --port 1456, or ACCOUNTBOX_CODEX_LOGIN_PORT) and forward ${port} to it or paste the URL.`
     );
   }
 }
 
+// "pid 123 (python3 -m http.server 1455, ...)" on Linux; a generic phrase where /proc can't tell.
+async function describePortInUse(port) {
+  const listeners = await findPortListeners(port);
+  return listeners.length ? listeners.map(describePortListener).join('; ') : 'another process';
+}
+
+// --port, then ACCOUNTBOX_CODEX_LOGIN_PORT, then `codex_login_port` in tools.toml; 1455 (the fixed redirect) by default.
+async function resolveCodexLoginPort(args) {
+  const user = await readUserToolsConfig();
+  const candidates = [
+    [readOptionValue(args, '--port', null), '--port'],
+    [process.env.ACCOUNTBOX_CODEX_LOGIN_PORT?.trim() || null, 'ACCOUNTBOX_CODEX_LOGIN_PORT'],
+    [user.data?.codex_login_port ?? null, `codex_login_port in ${user.file}`],
+  ];
+  for (const [raw, where] of candidates) {
+    if (raw == null) continue;
+    const port = Number(raw);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(`Invalid ${where} '${raw}'. Use a TCP port number (1-65535).`);
+    return port;
+  }
+  return CODEX_LOGIN_REDIRECT_PORT;
+}
+
 async function resolveHostCodexRunner() {
   try {
     const res = await execa('codex', ['-V'], { reject: false, stdio: 'ignore' });
@@ -267,21 +719,90 @@ async function resolveHostCodexRunner() {
   );
 }
 
-async function codexHostLoginAndSync(account, { method = 'device', openBrowser = true, force = false } = {}) {
-  await ensureDir(codexHostHome(account));
+function printRemoteLoginInstructions(account, url, { method, relayPort = null }) {
+  console.log('');
+  console.log(`Sign in to Codex for '${account}' from any device:`);
+  if (method === 'browser') {
+    console.log('  1. Scan the QR code (or open the URL below) and sign in.');
+    console.log(`  2. The browser then tries to load localhost:${CODEX_LOGIN_REDIRECT_PORT}.${relayPort ? ' With the SSH forward below it finishes by itself;' : ''} if the page fails to load, that's expected.`);
+    console.log('  3. Copy the full address from the address bar and paste it here.');
+  } else {
+    console.log('  1. Scan the QR code (or open the URL below).');
+    console.log('  2. Sign in and enter the one-time code Codex printed.');
+  }
+  printLoginQrCode(url);
+  console.log(url);
+  console.log('');
+}
 
-  if (force) {
-    const hostAuth = codexHostAuthJsonPath(account);
-    if (await exists(hostAuth)) {
-      const ts = timestampForFilename();
-      const bak = path.join(codexHostHome(account), `auth.json.bak-${ts}`);
-      await fs.rename(hostAuth, bak);
-      console.log(`Moved existing auth.json -> ${bak}`);
+function printRelayInstructions(port) {
+  console.log(`Waiting for the sign-in callback on 127.0.0.1:${port} (the provider always redirects to localhost:${CODEX_LOGIN_REDIRECT_PORT}).`);
+  console.log(`If the browser runs on another machine, forward that port here first: ssh -L ${CODEX_LOGIN_REDIRECT_PORT}:127.0.0.1:${port} ${os.hostname()}`);
+}
+
+// Browser login run by accountbox itself, for `--remote --browser` and for callback ports other than 1455
+// (where Codex's own listener can't be used). The callback reaches the relay on `port`, or is pasted back.
+async function codexRelayedBrowserLogin(account, { port, remote }) {
+  const req = createCodexLoginRequest();
+  const hostAuth = codexHostAuthJsonPath(account);
+  const finish = async (callback) => {
+    const tokens = await exchangeCodexLoginCode({ code: callback.code, codeVerifier: req.codeVerifier });
+    await writeCodexAuthJson(hostAuth, codexAuthFromTokens(tokens));
+  };
+
+  let relay = null;
+  try {
+    relay = await startLoginCallbackServer({ port, expectedState: req.state, onCallback: finish });
+  } catch {
+    console.error(`accountbox: can't listen on 127.0.0.1:${port} for the callback (${await describePortInUse(port)}); paste it instead.`);
+  }
+
+  let showQr = remote;
+  if (!remote) {
+    try {
+      await openSandboxedBrowser(account, req.url);
+    } catch (e) {
+      console.error(`Could not open sandboxed browser automatically: ${e?.message || String(e)}`);
+      showQr = true;
+    }
+  }
+  if (showQr) printRemoteLoginInstructions(account, req.url, { method: 'browser', relayPort: relay?.port });
+  else console.log(`If the sign-in page fails to load localhost:${CODEX_LOGIN_REDIRECT_PORT} at the end, paste its address here.`);
+  if (relay) printRelayInstructions(relay.port);
+
+  const pasteAbort = new AbortController();
+  const viaPaste = (async () => {
+    for (;;) {
+      const callback = await readLoginCallback({ expectedState: req.state, signal: pasteAbort.signal });
+      if (pasteAbort.signal.aborted) return;
+      // stdin closed: keep waiting for the relay if there is one.
+      if (!callback) {
+        if (relay) return await relay.done;
+        throw new Error('Login cancelled: no callback URL was pasted.');
+      }
+      try {
+        await finish(callback);
+        return;
+      } catch (e) {
+        // A stale or mistyped paste doesn't end the login while the relay can still receive the real callback.
+        if (!relay) throw e;
+        console.error(`accountbox: that callback failed: ${e?.message || String(e)}`);
+        console.error('Paste another URL, or let the browser finish through the forwarded port.');
+      }
     }
+  })();
+  try {
+    await (relay ? Promise.race([relay.done, viaPaste]) : viaPaste);
+  } finally {
+    pasteAbort.abort();
+    await relay?.close();
   }
+  console.log(`Signed in; saved ${hostAuth}.`);
+}
 
+async function runHostCodexLogin(account, { method, openBrowser, remote }) {
   if (method === 'browser') {
-    await ensureCodexLoginPortFree(1455);
+    await ensureCodexLoginPortFree(CODEX_LOGIN_REDIRECT_PORT);
   }
 
   const baseArgs = ['--config', 'cli_auth_credentials_store="file"'];
@@ -302,6 +823,17 @@ async function codexHostLoginAndSync(account, { method = 'device', openBrowser =
     console.log(`Using npx to run Codex on host (${CODEX_HOST_NPM_SPEC}).`);
   }
   const child = execa(runner.command, [...runner.args, ...args], { env, stdout: 'pipe', stderr: 'pipe' });
+  const pasteAbort = new AbortController();
+
+  // No usable browser here: show the URL as a QR code and, for the browser flow, relay a pasted callback to
+  // Codex's listener on :1455 so it can finish the login.
+  const offerRemoteSignIn = async (url) => {
+    printRemoteLoginInstructions(account, url, { method });
+    if (method !== 'browser') return;
+    // Codex's listener rejects a callback without its state, so a bare code can't be relayed.
+    const callback = await readLoginCallback({ requireState: true, signal: pasteAbort.signal, question: 'Paste the full URL here: ' });
+    if (callback) await relayLoginCallback(callback, { port: CODEX_LOGIN_REDIRECT_PORT });
+  };
 
   const onChunk = async (chunk) => {
     const s = String(chunk);
@@ -309,59 +841,233 @@ async function codexHostLoginAndSync(account, { method = 'device', openBrowser =
 
     if (!opened) {
       const m = s.match(urlRe);
-      if (m?.[1] && openBrowser) {
+      if (m?.[1] && (openBrowser || remote)) {
         opened = true;
+        if (remote) {
+          await offerRemoteSignIn(m[1]);
+          return;
+        }
         try {
           await openSandboxedBrowser(account, m[1]);
         } catch (e) {
           const msg = e?.message || String(e);
           console.error(`Could not open sandboxed browser automatically: ${msg}`);
+          if (process.env.SSH_CONNECTION) console.error(`Over SSH, next time use: accountbox codex ${account} login --remote`);
+          await offerRemoteSignIn(m[1]);
         }
       }
     }
   };
 
-  child.stdout?.on('data', (c) => { void onChunk(c); });
-  child.stderr?.on('data', (c) => { void onChunk(c); });
+  const handle = (c) => {
+    onChunk(c).catch((e) => console.error(`accountbox: ${e?.message || String(e)}`));
+  };
+  child.stdout?.on('data', handle);
+  child.stderr?.on('data', handle);
+
+  try {
+    await child;
+  } finally {
+    pasteAbort.abort();
+  }
+}
+
+async function codexHostLoginAndSync(account, { method = 'device', openBrowser = true, force = false, remote = false, port = CODEX_LOGIN_REDIRECT_PORT } = {}) {
+  await ensureDir(codexHostHome(account));
+
+  if (force) {
+    const hostAuth = codexHostAuthJsonPath(account);
+    if (await exists(hostAuth)) {
+      const ts = timestampForFilename();
+      const bak = path.join(codexHostHome(account), `auth.json.bak-${ts}`);
+      await fs.rename(hostAuth, bak);
+      console.log(`Moved existing auth.json -> ${bak}`);
+    }
+  }
+
+  if (method === 'browser' && (remote || port !== CODEX_LOGIN_REDIRECT_PORT)) {
+    await codexRelayedBrowserLogin(account, { port, remote });
+  } else {
+    await runHostCodexLogin(account, { method, openBrowser, remote });
+  }
 
-  await child;
+  // Codex writes a plaintext auth.json; seal it right away when the vault is on.
+  if (await isVaultEnabled()) {
+    const hostAuth = codexHostAuthJsonPath(account);
+    if (await exists(hostAuth)) await writeCodexAuthJson(hostAuth, await readCodexAuthJson(hostAuth));
+  }
 
   await syncCodexAuthToVolume(account);
 }
 
-async function codexLoginStatus(account) {
-  await ensureCodexImage();
+// `codex login status` inside the label's volume. With `capture`, returns { exitCode, output } instead of printing.
+async function codexLoginStatus(account, { version = null, capture = false } = {}) {
+  const image = await ensureCodexImage({ version });
   const volume = `accountbox_codex_${account}`;
-  const interactive = process.stdin.isTTY && process.stdout.isTTY;
+  const interactive = !capture && process.stdin.isTTY && process.stdout.isTTY;
 
-  const res = await execa('docker', [
+  const res = await containerCli([
     'run', '--rm',
     ...(interactive ? ['-it'] : ['-i']),
+    ...await codexVolumeUserArgs(account),
     '-v', `${process.cwd()}:/work`,
     '-w', '/work',
     '-v', `${volume}:/root/.codex`,
-    `${CODEX_IMAGE_NAME}:latest`,
+    image,
     'login', 'status',
-  ], { reject: false, stdio: 'inherit' });
+  ], { reject: false, ...(capture ? { all: true } : { stdio: 'inherit' }) });
+
+  return capture ? { exitCode: res.exitCode, output: String(res.all || '').trim() } : res.exitCode;
+}
+
+// Does the volume hold the same credentials as the host? `state` goes by what accountbox last saw in the volume
+// (`basis: "last-seen"`), which can be out of date; only a volume read just now (`--deep`, `basis: "deep"`)
+// sets `matchesHost`.
+function compareCodexVolumeCopy(hostHash, recorded, { readNow = false } = {}) {
+  if (!recorded) return { state: 'unknown', basis: null, matchesHost: null, recordedAt: null };
+  const recordedAt = recorded.recordedAt || null;
+  const basis = readNow ? 'deep' : 'last-seen';
+  const state = !recorded.authHash ? 'empty' : recorded.authHash === hostHash ? 'match' : 'differs';
+  const matchesHost = readNow && (state !== 'empty' || hostHash) ? state === 'match' : null;
+  return { state, basis, matchesHost, recordedAt };
+}
+
+// Login state from the host auth.json alone: no container runtime, image or network needed. `volumeReadNow`
+// says the recorded volume digest was just refreshed from the volume itself.
+async function codexOfflineStatus(account, { nowMs = Date.now(), volumeReadNow = false } = {}) {
+  const hostAuth = codexHostAuthJsonPath(account);
+  const row = {
+    account,
+    authPath: hostAuth,
+    hasAuth: await exists(hostAuth),
+    authMode: null,
+    loggedIn: false,
+    tokenExpiresAt: null,
+    tokenExpired: null,
+    hasRefreshToken: false,
+    lastRefresh: null,
+    volume: null,
+    error: null,
+  };
+  let hostHash = null;
+  if (row.hasAuth) {
+    try {
+      const auth = await readCodexAuthJson(hostAuth);
+      Object.assign(row, codexAuthStatus(auth, { nowMs }));
+      hostHash = codexCredentialsHash(auth);
+    } catch (e) {
+      row.error = e?.message || String(e);
+    }
+  }
+  row.volume = compareCodexVolumeCopy(hostHash, await readCodexVolumeState(account), { readNow: volumeReadNow });
+  return row;
+}
+
+function describeAccessToken(row, nowMs) {
+  if (row.authMode === 'api-key') return 'n/a (API key)';
+  if (!row.tokenExpiresAt) return row.hasAuth && !row.error ? 'unknown expiry' : '-';
+  const seconds = (Date.parse(row.tokenExpiresAt) - nowMs) / 1000;
+  return row.tokenExpired ? `expired ${formatDurationShort(-seconds)} ago` : `expires in ${formatDurationShort(seconds)}`;
+}
+
+function describeVolumeCopy(v, account) {
+  const reconcile = `reconcile with: accountbox codex ${account} sync`;
+  if (v.basis === 'deep') {
+    if (v.state === 'match') return 'matches the host copy (read just now)';
+    if (v.state === 'empty') return 'no auth.json in the volume (read just now)';
+    return `differs from the host copy (read just now); ${reconcile}`;
+  }
+  const seen = `when last seen${v.recordedAt ? ` at ${v.recordedAt}` : ''} (--deep reads it now)`;
+  if (v.state === 'match') return `matched the host copy ${seen}`;
+  if (v.state === 'empty') return `had no auth.json ${seen}`;
+  if (v.state === 'differs') return `differed from the host copy ${seen}; ${reconcile}`;
+  return `not checked yet (use --deep, or run: accountbox codex ${account} sync)`;
+}
+
+function volumeColumn(v) {
+  return v.basis === 'last-seen' ? `${v.state} (last seen)` : v.state;
+}
+
+async function codexStatus(accounts, { all = false, json = false, deep = false, version = null } = {}) {
+  if (deep) await ensureContainerRuntime();
+  const nowMs = Date.now();
+  const rows = [];
+  for (const account of accounts) {
+    let volumeReadNow = false;
+    if (deep) {
+      // Refreshes the recorded volume digest, then asks Codex itself.
+      volumeReadNow = await readCodexAuthFromVolume(account).then(() => true, (e) => {
+        console.error(`accountbox: could not read the volume for '${account}': ${e?.message || String(e)}`);
+        return false;
+      });
+    }
+    const row = await codexOfflineStatus(account, { nowMs, volumeReadNow });
+    if (deep && json) row.container = await codexLoginStatus(account, { version, capture: true });
+    rows.push(row);
+  }
+
+  if (json) {
+    console.log(JSON.stringify(all ? { accounts: rows } : rows[0], null, 2));
+  } else if (all) {
+    if (!rows.length) {
+      console.log('No Codex accounts found under ~/.accountbox/codex yet.');
+      console.log('Run: accountbox codex <account> login');
+      return;
+    }
+    const table = [['LABEL', 'AUTH', 'LOGGED IN', 'ACCESS TOKEN', 'REFRESH', 'VOLUME']];
+    for (const r of rows) {
+      table.push([
+        r.account,
+        r.authMode || '-',
+        r.error ? `error: ${r.error}` : (r.loggedIn ? 'yes' : 'no'),
+        describeAccessToken(r, nowMs),
+        r.hasRefreshToken ? 'yes' : 'no',
+        volumeColumn(r.volume),
+      ]);
+    }
+    for (const line of formatColumns(table)) console.log(line);
+  } else {
+    const r = rows[0];
+    console.log(`Codex label: ${r.account}`);
+    if (r.error) console.log(`Logged in: unknown (${r.error})`);
+    else if (!r.hasAuth) console.log(`Logged in: no (no host auth.json; run: accountbox codex ${r.account} login)`);
+    else console.log(`Logged in: ${r.loggedIn ? 'yes' : 'no'}${r.authMode ? ` (${r.authMode})` : ''}`);
+    if (r.hasAuth && !r.error && r.authMode !== 'api-key') {
+      console.log(`Access token: ${describeAccessToken(r, nowMs)}${r.tokenExpiresAt ? ` (${r.tokenExpiresAt})` : ''}`);
+      console.log(`Refresh token: ${r.hasRefreshToken ? 'present' : 'missing'}`);
+      if (r.lastRefresh) console.log(`Last refresh: ${r.lastRefresh}`);
+    }
+    console.log(`Volume copy: ${describeVolumeCopy(r.volume, r.account)}`);
+    console.log(`Auth file: ${r.authPath}`);
+  }
 
-  return res.exitCode;
+  if (deep && !json) {
+    for (const r of rows) {
+      console.log('');
+      console.log(`Container check for '${r.account}' (codex login status):`);
+      r.container = { exitCode: await codexLoginStatus(r.account, { version }) };
+    }
+  }
+  // A single label's status gates hooks and scripts: non-zero unless it is logged in (and, with --deep, Codex agrees).
+  if (!all && rows[0] && (!rows[0].loggedIn || (deep && rows[0].container?.exitCode !== 0))) process.exitCode = 1;
 }
 
-async function codexWhoami(account) {
+async function codexWhoami(account, { json = false } = {}) {
   const hostAuth = codexHostAuthJsonPath(account);
   if (!(await exists(hostAuth))) {
     throw new Error(
       `No host Codex auth.json found for '${account}' (${hostAuth}). ` +
       `Run: accountbox codex ${account} login (or --browser). ` +
-      `If you used api-key login, credentials live only in the Docker volume; use: accountbox codex ${account} status.`
+      `For api-key labels created before host mirroring, re-run login --api-key or use: accountbox codex ${account} status --deep.`
     );
   }
 
-  let obj;
-  try {
-    obj = JSON.parse(await fs.readFile(hostAuth, 'utf8'));
-  } catch {
-    throw new Error(`Failed to parse JSON at ${hostAuth}.`);
+  await refreshCodexHostAuthBestEffort(account);
+
+  const obj = await readCodexAuthJson(hostAuth);
+  if (json) {
+    console.log(JSON.stringify({ ...codexWhoamiRow(account, obj), authPath: hostAuth }, null, 2));
+    return;
   }
 
   const authMode = obj?.auth_mode;
@@ -399,39 +1105,178 @@ async function codexWhoami(account) {
   console.log('Tip: if this is the wrong OpenAI account, re-run login with: accountbox codex login --browser --force --fresh-browser');
 }
 
-async function fetchChatgptWhamUsage({ accessToken, chatgptAccountId, timeoutMs = 10_000 } = {}) {
-  if (!accessToken) throw new Error('Missing access token.');
+const SUBJECT_MASK = 18;
+const ACCOUNT_ID_MASK = 12;
 
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const res = await fetch('https://chatgpt.com/backend-api/wham/usage', {
-      method: 'GET',
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        ...(chatgptAccountId ? { 'ChatGPT-Account-Id': String(chatgptAccountId) } : {}),
-        Accept: 'application/json',
-      },
-      signal: controller.signal,
-    });
+// Masked identity of one label's auth.json (null when there is none), for `whoami --json` and `whoami --all`.
+function codexWhoamiRow(account, auth, { nowMs = Date.now() } = {}) {
+  const id = codexIdentityFromAuth(auth);
+  const exp = jwtExpiresAt(auth?.tokens?.access_token);
+  return {
+    account,
+    authMode: auth?.auth_mode || id.authMode,
+    email: maskEmail(id.email),
+    subject: maskId(id.subject, SUBJECT_MASK),
+    accountId: maskId(id.accountId ? String(id.accountId) : null, ACCOUNT_ID_MASK),
+    plan: id.plan,
+    organizations: id.organizations.filter(o => o && typeof o === 'object').map(o => ({
+      id: maskId(o.id, 8),
+      title: typeof o.title === 'string' && o.title.trim() ? o.title.trim() : null,
+      role: typeof o.role === 'string' ? o.role : null,
+      isDefault: o.is_default === true,
+    })),
+    tokenExpiresAt: exp ? new Date(exp * 1000).toISOString() : null,
+    tokenExpired: exp ? exp * 1000 <= nowMs : null,
+  };
+}
 
-    const text = await res.text();
-    if (!res.ok) {
-      const snippet = text.slice(0, 220).replace(/\s+/g, ' ').trim();
-      throw new Error(`HTTP ${res.status} from wham/usage${snippet ? `: ${snippet}` : ''}`);
-    }
+function describeTokenExpiry(row, nowMs) {
+  if (!row.tokenExpiresAt) return '-';
+  const seconds = (Date.parse(row.tokenExpiresAt) - nowMs) / 1000;
+  return row.tokenExpired ? `expired ${formatDurationShort(-seconds)} ago` : `in ${formatDurationShort(seconds)}`;
+}
+
+// Every label's identity from its host auth.json (decoded locally; nothing is refreshed or fetched), with labels
+// that are secretly the same OpenAI account flagged, and labels that only share a ChatGPT workspace noted.
+async function codexWhoamiAll({ json = false } = {}) {
+  const nowMs = Date.now();
+  const rows = [];
+  const identities = [];
+  for (const a of await listCodexAccounts()) {
+    let auth = null;
+    let error = a.hasAuth ? null : 'no auth.json';
+    if (a.hasAuth) {
+      try {
+        auth = await readCodexAuthJson(a.authPath);
+        identities.push({ account: a.account, identity: codexIdentityFromAuth(auth) });
+      } catch (e) {
+        error = e?.message || String(e);
+      }
+    }
+    rows.push({ ...codexWhoamiRow(a.account, auth, { nowMs }), sameAccountAs: [], sameWorkspaceAs: [], error });
+  }
+
+  const duplicates = findDuplicateCodexIdentities(identities).map(d => ({
+    ...d,
+    value: maskId(d.value, d.field === 'subject' ? SUBJECT_MASK : ACCOUNT_ID_MASK),
+  }));
+  const others = (d, r) => d.accounts.filter(x => x !== r.account);
+  for (const r of rows) {
+    const mine = duplicates.filter(d => d.accounts.includes(r.account));
+    r.sameAccountAs = [...new Set(mine.filter(d => d.relation === 'account').flatMap(d => others(d, r)))].sort();
+    r.sameWorkspaceAs = [...new Set(mine.filter(d => d.relation === 'workspace').flatMap(d => others(d, r)))]
+      .filter(x => !r.sameAccountAs.includes(x)).sort();
+  }
+
+  if (json) {
+    console.log(JSON.stringify({ accounts: rows, duplicates }, null, 2));
+    return;
+  }
+  if (!rows.length) {
+    console.log('No Codex accounts found under ~/.accountbox/codex yet.');
+    console.log('Run: accountbox codex <account> login');
+    return;
+  }
+
+  const table = [['LABEL', 'AUTH', 'EMAIL', 'SUBJECT', 'ACCOUNT ID', 'PLAN', 'ORGS', 'TOKEN EXPIRES', '']];
+  for (const r of rows) {
+    const orgs = r.organizations.map(o => `${o.title || o.id || '?'}${o.isDefault ? '*' : ''}`).join(',');
+    table.push([
+      r.account,
+      r.error ? `(${r.error})` : (r.authMode || '-'),
+      r.email || '-',
+      r.subject || '-',
+      r.accountId || '-',
+      r.plan || '-',
+      orgs || '-',
+      describeTokenExpiry(r, nowMs),
+      [
+        r.sameAccountAs.length ? `! same account as ${r.sameAccountAs.join(', ')}` : null,
+        r.sameWorkspaceAs.length ? `same workspace as ${r.sameWorkspaceAs.join(', ')}` : null,
+      ].filter(Boolean).join('; '),
+    ]);
+  }
+  for (const line of formatColumns(table)) console.log(line);
+
+  const sameAccount = duplicates.filter(d => d.relation === 'account');
+  if (sameAccount.length) {
+    console.log('');
+    console.log('Labels logged into the same OpenAI account:');
+    for (const d of sameAccount) {
+      // Same user, so usually the same workspace as well; say so on the same line.
+      const workspace = duplicates.find(w => w.relation === 'workspace' && w.accounts.join() === d.accounts.join());
+      console.log(`- ${d.accounts.join(', ')} share subject ${d.value}${workspace ? ` and account id ${workspace.value}` : ''}`);
+    }
+    console.log('Log the extra label into the intended account: accountbox codex <label> login --browser --force --fresh-browser');
+  }
+  const sameWorkspace = duplicates.filter(d => d.relation === 'workspace'
+    && !sameAccount.some(a => a.accounts.join() === d.accounts.join()));
+  if (sameWorkspace.length) {
+    console.log('');
+    console.log('Labels in the same ChatGPT workspace (different users can share one):');
+    for (const d of sameWorkspace) console.log(`- ${d.accounts.join(', ')} share account id ${d.value}`);
+  }
+}
+
+function joinUrl(base, suffix) {
+  return `${String(base).replace(/\/+$/, '')}${suffix}`;
+}
+
+async function fetchUsageJson(url, { label, headers = {}, timeoutMs = 10_000 } = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, {
+      method: 'GET',
+      headers: { ...headers, Accept: 'application/json' },
+      signal: controller.signal,
+    });
+
+    const text = await res.text();
+    if (!res.ok) {
+      const snippet = text.slice(0, 220).replace(/\s+/g, ' ').trim();
+      const err = new Error(`HTTP ${res.status} from ${label}${snippet ? `: ${snippet}` : ''}`);
+      err.status = res.status;
+      throw err;
+    }
 
     try {
       return JSON.parse(text);
     } catch {
-      throw new Error('wham/usage returned non-JSON.');
+      throw new Error(`${label} returned non-JSON.`);
     }
   } finally {
     clearTimeout(timeout);
   }
 }
 
-async function codexLimitsForAccount(account, { timeoutMs = 10_000 } = {}) {
+async function fetchChatgptWhamUsage({ accessToken, chatgptAccountId, timeoutMs = 10_000 } = {}) {
+  if (!accessToken) throw new Error('Missing access token.');
+  return await fetchUsageJson(joinUrl(CODEX_CHATGPT_BASE_URL, '/wham/usage'), {
+    label: 'wham/usage',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      ...(chatgptAccountId ? { 'ChatGPT-Account-Id': String(chatgptAccountId) } : {}),
+    },
+    timeoutMs,
+  });
+}
+
+async function fetchCodexApiKeyUsage({ apiKey, baseUrl = CODEX_API_BASE_URL, timeoutMs = 10_000 } = {}) {
+  if (!apiKey) throw new Error('Missing API key.');
+  return await fetchUsageJson(joinUrl(baseUrl, '/api/codex/usage'), {
+    label: 'api/codex/usage',
+    headers: { Authorization: `Bearer ${apiKey}` },
+    timeoutMs,
+  });
+}
+
+function formatLimitsSummary(r) {
+  const u = r.usage || {};
+  return `auth=${r.authMode || 'n/a'} plan=${u.plan_type || 'n/a'} email=${maskEmail(u.email) || 'n/a'} rate=${formatRateLimit(u.rate_limit)} review=${formatRateLimit(u.code_review_rate_limit)} credits=${formatCredits(u.credits)}`;
+}
+
+async function codexLimitsForAccount(account, { timeoutMs = 10_000, apiBaseUrl } = {}) {
   const hostAuth = codexHostAuthJsonPath(account);
   if (!(await exists(hostAuth))) {
     return { ok: false, error: `missing auth.json (${hostAuth})` };
@@ -439,9 +1284,13 @@ async function codexLimitsForAccount(account, { timeoutMs = 10_000 } = {}) {
 
   let obj;
   try {
-    obj = JSON.parse(await fs.readFile(hostAuth, 'utf8'));
-  } catch {
-    return { ok: false, error: `failed to parse auth.json (${hostAuth})` };
+    obj = await readCodexAuthJson(hostAuth);
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+
+  if (codexAccessTokenNeedsRefresh(obj)) {
+    ({ auth: obj } = await refreshCodexHostAuth(account, { timeoutMs }));
   }
 
   const tokens = obj?.tokens || {};
@@ -452,16 +1301,26 @@ async function codexLimitsForAccount(account, { timeoutMs = 10_000 } = {}) {
   const chatgptAccountId = openaiAuth?.chatgpt_account_id || tokens?.account_id;
 
   if (!accessToken) {
-    const hasApiKey = Boolean(obj?.OPENAI_API_KEY);
-    return { ok: false, error: hasApiKey ? 'api-key auth: limits fetch not implemented yet' : 'missing access_token (not logged in?)' };
+    const apiKey = obj?.OPENAI_API_KEY;
+    if (!apiKey) return { ok: false, error: 'missing access_token (not logged in?)' };
+    const usage = await fetchCodexApiKeyUsage({ apiKey, baseUrl: apiBaseUrl, timeoutMs });
+    return { ok: true, authMode: 'api-key', usage };
   }
 
-  const usage = await fetchChatgptWhamUsage({ accessToken, chatgptAccountId, timeoutMs });
-  return { ok: true, usage };
+  try {
+    const usage = await fetchChatgptWhamUsage({ accessToken, chatgptAccountId, timeoutMs });
+    return { ok: true, authMode: 'chatgpt', usage };
+  } catch (e) {
+    // Tokens can be revoked/expired before `exp` says so; refresh once and retry.
+    if (e?.status !== 401 || !tokens.refresh_token) throw e;
+    const { auth } = await refreshCodexHostAuth(account, { force: true, timeoutMs });
+    const usage = await fetchChatgptWhamUsage({ accessToken: auth?.tokens?.access_token, chatgptAccountId, timeoutMs });
+    return { ok: true, authMode: 'chatgpt', usage };
+  }
 }
 
-async function codexLimitsAllAccounts({ timeoutMs = 10_000, concurrency = 4 } = {}) {
-  const accounts = await listCodexAccounts();
+async function codexLimitsAllAccounts({ timeoutMs = 10_000, concurrency = 4, apiBaseUrl, accounts: only = null } = {}) {
+  const accounts = only ? only.map(account => ({ account })) : await listCodexAccounts();
   if (!accounts.length) return [];
 
   const results = new Array(accounts.length);
@@ -472,7 +1331,7 @@ async function codexLimitsAllAccounts({ timeoutMs = 10_000, concurrency = 4 } =
       if (i >= accounts.length) break;
       const a = accounts[i];
       try {
-        const r = await codexLimitsForAccount(a.account, { timeoutMs });
+        const r = await codexLimitsForAccount(a.account, { timeoutMs, apiBaseUrl });
         results[i] = { account: a.account, ...r };
       } catch (e) {
         results[i] = { account: a.account, ok: false, error: e?.message || String(e) };
@@ -484,6 +1343,54 @@ async function codexLimitsAllAccounts({ timeoutMs = 10_000, concurrency = 4 } =
   return results;
 }
 
+function codexHeadroomCandidate(r) {
+  const account = r.account;
+  if (!r?.ok) return { account, eligible: false, reason: r?.error || 'unknown error' };
+  const rl = r.usage?.rate_limit;
+  if (rl?.allowed === false) return { account, eligible: false, reason: 'blocked' };
+  if (rl?.limit_reached) return { account, eligible: false, reason: 'limit_reached' };
+
+  // Headroom is what's left in the tightest window; a label is only as free as its busiest window.
+  const used = [rl?.primary_window?.used_percent, rl?.secondary_window?.used_percent]
+    .map(Number)
+    .filter(Number.isFinite);
+  const headroomPercent = used.length ? Math.max(0, 100 - Math.max(...used)) : null;
+  return { account, eligible: true, headroomPercent };
+}
+
+function compareHeadroomCandidates(a, b) {
+  if (a.eligible !== b.eligible) return a.eligible ? -1 : 1;
+  const ha = a.headroomPercent ?? -1;
+  const hb = b.headroomPercent ?? -1;
+  if (ha !== hb) return hb - ha;
+  return a.account.localeCompare(b.account);
+}
+
+export async function selectBestCodexAccount({ pool = null, timeoutMs = 10_000, concurrency = 4 } = {}) {
+  const rows = await codexLimitsAllAccounts({ timeoutMs, concurrency, accounts: pool });
+  const candidates = rows.map(codexHeadroomCandidate).sort(compareHeadroomCandidates);
+  const best = candidates.find(c => c.eligible) || null;
+  return { best, candidates };
+}
+
+export function describeNoEligibleCodexAccount(candidates, pool) {
+  if (!candidates.length) {
+    return pool
+      ? 'codex_pool in .accountbox.toml is empty.'
+      : 'No Codex accounts found under ~/.accountbox/codex yet. Run: accountbox codex <account> login';
+  }
+  const details = candidates.map(c => `- ${c.account}: ${c.reason}`).join('\n');
+  return `No eligible Codex account${pool ? ' in codex_pool' : ''} (blocked, at limit, or usage unavailable):\n${details}`;
+}
+
+async function recordCodexUsageHistory(rows) {
+  try {
+    await appendCodexUsageHistory(rows);
+  } catch (e) {
+    console.error(`Warning: could not record usage history: ${e?.message || String(e)}`);
+  }
+}
+
 async function findCodexAppBundlePath() {
   const candidates = [
     '/Applications/Codex.app',
@@ -534,6 +1441,9 @@ async function openCodexApp(account, { quitFirst = false, multi = false } = {})
 
   const codexHome = codexHostHome(account);
   await ensureDir(codexHome);
+  if (await isEncryptedFile(codexHostAuthJsonPath(account))) {
+    throw new Error(`auth.json for '${account}' is vault-encrypted and the Codex app reads it directly. Run: accountbox vault unlock`);
+  }
 
   const args = [];
   if (multi) {
@@ -554,11 +1464,422 @@ async function openCodexApp(account, { quitFirst = false, multi = false } = {})
   console.log(`Launched Codex app with CODEX_HOME=${codexHome}${multi ? ` and --user-data-dir=${codexAppUserDataDir(account)}` : ''}`);
 }
 
+async function containerRuntimeReachable() {
+  return await (await getContainerRuntime()).isReachable();
+}
+
+async function volumeExists(volume) {
+  return await (await getContainerRuntime()).volumeExists(volume);
+}
+
+async function copyVolume(from, to) {
+  await (await getContainerRuntime()).createVolume(to);
+  await containerCli([
+    'run', '--rm',
+    '--entrypoint', 'sh',
+    '-v', `${from}:/from:ro`,
+    '-v', `${to}:/to`,
+    await codexHelperImage(),
+    '-c', 'cp -a /from/. /to/',
+  ], { stdio: 'inherit' });
+}
+
+async function removeVolume(volume) {
+  const r = await containerCli(['volume', 'rm', volume], { reject: false });
+  if (r.exitCode !== 0) {
+    const msg = String(r.stderr || '').trim();
+    throw new Error(`Failed to remove volume ${volume}. Stop any container using it and retry.${msg ? ` (${msg})` : ''}`);
+  }
+}
+
+// Everything on the host that belongs to a label (the volume is handled separately).
+// `clone: false` locations are per-login state that a copy shouldn't inherit.
+function codexLabelLocations(account) {
+  return [
+    { what: 'host dir', path: codexHostHome(account), clone: true },
+    { what: 'browser profile', path: browserProfileDir(account), browser: true, clone: false },
+    { what: 'Codex app data', path: codexAppUserDataDir(account), clone: false },
+    { what: 'usage history', path: codexUsageHistoryPath(account), clone: false },
+  ];
+}
+
+async function runtimeUnreachableNote(volume, { action = 'touched', retry = 'Re-run' } = {}) {
+  const { displayName } = await getContainerRuntime();
+  return `${displayName} is not reachable; volume ${volume} was not ${action}. ${retry} once ${displayName} is up.`;
+}
+
+// rm and rename must treat the volume like every other location, so without a runtime they stop unless the
+// caller opts into `--host-only` (which leaves the volume exactly as it is).
+async function assertVolumeReachable(volume, { hostOnly, action, cmd }) {
+  if (hostOnly || await containerRuntimeReachable()) return;
+  const { displayName } = await getContainerRuntime();
+  throw new Error(`${displayName} is not reachable, so volume ${volume} can't be ${action} with the rest of the label. Start ${displayName} and re-run, or pass --host-only to ${cmd} only the host locations and leave the volume as it is.`);
+}
+
+async function removeCodexAccount(account, { keepBrowser = false, hostOnly = false } = {}) {
+  assertSafeName(account, 'label');
+  const removed = [];
+  const kept = [];
+  const notes = [];
+  const volume = `accountbox_codex_${account}`;
+  await assertVolumeReachable(volume, { hostOnly, action: 'removed', cmd: 'remove' });
+
+  // Volume first: it's the step most likely to fail (in use), and failing here leaves the label intact.
+  if (hostOnly) {
+    notes.push(`volume ${volume} was left in place (--host-only).`);
+  } else {
+    for (const c of await stopWarmCodexContainers(await getContainerRuntime(), { account })) removed.push(`warm container ${c.name}`);
+    if (await volumeExists(volume)) {
+      await removeVolume(volume);
+      removed.push(`volume ${volume}`);
+    }
+  }
+
+  for (const loc of codexLabelLocations(account)) {
+    if (!(await exists(loc.path))) continue;
+    if (loc.browser && keepBrowser) {
+      kept.push(`${loc.what} ${loc.path}`);
+      continue;
+    }
+    await fs.rm(loc.path, { recursive: true, force: true });
+    removed.push(`${loc.what} ${loc.path}`);
+  }
+
+  if (!removed.length && !kept.length) {
+    throw new Error(`No Codex label '${account}' found (nothing under ${codexHostHome(account)}${hostOnly ? '' : ` or in volume ${volume}`}).`);
+  }
+  return { removed, kept, notes };
+}
+
+async function renameCodexAccount(from, to, { hostOnly = false } = {}) {
+  assertSafeName(from, 'label');
+  assertSafeName(to, 'label');
+  if (from === to) throw new Error(`Label '${from}' is already named '${to}'.`);
+
+  const fromVolume = `accountbox_codex_${from}`;
+  const toVolume = `accountbox_codex_${to}`;
+  await assertVolumeReachable(fromVolume, { hostOnly, action: 'renamed', cmd: 'rename' });
+  const volumeToMove = !hostOnly && await volumeExists(fromVolume);
+
+  // A location only conflicts when both names have it, so an interrupted rename can simply be re-run.
+  const toLocations = codexLabelLocations(to);
+  const moves = [];
+  for (const [i, loc] of codexLabelLocations(from).entries()) {
+    if (!(await exists(loc.path))) continue;
+    const dest = toLocations[i].path;
+    if (await exists(dest)) {
+      throw new Error(`Label '${to}' already has a ${loc.what} at ${dest}. Remove it first (accountbox codex ${to} rm) or pick another name.`);
+    }
+    moves.push({ ...loc, dest });
+  }
+  if (volumeToMove && await volumeExists(toVolume)) {
+    throw new Error(`volume ${toVolume} already exists. Remove it first (accountbox codex ${to} rm) or pick another name.`);
+  }
+  if (!moves.length && !volumeToMove) {
+    throw new Error(`No Codex label '${from}' found (nothing under ${codexHostHome(from)}${hostOnly ? '' : ` or in volume ${fromVolume}`}).`);
+  }
+
+  const moved = [];
+  const notes = hostOnly ? [`volume ${fromVolume} keeps its old name (--host-only); '${to}' starts with a fresh volume.`] : [];
+  if (volumeToMove) {
+    // Warm containers hold the old volume (and carry the old label); they're restarted on the next session.
+    await stopWarmCodexContainers(await getContainerRuntime(), { account: from });
+    // No runtime can rename a volume: copy, then drop the original.
+    await copyVolume(fromVolume, toVolume);
+    await removeVolume(fromVolume);
+    moved.push(`volume ${fromVolume} -> ${toVolume}`);
+  }
+  for (const m of moves) {
+    await ensureDir(path.dirname(m.dest));
+    await fs.rename(m.path, m.dest);
+    moved.push(`${m.what} ${m.path} -> ${m.dest}`);
+  }
+  return { moved, notes };
+}
+
+async function cloneCodexAccount(from, to) {
+  assertSafeName(from, 'label');
+  assertSafeName(to, 'label');
+  if (from === to) throw new Error(`Cannot clone label '${from}' onto itself.`);
+
+  const fromVolume = `accountbox_codex_${from}`;
+  const toVolume = `accountbox_codex_${to}`;
+  const reachable = await containerRuntimeReachable();
+
+  for (const loc of codexLabelLocations(to)) {
+    if (await exists(loc.path)) {
+      throw new Error(`Label '${to}' already exists (${loc.what} at ${loc.path}). Pick another name or remove it first: accountbox codex ${to} rm`);
+    }
+  }
+  if (reachable && await volumeExists(toVolume)) {
+    throw new Error(`volume ${toVolume} already exists. Pick another name or remove it first: accountbox codex ${to} rm`);
+  }
+
+  const src = codexHostHome(from);
+  const volumeToCopy = reachable && await volumeExists(fromVolume);
+  if (!(await exists(src)) && !volumeToCopy) {
+    if (!reachable) throw new Error(`No Codex label '${from}' found on the host, and ${await runtimeUnreachableNote(fromVolume)}`);
+    throw new Error(`No Codex label '${from}' found (nothing under ${src} or in volume ${fromVolume}).`);
+  }
+
+  const copied = [];
+  const notes = reachable ? [] : [await runtimeUnreachableNote(fromVolume)];
+  if (volumeToCopy) {
+    await copyVolume(fromVolume, toVolume);
+    copied.push(`volume ${fromVolume} -> ${toVolume}`);
+  }
+  const toLocations = codexLabelLocations(to);
+  for (const [i, loc] of codexLabelLocations(from).entries()) {
+    if (!loc.clone || !(await exists(loc.path))) continue;
+    await fs.cp(loc.path, toLocations[i].path, { recursive: true, errorOnExist: true, force: false });
+    copied.push(`${loc.what} ${loc.path} -> ${toLocations[i].path}`);
+  }
+  return { copied, notes };
+}
+
+// Only what's needed to recreate a label elsewhere; sessions/logs in the volume stay behind.
+const CODEX_BUNDLE_VOLUME_FILES = ['config.toml', 'auth.json'];
+
+async function readCodexVolumeFile(account, name) {
+  const volume = `accountbox_codex_${account}`;
+  const res = await containerCli([
+    'run', '--rm',
+    '--entrypoint', 'sh',
+    '-v', `${volume}:/root/.codex:ro`,
+    await codexHelperImage(),
+    '-c',
+    `f=/root/.codex/${name}; [ -f "$f" ] || exit 3; cat "$f"`,
+  ], { reject: false, stripFinalNewline: false });
+  if (res.exitCode === 3) return null;
+  if (res.exitCode !== 0) {
+    throw new Error(`Failed to read ${name} from volume ${volume}: ${String(res.stderr || '').trim() || `exit ${res.exitCode}`}`);
+  }
+  return res.stdout;
+}
+
+async function writeCodexVolumeFile(account, name, content) {
+  const volume = `accountbox_codex_${account}`;
+  await containerCli([
+    'run', '--rm', '-i',
+    ...await codexVolumeUserArgs(account),
+    '--entrypoint', 'sh',
+    '-v', `${volume}:/root/.codex`,
+    await codexHelperImage(),
+    '-c',
+    `set -e; umask 077; mkdir -p /root/.codex; cat > /root/.codex/${name}`,
+  ], { input: content, stdio: ['pipe', 'ignore', 'inherit'] });
+  if (name === 'auth.json') {
+    let auth = null;
+    try {
+      auth = JSON.parse(content);
+    } catch {
+      // not ours to validate; status will just report it as differing
+    }
+    await recordCodexVolumeAuth(account, auth || {});
+  }
+}
+
+async function readCodexConfigToml(account, { mustExist = false } = {}) {
+  await ensureContainerRuntime();
+  const volume = `accountbox_codex_${account}`;
+  if (!(await volumeExists(volume))) {
+    if (mustExist) throw new Error(`No volume for Codex label '${account}' (${volume}). Run: accountbox codex ${account} login`);
+    return '';
+  }
+  return (await readCodexVolumeFile(account, 'config.toml')) ?? '';
+}
+
+// Round-trips config.toml through $VISUAL/$EDITOR and only writes it back if it still parses. The editor is run
+// without a shell, with the file as its own argument.
+async function editCodexConfigToml(account) {
+  const [editor, ...editorArgs] = splitCommandLine(process.env.VISUAL || process.env.EDITOR || 'vi');
+  if (!editor) throw new Error('$VISUAL/$EDITOR is empty. Set it to your editor, e.g. EDITOR=vi.');
+  const text = await readCodexConfigToml(account, { mustExist: true });
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-config-'));
+  const file = path.join(dir, 'config.toml');
+  await fs.writeFile(file, text, { encoding: 'utf8', mode: 0o600 });
+
+  await execa(editor, [...editorArgs, file], { stdio: 'inherit' });
+
+  const next = await fs.readFile(file, 'utf8');
+  if (next === text) {
+    await fs.rm(dir, { recursive: true, force: true });
+    return false;
+  }
+  try {
+    parseTomlDocument(next, 'Edited config.toml');
+  } catch (e) {
+    throw new Error(`${e.message}. Nothing was written; your edit is kept at ${file}.`);
+  }
+  await writeCodexVolumeFile(account, 'config.toml', next);
+  await fs.rm(dir, { recursive: true, force: true });
+  return true;
+}
+
+function formatConfigValue(v) {
+  return v === undefined ? '(unset)' : formatTomlValue(v);
+}
+
+// Gathers everything needed to recreate labels on another machine. Credentials come out decrypted;
+// the caller decides whether the bundle itself is encrypted.
+export async function collectCodexBundleAccounts(labels) {
+  const reachable = await containerRuntimeReachable();
+  const snapshots = await listCodexSnapshots();
+  const accounts = [];
+  const notes = [];
+
+  for (const label of labels) {
+    assertSafeName(label, 'label');
+    const hostAuthPath = codexHostAuthJsonPath(label);
+    const hostAuth = (await exists(hostAuthPath)) ? await readCodexAuthJson(hostAuthPath) : null;
+
+    const volumeName = `accountbox_codex_${label}`;
+    let volume = null;
+    if (!reachable) {
+      notes.push(await runtimeUnreachableNote(`${volumeName} (config.toml)`, { action: 'exported', retry: 'Export again' }));
+    } else if (await volumeExists(volumeName)) {
+      volume = {};
+      for (const name of CODEX_BUNDLE_VOLUME_FILES) {
+        const content = await readCodexVolumeFile(label, name);
+        if (content != null) volume[name] = content;
+      }
+    }
+
+    if (!hostAuth && !volume) {
+      throw new Error(`No Codex label '${label}' found (nothing at ${hostAuthPath}${reachable ? ` or in volume ${volumeName}` : ''}).`);
+    }
+
+    const snaps = [];
+    for (const s of snapshots) {
+      if (s.sourceAccount !== label || !s.hasAuth) continue;
+      const { name, sourceAccount, createdAt, authMode, email, plan, accountId } = s;
+      snaps.push({ name, meta: { name, sourceAccount, createdAt, authMode, email, plan, accountId }, auth: await readCodexAuthJson(s.authPath) });
+    }
+
+    accounts.push({ label, hostAuth, volume, snapshots: snaps });
+  }
+  return { accounts, notes };
+}
+
+function codexBundleAccountIdentity(entry) {
+  let auth = entry.hostAuth;
+  if (!auth && entry.volume?.['auth.json']) {
+    try {
+      auth = JSON.parse(entry.volume['auth.json']);
+    } catch {
+      auth = null;
+    }
+  }
+  return codexIdentityFromAuth(auth);
+}
+
+async function codexAccountExists(account, { reachable }) {
+  if (await exists(codexHostHome(account))) return true;
+  return reachable ? await volumeExists(`accountbox_codex_${account}`) : false;
+}
+
+// What an import would do, without touching anything. Identities are masked.
+export async function previewCodexBundleAccounts(accounts) {
+  const reachable = await containerRuntimeReachable();
+  const out = [];
+  for (const entry of accounts) {
+    assertSafeName(entry?.label, 'label');
+    for (const s of entry.snapshots || []) assertSafeName(s?.name, 'snapshot name');
+    const id = codexBundleAccountIdentity(entry);
+    const snapshotConflicts = [];
+    for (const s of entry.snapshots || []) if (await exists(codexSnapshotDir(s.name))) snapshotConflicts.push(s.name);
+    out.push({
+      label: entry.label,
+      authMode: id.authMode,
+      email: maskEmail(id.email),
+      plan: id.plan,
+      accountId: maskId(id.accountId ? String(id.accountId) : null, 12),
+      hostAuth: Boolean(entry.hostAuth),
+      volumeFiles: entry.volume ? Object.keys(entry.volume) : [],
+      snapshots: (entry.snapshots || []).map(s => s.name),
+      exists: await codexAccountExists(entry.label, { reachable }),
+      snapshotConflicts,
+    });
+  }
+  return { reachable, accounts: out };
+}
+
+export async function restoreCodexBundleAccounts(accounts) {
+  const reachable = await containerRuntimeReachable();
+  const backups = [];
+  const notes = [];
+
+  for (const entry of accounts) {
+    const label = entry.label;
+    if (entry.hostAuth) {
+      await ensureDir(codexHostHome(label));
+      const hostAuth = codexHostAuthJsonPath(label);
+      if (await exists(hostAuth)) {
+        const bak = path.join(codexHostHome(label), `auth.json.bak-${timestampForFilename()}`);
+        await fs.rename(hostAuth, bak);
+        backups.push(bak);
+      }
+      await writeCodexAuthJson(hostAuth, entry.hostAuth);
+    }
+
+    const volumeName = `accountbox_codex_${label}`;
+    if (!reachable) {
+      notes.push(await runtimeUnreachableNote(volumeName, { action: 'restored', retry: 'Re-run the import with --force' }));
+    } else if (entry.volume) {
+      await (await getContainerRuntime()).createVolume(volumeName);
+      for (const name of CODEX_BUNDLE_VOLUME_FILES) {
+        if (typeof entry.volume[name] === 'string') await writeCodexVolumeFile(label, name, entry.volume[name]);
+      }
+    } else if (entry.hostAuth) {
+      await syncCodexAuthToVolume(label, { quiet: true });
+    }
+
+    for (const s of entry.snapshots || []) {
+      await ensureDir(codexSnapshotDir(s.name));
+      await writeCodexAuthJson(codexSnapshotAuthPath(s.name), s.auth);
+      await fs.writeFile(codexSnapshotMetaPath(s.name), JSON.stringify({ ...s.meta, name: s.name }, null, 2) + '\n', 'utf8');
+    }
+  }
+  return { backups, notes };
+}
+
 export function createCodexTool() {
   return {
     id: 'codex',
-    async run({ account, args, cwd }) {
-      await runCodexInContainer(account, args, cwd);
+    async run({ account, args, cwd, codexVersion = null, sandbox = null, container = null }) {
+      await refreshCodexHostAuthBestEffort(account);
+      const before = await codexAuthMatchingVolume(account);
+      let warmContainer = null;
+      try {
+        ({ warmContainer } = await runCodexInContainer(account, args, cwd, { version: codexVersion, sandbox, container, keepaliveMs: resolveCodexKeepalive(container?.keepaliveMs) }));
+      } finally {
+        await syncCodexAuthAfterRun(account, { before, warmContainer });
+      }
+    },
+
+    async auto({ args, cwd, pool, codexVersion = null, sandbox = null, container = null }) {
+      const { best, candidates } = await selectBestCodexAccount({ pool });
+      if (!best) throw new Error(describeNoEligibleCodexAccount(candidates, pool));
+      console.error(`accountbox: using '${best.account}' (headroom ${best.headroomPercent ?? 'n/a'}%)`);
+      await refreshCodexHostAuthBestEffort(best.account);
+      const before = await codexAuthMatchingVolume(best.account);
+      let warmContainer = null;
+      try {
+        ({ warmContainer } = await runCodexInContainer(best.account, args, cwd, { version: codexVersion, sandbox, container, keepaliveMs: resolveCodexKeepalive(container?.keepaliveMs) }));
+      } finally {
+        await syncCodexAuthAfterRun(best.account, { before, warmContainer });
+      }
+    },
+
+    async sync({ account, args }) {
+      const pull = hasAny(args, ['--pull', 'pull']);
+      const push = hasAny(args, ['--push', 'push']);
+      if (pull && push) throw new Error('Usage: accountbox codex <account> sync [--pull|--push]');
+      const r = await syncCodexAuth(account, { direction: pull ? 'pull' : (push ? 'push' : 'auto'), quiet: true });
+      if (r.action === 'pull') console.log(`Pulled auth.json for '${account}': volume -> host.`);
+      else if (r.action === 'push') console.log(`Pushed auth.json for '${account}': host -> volume.`);
+      else if (!r.hasHost && !r.hasVolume) console.log(`No credentials for '${account}' on the host or in the volume.`);
+      else console.log(`Host and volume credentials for '${account}' already match.`);
     },
 
     async app({ account, args }) {
@@ -573,6 +1894,7 @@ export function createCodexTool() {
       const wantsDevice = hasAny(args, ['device', '--device', '--device-auth']);
       const force = hasAny(args, ['force', '--force']);
       const freshBrowser = hasAny(args, ['fresh-browser', '--fresh-browser', 'reset-browser', '--reset-browser']);
+      const remote = hasAny(args, ['remote', '--remote']);
       const method = wantsBrowser ? 'browser' : (wantsDevice ? 'device' : 'device');
 
       if (wantsApiKey) {
@@ -590,22 +1912,31 @@ export function createCodexTool() {
         if (bak) console.log(`Reset sandboxed browser profile: moved -> ${bak}`);
       }
 
-      await codexHostLoginAndSync(account, { method, openBrowser: true, force });
+      const port = method === 'browser' ? await resolveCodexLoginPort(args) : CODEX_LOGIN_REDIRECT_PORT;
+      await codexHostLoginAndSync(account, { method, openBrowser: !remote, force, remote, port });
       try { await codexLoginStatus(account); } catch {}
     },
 
-    async logout({ account, cwd }) {
-      await runCodexInContainer(account, ['logout'], cwd);
+    async logout({ account, cwd, codexVersion = null }) {
+      await runCodexInContainer(account, ['logout'], cwd, { version: codexVersion });
+      await recordCodexVolumeAuth(account, null);
       const bak = await codexHostLogout(account);
       if (bak) console.log(`Moved host auth.json -> ${bak}`);
     },
 
-    async status({ account }) {
-      await codexLoginStatus(account);
+    async status({ account, args = [], codexVersion = null }) {
+      const all = args.includes('--all');
+      const accounts = all ? (await listCodexAccounts()).map(a => a.account) : [account];
+      await codexStatus(accounts, { all, json: args.includes('--json'), deep: args.includes('--deep'), version: codexVersion });
     },
 
-    async whoami({ account }) {
-      await codexWhoami(account);
+    async whoami({ account, args = [] }) {
+      const json = args.includes('--json');
+      if (args.includes('--all')) {
+        await codexWhoamiAll({ json });
+        return;
+      }
+      await codexWhoami(account, { json });
     },
 
     async limits({ account, args, allAccounts = false }) {
@@ -613,9 +1944,40 @@ export function createCodexTool() {
       const raw = args.includes('--raw');
       const timeoutMs = Math.max(1, Math.trunc(readOptionNumber(args, '--timeout-ms', 10_000)));
       const concurrency = Math.max(1, Math.min(8, Math.trunc(readOptionNumber(args, '--concurrency', 4))));
+      const apiBaseUrl = readOptionValue(args, '--base-url', CODEX_API_BASE_URL);
+
+      if (args.includes('--history')) {
+        const sinceRaw = readOptionValue(args, '--since', '7d');
+        const sinceMs = Date.now() - parseDurationMsOrThrow(sinceRaw, '--since');
+        const since = new Date(sinceMs).toISOString();
+        const history = await readCodexUsageHistory({ accounts: allAccounts ? null : [account], sinceMs });
+        const report = summarizeCodexUsageHistory(history);
+        if (json) {
+          console.log(JSON.stringify({ since, accounts: report }, null, 2));
+          return;
+        }
+        printCodexUsageHistory(report, { since });
+        return;
+      }
+
+      if (args.includes('--watch')) {
+        const intervalMs = Math.max(5_000, parseDurationMsOrThrow(readOptionValue(args, '--interval', '60s'), '--interval'));
+        const thresholdPercent = readOptionNumber(args, '--threshold', 80);
+        const countRaw = readOptionNumber(args, '--count', null);
+        await runCodexLimitsWatch({
+          listAccounts: allAccounts ? listCodexAccounts : async () => [{ account }],
+          fetchLimits: (accounts) => codexLimitsAllAccounts({ timeoutMs, concurrency, apiBaseUrl, accounts }),
+          onRows: recordCodexUsageHistory,
+          intervalMs,
+          thresholdPercent,
+          count: countRaw == null ? null : Math.max(1, Math.trunc(countRaw)),
+        });
+        return;
+      }
 
       if (allAccounts) {
-        const rows = await codexLimitsAllAccounts({ timeoutMs, concurrency });
+        const rows = await codexLimitsAllAccounts({ timeoutMs, concurrency, apiBaseUrl });
+        await recordCodexUsageHistory(rows);
         if (json) {
           const out = rows.map(r => ({
             ...r,
@@ -628,24 +1990,24 @@ export function createCodexTool() {
           console.log('No Codex accounts found under ~/.accountbox/codex yet.');
           return;
         }
-        console.log('Codex limits (ChatGPT wham/usage):');
+        console.log('Codex limits (ChatGPT wham/usage + API-key api/codex/usage):');
         for (const r of rows) {
           if (!r?.ok) {
             console.log(`- ${r.account}: ${r?.error || 'unknown error'}`);
             continue;
           }
-          const u = r.usage || {};
-          console.log(`- ${r.account}: plan=${u.plan_type || 'n/a'} email=${maskEmail(u.email) || 'n/a'} rate=${formatRateLimit(u.rate_limit)} review=${formatRateLimit(u.code_review_rate_limit)} credits=${formatCredits(u.credits)}`);
+          console.log(`- ${r.account}: ${formatLimitsSummary(r)}`);
         }
         return;
       }
 
-      const r = await codexLimitsForAccount(account, { timeoutMs });
+      const r = await codexLimitsForAccount(account, { timeoutMs, apiBaseUrl });
+      await recordCodexUsageHistory([{ account, ...r }]);
       if (json) {
         console.log(JSON.stringify({
           account,
           ok: r.ok,
-          ...(r.ok ? { usage: raw ? r.usage : sanitizeWhamUsage(r.usage) } : { error: r.error }),
+          ...(r.ok ? { authMode: r.authMode, usage: raw ? r.usage : sanitizeWhamUsage(r.usage) } : { error: r.error }),
         }, null, 2));
         return;
       }
@@ -653,16 +2015,98 @@ export function createCodexTool() {
         console.log(`${account}: ${r.error}`);
         return;
       }
-      const u = r.usage || {};
-      console.log(`${account}: plan=${u.plan_type || 'n/a'} email=${maskEmail(u.email) || 'n/a'} rate=${formatRateLimit(u.rate_limit)} review=${formatRateLimit(u.code_review_rate_limit)} credits=${formatCredits(u.credits)}`);
+      console.log(`${account}: ${formatLimitsSummary(r)}`);
     },
 
-    async rebuild() {
-      await ensureCodexImage({ forceRebuild: true });
-      const v = await execa('docker', ['run', '--rm', `${CODEX_IMAGE_NAME}:latest`, '-V'], { reject: false });
+    async rebuild({ args = [], codexVersion = null } = {}) {
+      if (args.includes('--if-stale')) {
+        await ensureContainerRuntime();
+        const maxAgeMs = parseDurationMsOrThrow(readOptionValue(args, '--max-age', '7d'), '--max-age');
+        const info = await inspectCodexImage(codexVersion);
+        const st = codexImageStaleness(info, { npmSpec: codexNpmSpecFor(codexVersion), maxAgeMs });
+        if (!st.stale) {
+          console.log(`${info.ref} is up to date (built ${formatImageAge(st.ageSeconds)} with ${info.npmSpec}${info.cliVersion ? `, ${info.cliVersion}` : ''}).`);
+          return;
+        }
+        console.log(`Rebuilding ${codexImageRef(codexVersion)}: ${st.reasons.join('; ')}`);
+      }
+      const image = await ensureCodexImage({ forceRebuild: true, version: codexVersion });
+      const v = await containerCli(['run', '--rm', image, '-V'], { reject: false });
       if (v.exitCode === 0) console.log(v.stdout.trim());
     },
 
+    async images({ args = [], codexVersion = null } = {}) {
+      const json = args.includes('--json');
+      if (args[0] === 'prune') {
+        const all = args.includes('--all');
+        const unusedFor = readOptionValue(args, '--unused-for', '30d');
+        const unusedForMs = all ? 0 : parseDurationMsOrThrow(unusedFor, '--unused-for');
+        const r = await pruneCodexImages({ keep: codexVersion ? [codexVersion] : [], unusedForMs, dryRun: args.includes('--dry-run') });
+        if (json) {
+          console.log(JSON.stringify({ candidates: r.candidates.map(i => i.ref), removed: r.removed.map(i => i.ref), failed: r.failed.map(i => ({ ref: i.ref, error: i.error })) }, null, 2));
+          return;
+        }
+        if (!r.candidates.length) {
+          console.log(`No pinned Codex images ${all ? 'to remove' : `unused for ${unusedFor}`}${codexVersion ? ` (keeping ${codexImageRef(codexVersion)} pinned here)` : ''}.`);
+          return;
+        }
+        if (args.includes('--dry-run')) {
+          for (const i of r.candidates) console.log(`Would remove ${i.ref}`);
+          return;
+        }
+        for (const i of r.removed) console.log(`Removed ${i.ref}`);
+        for (const i of r.failed) console.error(`Warning: could not remove ${i.ref}: ${i.error}`);
+        return;
+      }
+      if (args[0] && args[0] !== 'list' && args[0] !== '--json') {
+        throw new Error('Usage: accountbox codex images [list] [--json] | prune [--unused-for 30d|--all] [--dry-run] [--json]');
+      }
+
+      const images = await listCodexImages();
+      if (json) {
+        console.log(JSON.stringify(images.map(i => ({ ...i, pinnedHere: Boolean(codexVersion && i.version === codexVersion) })), null, 2));
+        return;
+      }
+      if (!images.length) {
+        console.log(`No Codex images built yet. They're built on first run (or: accountbox codex rebuild).`);
+        return;
+      }
+      console.log('Codex images:');
+      for (const i of images) {
+        const notes = [
+          i.npmSpec,
+          i.size,
+          i.lastUsedAt ? `last used ${i.lastUsedAt.slice(0, 10)}` : 'never used via accountbox',
+          codexVersion && i.version === codexVersion ? 'pinned here' : null,
+        ].filter(Boolean);
+        console.log(`- ${i.ref} (${notes.join(', ')})`);
+      }
+    },
+
+    async ps({ args = [] } = {}) {
+      const containers = await listWarmCodexContainers(await ensureContainerRuntime());
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(containers, null, 2));
+        return;
+      }
+      if (!containers.length) {
+        console.log('No warm Codex containers. Enable them per repo with keepalive = "15m" under [codex] in .accountbox.toml.');
+        return;
+      }
+      console.log('Warm Codex containers:');
+      for (const c of containers) console.log(`- ${c.name}: ${formatWarmContainer(c)}`);
+    },
+
+    async stop({ account = null, all = false, cwd }) {
+      const stopped = await stopWarmCodexContainers(await ensureContainerRuntime(), all ? {} : account ? { account } : { repo: cwd });
+      const scope = all ? '' : account ? ` for '${account}'` : ` for ${cwd}`;
+      if (!stopped.length) {
+        console.log(`No warm Codex containers${scope}.`);
+        return;
+      }
+      for (const c of stopped) console.log(`Stopped ${c.name} (${c.account}, ${c.repo})`);
+    },
+
     async list() {
       const accounts = await listCodexAccounts();
       if (!accounts.length) {
@@ -676,8 +2120,12 @@ export function createCodexTool() {
       }
     },
 
-    async snapshots() {
+    async snapshots({ args = [] } = {}) {
       const snaps = await listCodexSnapshots();
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(snaps, null, 2));
+        return;
+      }
       if (!snaps.length) {
         console.log('No Codex snapshots found under ~/.accountbox/codex-snapshots yet.');
         console.log('Create one: accountbox codex <account> save <snapshotName>');
@@ -685,8 +2133,65 @@ export function createCodexTool() {
       }
       console.log('Codex snapshots:');
       for (const s of snaps) {
-        console.log(`- ${s.name}${s.hasAuth ? '' : ' (missing auth.json)'}`);
+        const summary = formatSnapshotSummary(s);
+        console.log(`- ${s.name}${summary ? ` (${summary})` : ''}`);
+      }
+    },
+
+    async snapshot({ args }) {
+      const [action, name, extra] = args;
+      const usage = 'Usage: accountbox codex snapshot show <name> [--json] | rm <name> | rename <name> <newName> | diff <name> <otherName|--label <label>> [--json]';
+      if (!action || !name) throw new Error(usage);
+
+      if (action === 'diff') {
+        const label = readOptionValue(args, '--label');
+        const other = args.slice(2).find(a => !a.startsWith('-') && a !== label);
+        if (!label && !other) throw new Error(usage);
+        const d = await diffCodexSnapshot(name, label ? { label } : { snapshot: other });
+        if (args.includes('--json')) {
+          console.log(JSON.stringify(d, null, 2));
+          return;
+        }
+        const title = side => `${side.kind} ${side.name}`;
+        const show = v => (v == null ? '-' : String(v));
+        const rows = [['FIELD', title(d.a), title(d.b), '']];
+        for (const f of d.fields) rows.push([f.field, show(f.a), show(f.b), f.same ? '' : '*']);
+        for (const line of formatColumns(rows)) console.log(line.trimEnd());
+        console.log(`Credentials: ${d.sameCredentials ? 'identical' : 'different'}`);
+        if (d.sameIdentity === false) console.log('Note: these are different OpenAI identities.');
+        return;
+      }
+
+      if (action === 'show') {
+        await requireCodexSnapshot(name);
+        const s = await readCodexSnapshot(name);
+        if (args.includes('--json')) {
+          console.log(JSON.stringify(s, null, 2));
+          return;
+        }
+        console.log(`Snapshot: ${s.name}`);
+        if (s.sourceAccount) console.log(`Source label: ${s.sourceAccount}`);
+        if (s.createdAt) console.log(`Created: ${s.createdAt}`);
+        if (s.authMode) console.log(`Auth mode: ${s.authMode}`);
+        if (s.email) console.log(`Email: ${s.email}`);
+        if (s.plan) console.log(`ChatGPT plan: ${s.plan}`);
+        if (s.accountId) console.log(`Account ID: ${s.accountId}`);
+        console.log(`Auth file: ${s.hasAuth ? s.authPath : `${s.authPath} (missing)`}`);
+        return;
+      }
+      if (action === 'rm' || action === 'remove') {
+        await removeCodexSnapshot(name);
+        console.log(`Removed snapshot '${name}'.`);
+        return;
+      }
+      if (action === 'rename' || action === 'mv') {
+        if (!extra) throw new Error(usage);
+        assertSafeName(extra, 'snapshot name');
+        await renameCodexSnapshot(name, extra);
+        console.log(`Renamed snapshot '${name}' -> '${extra}'.`);
+        return;
       }
+      throw new Error(usage);
     },
 
     async save({ account, args }) {
@@ -701,7 +2206,108 @@ export function createCodexTool() {
       const toAccount = args[2] || account || defaultAccount;
       if (!snapshotName) throw new Error('Usage: accountbox codex [account] switch <snapshotName> [toAccount]');
       const dst = await applyCodexSnapshotToAccount(snapshotName, toAccount);
-      console.log(`Applied snapshot '${snapshotName}' -> account '${toAccount}' (${dst}) and synced to Docker volume.`);
+      console.log(`Applied snapshot '${snapshotName}' -> account '${toAccount}' (${dst}) and synced to volume.`);
+    },
+
+    async rm({ account, args, cwd, replaceProjectAccountReferences }) {
+      const r = await removeCodexAccount(account, { keepBrowser: args.includes('--keep-browser'), hostOnly: args.includes('--host-only') });
+      for (const line of r.removed) console.log(`Removed ${line}`);
+      for (const line of r.kept) console.log(`Kept ${line}`);
+      for (const line of r.notes) console.error(`Warning: ${line}`);
+      const f = await replaceProjectAccountReferences('codex', account, null, cwd);
+      if (f) console.log(`Updated ${f} (dropped references to '${account}')`);
+    },
+
+    async rename({ account, args, cwd, replaceProjectAccountReferences }) {
+      const to = args.find(a => !a.startsWith('-'));
+      if (!to) throw new Error('Usage: accountbox codex <label> rename <newLabel> [--host-only]');
+      const r = await renameCodexAccount(account, to, { hostOnly: args.includes('--host-only') });
+      for (const line of r.moved) console.log(`Moved ${line}`);
+      for (const line of r.notes) console.error(`Warning: ${line}`);
+      const f = await replaceProjectAccountReferences('codex', account, to, cwd);
+      if (f) console.log(`Updated ${f} ('${account}' -> '${to}')`);
+    },
+
+    async clone({ account, args }) {
+      const to = args[0];
+      if (!to) throw new Error('Usage: accountbox codex <label> clone <newLabel>');
+      const r = await cloneCodexAccount(account, to);
+      for (const line of r.copied) console.log(`Copied ${line}`);
+      for (const line of r.notes) console.error(`Warning: ${line}`);
+      console.log(`Cloned '${account}' -> '${to}'. The browser profile is not copied; log the clone into another account with: accountbox codex ${to} login --force`);
+    },
+
+    async config({ account, args }) {
+      const [action, ...rest] = args;
+      const json = rest.includes('--json');
+      const positional = rest.filter(a => a !== '--json');
+      const usage = 'Usage: accountbox codex <label> config get [key] [--json] | set <key> <value> | unset <key> | edit | accountbox codex config diff <labelA> <labelB> [--json]';
+      const what = `config.toml for '${account}'`;
+
+      if (action === 'get') {
+        const text = await readCodexConfigToml(account, { mustExist: true });
+        const doc = parseTomlDocument(text, what);
+        if (!positional[0]) {
+          if (json) console.log(JSON.stringify(doc, null, 2));
+          else process.stdout.write(text || `# ${what} is empty\n`);
+          return;
+        }
+        const v = getTomlValue(doc, parseTomlKeyPath(positional[0]));
+        if (v === undefined) throw new Error(`'${positional[0]}' is not set in ${what}.`);
+        console.log(json ? JSON.stringify(v, null, 2) : (typeof v === 'string' ? v : formatTomlValue(v)));
+        return;
+      }
+
+      if (action === 'set') {
+        const [key, ...valueParts] = positional;
+        if (!key || !valueParts.length) throw new Error(usage);
+        const keyPath = parseTomlKeyPath(key);
+        const valueText = tomlValueFromInput(valueParts.join(' '));
+        const next = setTomlValue(await readCodexConfigToml(account, { mustExist: true }), keyPath, valueText, { what });
+        await writeCodexVolumeFile(account, 'config.toml', next);
+        console.log(`Set ${key} = ${valueText} in ${what}.`);
+        return;
+      }
+
+      if (action === 'unset') {
+        const key = positional[0];
+        if (!key) throw new Error(usage);
+        const r = unsetTomlValue(await readCodexConfigToml(account, { mustExist: true }), parseTomlKeyPath(key), { what });
+        if (!r.changed) {
+          console.log(`'${key}' is not set in ${what}.`);
+          return;
+        }
+        await writeCodexVolumeFile(account, 'config.toml', r.text);
+        console.log(`Removed ${key} from ${what}.`);
+        return;
+      }
+
+      if (action === 'edit') {
+        const changed = await editCodexConfigToml(account);
+        console.log(changed ? `Saved ${what}.` : `No changes to ${what}.`);
+        return;
+      }
+
+      if (action === 'diff') {
+        const [a, b] = positional.length >= 2 ? positional : [account, positional[0]];
+        if (!a || !b) throw new Error(usage);
+        const docA = parseTomlDocument(await readCodexConfigToml(a, { mustExist: true }), `config.toml for '${a}'`);
+        const docB = parseTomlDocument(await readCodexConfigToml(b, { mustExist: true }), `config.toml for '${b}'`);
+        const differences = diffTomlDocuments(docA, docB);
+        if (json) {
+          console.log(JSON.stringify({ a, b, differences: differences.map(d => ({ key: d.key, a: d.a ?? null, b: d.b ?? null })) }, null, 2));
+          return;
+        }
+        if (!differences.length) {
+          console.log(`config.toml for '${a}' and '${b}' match.`);
+          return;
+        }
+        console.log(`config.toml differences (${a} | ${b}):`);
+        for (const d of differences) console.log(`- ${d.key}: ${formatConfigValue(d.a)} | ${formatConfigValue(d.b)}`);
+        return;
+      }
+
+      throw new Error(usage);
     },
 
     async use({ args, cwd, setProjectDefault }) {
@@ -713,14 +2319,35 @@ export function createCodexTool() {
   };
 }
 
+async function warnIfSnapshotIdentityDiffers(snapshotName, src, toAccount) {
+  const dst = codexHostAuthJsonPath(toAccount);
+  if (!(await exists(dst))) return;
+  let snapId;
+  let curId;
+  try {
+    snapId = codexIdentityFromAuth(await readCodexAuthJson(src));
+    curId = codexIdentityFromAuth(await readCodexAuthJson(dst));
+  } catch {
+    return;
+  }
+  if (sameCodexIdentity(snapId, curId) !== false) return;
+  const describe = (id) => [maskEmail(id.email), id.accountId ? `account ${maskId(String(id.accountId), 12)}` : null].filter(Boolean).join(', ') || 'unknown';
+  console.error(
+    `Warning: snapshot '${snapshotName}' is a different identity (${describe(snapId)}) ` +
+    `than label '${toAccount}' currently has (${describe(curId)}). The label will switch accounts.`
+  );
+}
+
 async function applyCodexSnapshotToAccount(snapshotName, toAccount) {
   const src = codexSnapshotAuthPath(snapshotName);
   if (!(await exists(src))) {
     throw new Error(`Snapshot '${snapshotName}' not found at ${src}.`);
   }
+  assertSafeName(toAccount, 'label');
+  await warnIfSnapshotIdentityDiffers(snapshotName, src, toAccount);
   await ensureDir(codexHostHome(toAccount));
   const dst = codexHostAuthJsonPath(toAccount);
-  await fs.copyFile(src, dst);
+  await writeCodexAuthJson(dst, await readCodexAuthJson(src));
   await syncCodexAuthToVolume(toAccount);
   return dst;
 }
@@ -0,0 +1,212 @@
+import crypto from 'node:crypto';
+
+import { CODEX_OAUTH_CLIENT_ID, CODEX_OAUTH_TOKEN_URL } from '../../core/env.js';
+import { readSecretFile, writeSecretFile } from '../../core/vault.js';
+import { decodeJwtPayload } from '../../util/format.js';
+
+// Refresh a little early so a token doesn't expire between the check and the request.
+const REFRESH_SKEW_SECONDS = 5 * 60;
+
+// A copy refreshed this recently is well inside Codex's own periodic refresh.
+const RECENT_REFRESH_MS = 24 * 3600_000;
+
+// auth.json may be vault-encrypted at rest; these two are the only way code should touch it.
+export async function readCodexAuthJson(file) {
+  const raw = await readSecretFile(file);
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new Error(`Failed to parse JSON at ${file}.`);
+  }
+}
+
+export async function writeCodexAuthJson(file, obj) {
+  await writeSecretFile(file, JSON.stringify(obj, null, 2) + '\n');
+}
+
+export function jwtExpiresAt(jwt) {
+  const exp = decodeJwtPayload(jwt)?.exp;
+  return typeof exp === 'number' && Number.isFinite(exp) ? exp : null;
+}
+
+export function codexAccessTokenNeedsRefresh(auth, { nowMs = Date.now(), skewSeconds = REFRESH_SKEW_SECONDS } = {}) {
+  const tokens = auth?.tokens;
+  if (!tokens?.refresh_token) return false;
+  if (!tokens.access_token) return true;
+  const exp = jwtExpiresAt(tokens.access_token);
+  // Opaque/undecodable tokens: let the server tell us (401) instead of guessing.
+  if (exp == null) return false;
+  return exp * 1000 - nowMs <= skewSeconds * 1000;
+}
+
+export async function requestCodexTokenRefresh(refreshToken, { timeoutMs = 10_000 } = {}) {
+  if (!refreshToken) throw new Error('Missing refresh token.');
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(CODEX_OAUTH_TOKEN_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+      },
+      body: JSON.stringify({
+        client_id: CODEX_OAUTH_CLIENT_ID,
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        scope: 'openid profile email',
+      }),
+      signal: controller.signal,
+    });
+
+    const text = await res.text();
+    if (!res.ok) {
+      const snippet = text.slice(0, 220).replace(/\s+/g, ' ').trim();
+      throw new Error(`HTTP ${res.status} from token endpoint${snippet ? `: ${snippet}` : ''}`);
+    }
+
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      throw new Error('token endpoint returned non-JSON.');
+    }
+    if (!body?.access_token) throw new Error('token endpoint response has no access_token.');
+    return body;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+export async function refreshCodexAuthFile(file, { force = false, timeoutMs = 10_000 } = {}) {
+  const auth = await readCodexAuthJson(file);
+  const refreshToken = auth?.tokens?.refresh_token;
+  if (!refreshToken) return { refreshed: false, auth };
+  if (!force && !codexAccessTokenNeedsRefresh(auth)) return { refreshed: false, auth };
+
+  const res = await requestCodexTokenRefresh(refreshToken, { timeoutMs });
+  const next = {
+    ...auth,
+    tokens: {
+      ...auth.tokens,
+      access_token: res.access_token,
+      ...(res.id_token ? { id_token: res.id_token } : {}),
+      // Refresh tokens rotate; keep the old one only if the server didn't send a new one.
+      ...(res.refresh_token ? { refresh_token: res.refresh_token } : {}),
+    },
+    last_refresh: new Date().toISOString(),
+  };
+  await writeCodexAuthJson(file, next);
+  return { refreshed: true, auth: next };
+}
+
+// Raw (unmasked) identity fields from auth.json; callers mask before printing.
+export function codexIdentityFromAuth(auth) {
+  const tokens = auth?.tokens || {};
+  const payload = decodeJwtPayload(tokens.id_token);
+  const openaiAuth = payload?.['https://api.openai.com/auth'];
+  const authMode = tokens.access_token || tokens.id_token ? 'chatgpt' : (auth?.OPENAI_API_KEY ? 'api-key' : null);
+  return {
+    authMode,
+    email: typeof payload?.email === 'string' ? payload.email : null,
+    subject: typeof payload?.sub === 'string' ? payload.sub : null,
+    accountId: openaiAuth?.chatgpt_account_id || tokens.account_id || null,
+    plan: openaiAuth?.chatgpt_plan_type || null,
+    organizations: Array.isArray(openaiAuth?.organizations) ? openaiAuth.organizations : [],
+  };
+}
+
+// true/false when the identities share a comparable field, null when there's nothing to compare.
+export function sameCodexIdentity(a, b) {
+  let compared = false;
+  for (const k of ['subject', 'accountId']) {
+    if (!a?.[k] || !b?.[k]) continue;
+    if (String(a[k]) !== String(b[k])) return false;
+    compared = true;
+  }
+  return compared ? true : null;
+}
+
+// Groups of labels logged into the same OpenAI subject or ChatGPT account id, from [{ account, identity }]
+// (identity as returned by codexIdentityFromAuth). Returns [{ field, value, accounts, relation }] with raw
+// values. A shared subject is the same user ("account"); a shared account id only means the same ChatGPT
+// workspace ("workspace"), which teammates on one Team/Enterprise plan have too.
+export function findDuplicateCodexIdentities(entries) {
+  const duplicates = [];
+  for (const field of ['subject', 'accountId']) {
+    const byValue = new Map();
+    for (const { account, identity } of entries) {
+      const value = identity?.[field];
+      if (!value) continue;
+      const key = String(value);
+      if (!byValue.has(key)) byValue.set(key, []);
+      byValue.get(key).push(account);
+    }
+    for (const [value, accounts] of byValue) {
+      if (accounts.length > 1) duplicates.push({ field, value, accounts: [...accounts].sort(), relation: field === 'subject' ? 'account' : 'workspace' });
+    }
+  }
+  return duplicates;
+}
+
+export function sameCodexCredentials(a, b) {
+  const ta = a?.tokens || {};
+  const tb = b?.tokens || {};
+  return (a?.OPENAI_API_KEY ?? null) === (b?.OPENAI_API_KEY ?? null)
+    && (ta.access_token ?? null) === (tb.access_token ?? null)
+    && (ta.refresh_token ?? null) === (tb.refresh_token ?? null)
+    && (ta.id_token ?? null) === (tb.id_token ?? null);
+}
+
+// Short digest of the credential fields (the ones sameCodexCredentials compares), so the host and volume copies
+// can be compared later without keeping either; formatting and last_refresh don't count.
+export function codexCredentialsHash(auth) {
+  const t = auth?.tokens || {};
+  const material = JSON.stringify([auth?.OPENAI_API_KEY ?? null, t.access_token ?? null, t.refresh_token ?? null, t.id_token ?? null]);
+  return crypto.createHash('sha256').update(material).digest('hex').slice(0, 16);
+}
+
+// Offline login state of an auth.json: usable when it holds an API key, a refresh token (an expired access
+// token is refreshed on next use), or an access token that hasn't expired.
+export function codexAuthStatus(auth, { nowMs = Date.now() } = {}) {
+  const tokens = auth?.tokens || {};
+  const { authMode } = codexIdentityFromAuth(auth);
+  const exp = jwtExpiresAt(tokens.access_token);
+  const tokenExpired = exp ? exp * 1000 <= nowMs : null;
+  const hasRefreshToken = Boolean(tokens.refresh_token);
+  return {
+    authMode,
+    loggedIn: authMode === 'api-key' || hasRefreshToken || (Boolean(tokens.access_token) && tokenExpired !== true),
+    tokenExpiresAt: exp ? new Date(exp * 1000).toISOString() : null,
+    tokenExpired,
+    hasRefreshToken,
+    lastRefresh: typeof auth?.last_refresh === 'string' ? auth.last_refresh : null,
+  };
+}
+
+// Orders two copies of auth.json ({ auth, mtimeMs }): > 0 when `a` is newer, < 0 when `b` is, 0 when equivalent
+// or when nothing tells them apart (the caller decides which copy wins a tie).
+// Token expiry is the strongest signal (clocks inside a Docker VM can drift), then last_refresh, then mtime.
+export function compareCodexAuthCopies(a, b) {
+  if (sameCodexCredentials(a.auth, b.auth)) return 0;
+  const ea = jwtExpiresAt(a.auth?.tokens?.access_token);
+  const eb = jwtExpiresAt(b.auth?.tokens?.access_token);
+  if (ea != null && eb != null && ea !== eb) return ea - eb;
+  const ra = Date.parse(a.auth?.last_refresh);
+  const rb = Date.parse(b.auth?.last_refresh);
+  if (Number.isFinite(ra) && Number.isFinite(rb) && ra !== rb) return ra - rb;
+  return (a.mtimeMs ?? 0) - (b.mtimeMs ?? 0);
+}
+
+// Whether a session that found `auth` in the volume may have left a different copy there. Codex only rewrites
+// auth.json when it refreshes: when the access token is about to expire (or can't be read), or on its own once
+// last_refresh is a few days old. API-key logins and tokens without a refresh token never change.
+export function codexSessionMayRefresh(auth, { nowMs = Date.now() } = {}) {
+  const tokens = auth?.tokens;
+  if (!tokens?.refresh_token) return false;
+  if (jwtExpiresAt(tokens.access_token) == null) return true;
+  if (codexAccessTokenNeedsRefresh(auth, { nowMs })) return true;
+  const refreshedMs = Date.parse(auth.last_refresh);
+  return !Number.isFinite(refreshedMs) || nowMs - refreshedMs > RECENT_REFRESH_MS;
+}
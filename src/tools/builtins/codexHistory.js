@@ -0,0 +1,161 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { ACCOUNTBOX_HOME } from '../../core/env.js';
+import { ensureDir, exists } from '../../util/fs.js';
+import { formatDurationShort, sanitizeWhamUsage } from '../../util/format.js';
+
+// One JSONL file per label; each line is one successful limits fetch.
+export function codexUsageHistoryDir() {
+  return path.join(ACCOUNTBOX_HOME, 'codex-usage');
+}
+
+export function codexUsageHistoryPath(account) {
+  return path.join(codexUsageHistoryDir(), `${account}.jsonl`);
+}
+
+export async function appendCodexUsageHistory(rows, { now = new Date() } = {}) {
+  const ok = rows.filter(r => r?.ok && r.usage);
+  if (!ok.length) return;
+  await ensureDir(codexUsageHistoryDir());
+  const ts = now.toISOString();
+  for (const r of ok) {
+    const rec = { ts, account: r.account, authMode: r.authMode || null, usage: sanitizeWhamUsage(r.usage) };
+    await fs.appendFile(codexUsageHistoryPath(r.account), JSON.stringify(rec) + '\n', { encoding: 'utf8', mode: 0o600 });
+  }
+}
+
+async function readHistoryFile(file, sinceMs) {
+  const raw = await fs.readFile(file, 'utf8');
+  const out = [];
+  for (const line of raw.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    let rec;
+    try {
+      rec = JSON.parse(line);
+    } catch {
+      // A torn/partial line shouldn't hide the rest of the history.
+      continue;
+    }
+    const t = Date.parse(rec?.ts);
+    if (!Number.isFinite(t)) continue;
+    if (sinceMs != null && t < sinceMs) continue;
+    out.push(rec);
+  }
+  return out.sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+}
+
+export async function readCodexUsageHistory({ accounts = null, sinceMs = null } = {}) {
+  const dir = codexUsageHistoryDir();
+  if (!(await exists(dir))) return [];
+
+  let labels = accounts;
+  if (!labels) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    labels = entries
+      .filter(e => e.isFile() && e.name.endsWith('.jsonl'))
+      .map(e => e.name.slice(0, -'.jsonl'.length));
+  }
+
+  const out = [];
+  for (const account of [...labels].sort((a, b) => a.localeCompare(b))) {
+    const f = codexUsageHistoryPath(account);
+    if (!(await exists(f))) continue;
+    const samples = await readHistoryFile(f, sinceMs);
+    if (samples.length) out.push({ account, samples });
+  }
+  return out;
+}
+
+function usedPercent(sample, windowKey) {
+  const n = Number(sample?.usage?.rate_limit?.[windowKey]?.used_percent);
+  return Number.isFinite(n) ? n : null;
+}
+
+// A window's used_percent only grows until it resets, so any drop between two samples is a reset.
+// The wait is measured from when the cycle's peak was first seen to the first sample after the drop.
+function summarizeWindow(samples, windowKey) {
+  const resets = [];
+  let prev = null;
+  let peak = null;
+  let peakAt = null;
+  let max = null;
+
+  for (const s of samples) {
+    const used = usedPercent(s, windowKey);
+    if (used == null) continue;
+    if (prev != null && used < prev) {
+      resets.push({
+        at: s.ts,
+        peakPercent: peak,
+        waitedSeconds: Math.max(0, Math.round((Date.parse(s.ts) - Date.parse(peakAt)) / 1000)),
+      });
+      peak = null;
+      peakAt = null;
+    }
+    if (peak == null || used > peak) {
+      peak = used;
+      peakAt = s.ts;
+    }
+    if (max == null || used > max) max = used;
+    prev = used;
+  }
+
+  if (prev == null) return null;
+  const waits = resets.map(r => r.waitedSeconds);
+  return {
+    latestPercent: prev,
+    maxPercent: max,
+    resets,
+    avgResetWaitSeconds: waits.length ? Math.round(waits.reduce((a, b) => a + b, 0) / waits.length) : null,
+  };
+}
+
+export function summarizeCodexUsageHistory(history) {
+  return history.map(({ account, samples }) => ({
+    account,
+    samples: samples.map(s => ({
+      ts: s.ts,
+      plan: s.usage?.plan_type || null,
+      primaryPercent: usedPercent(s, 'primary_window'),
+      secondaryPercent: usedPercent(s, 'secondary_window'),
+      limitReached: Boolean(s.usage?.rate_limit?.limit_reached),
+    })),
+    primary: summarizeWindow(samples, 'primary_window'),
+    secondary: summarizeWindow(samples, 'secondary_window'),
+    limitReachedSamples: samples.filter(s => s.usage?.rate_limit?.limit_reached).length,
+  }));
+}
+
+function formatTs(ts) {
+  return `${String(ts).slice(0, 16).replace('T', ' ')}Z`;
+}
+
+function formatPercent(n) {
+  return n == null ? 'n/a' : `${n}%`;
+}
+
+function formatWindowSummary(name, w) {
+  if (!w) return `${name}: n/a`;
+  const last = w.resets.length ? w.resets[w.resets.length - 1] : null;
+  const resets = w.resets.length
+    ? `${w.resets.length} reset(s), avg wait ${formatDurationShort(w.avgResetWaitSeconds)}, last ${formatDurationShort(last.waitedSeconds)} after ${formatPercent(last.peakPercent)}`
+    : 'no resets observed';
+  return `${name}: latest ${formatPercent(w.latestPercent)}, max ${formatPercent(w.maxPercent)}, ${resets}`;
+}
+
+export function printCodexUsageHistory(report, { since = null } = {}) {
+  if (!report.length) {
+    console.log(`No Codex usage history${since ? ` since ${since}` : ''}. It is recorded on every: accountbox codex limits`);
+    return;
+  }
+  console.log(`Codex usage history${since ? ` since ${since}` : ''}:`);
+  for (const r of report) {
+    console.log(`- ${r.account}: ${r.samples.length} sample(s)${r.limitReachedSamples ? `, at limit in ${r.limitReachedSamples}` : ''}`);
+    for (const s of r.samples) {
+      console.log(`    ${formatTs(s.ts)}  primary=${formatPercent(s.primaryPercent)} secondary=${formatPercent(s.secondaryPercent)}${s.limitReached ? ' (LIMIT)' : ''}`);
+    }
+    console.log(`    ${formatWindowSummary('primary', r.primary)}`);
+    console.log(`    ${formatWindowSummary('secondary', r.secondary)}`);
+  }
+}
@@ -0,0 +1,194 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { ACCOUNTBOX_HOME, CODEX_DOCKERFILE_DIR, CODEX_IMAGE_NAME, CODEX_NPM_SPEC } from '../../core/env.js';
+import { containerCli, ensureContainerRuntime, parseJsonRows } from '../../core/runtime.js';
+import { formatDurationShort } from '../../util/format.js';
+import { ensureDir, writeFileAtomic } from '../../util/fs.js';
+
+const CODEX_NPM_PACKAGE = '@openai/codex';
+
+// Stamped on every build so staleness can be judged without guessing.
+export const CODEX_IMAGE_LABELS = {
+  builtAt: 'accountbox.codex.built-at',
+  npmSpec: 'accountbox.codex.npm-spec',
+  cliVersion: 'accountbox.codex.cli-version',
+};
+
+// `latest` follows CODEX_NPM_SPEC; a pinned codex_version gets its own tag (accountbox-codex:0.46.0).
+export function codexImageTag(version = null) {
+  return version || 'latest';
+}
+
+export function codexImageRef(version = null) {
+  return `${CODEX_IMAGE_NAME}:${codexImageTag(version)}`;
+}
+
+export function codexNpmSpecFor(version = null) {
+  return version ? `${CODEX_NPM_PACKAGE}@${version}` : CODEX_NPM_SPEC;
+}
+
+export async function codexImageExists(version = null) {
+  const inspect = await containerCli(['image', 'inspect', codexImageRef(version)], { reject: false, stdio: 'ignore' });
+  return inspect.exitCode === 0;
+}
+
+// Last-use times per tag, so `codex images prune` can tell which pinned versions no repo runs anymore.
+function codexImageUsagePath() {
+  return path.join(ACCOUNTBOX_HOME, 'codex-images.json');
+}
+
+async function readCodexImageUsage() {
+  try {
+    const obj = JSON.parse(await fs.readFile(codexImageUsagePath(), 'utf8'));
+    return obj && typeof obj === 'object' ? obj : {};
+  } catch {
+    return {};
+  }
+}
+
+async function writeCodexImageUsage(usage) {
+  await ensureDir(ACCOUNTBOX_HOME);
+  await writeFileAtomic(codexImageUsagePath(), JSON.stringify(usage, null, 2) + '\n');
+}
+
+async function recordCodexImageUse(version) {
+  try {
+    const usage = await readCodexImageUsage();
+    usage[codexImageTag(version)] = { lastUsedAt: new Date().toISOString() };
+    await writeCodexImageUsage(usage);
+  } catch {
+    // Bookkeeping only; never block a run on it.
+  }
+}
+
+async function buildCodexImage(version) {
+  const ref = codexImageRef(version);
+  const spec = codexNpmSpecFor(version);
+  if (version) console.error(`accountbox: building ${ref} (${spec}) for codex_version = "${version}"`);
+  await containerCli([
+    'build',
+    '-f', path.join(CODEX_DOCKERFILE_DIR, 'Dockerfile.codex'),
+    '-t', ref,
+    '--build-arg', `CODEX_NPM_SPEC=${spec}`,
+    '--label', `${CODEX_IMAGE_LABELS.builtAt}=${new Date().toISOString()}`,
+    '--label', `${CODEX_IMAGE_LABELS.npmSpec}=${spec}`,
+    CODEX_DOCKERFILE_DIR,
+  ], { stdio: 'inherit' });
+
+  // The installed version is only known after the build; stamp it with a label-only rebuild (no new layers).
+  const v = await containerCli(['run', '--rm', ref, '-V'], { reject: false });
+  const cliVersion = v.exitCode === 0 ? v.stdout.trim() : '';
+  if (!cliVersion) return;
+  // A real context dir rather than `build -` on stdin, which podman and nerdctl handle differently.
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-stamp-'));
+  try {
+    await fs.writeFile(path.join(dir, 'Dockerfile'), `FROM ${ref}\n`);
+    await containerCli(['build', '-t', ref, '--label', `${CODEX_IMAGE_LABELS.cliVersion}=${cliVersion}`, dir], {
+      stdout: 'ignore',
+      stderr: 'inherit',
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+export async function ensureCodexImage({ forceRebuild = false, version = null } = {}) {
+  await ensureContainerRuntime();
+
+  const ref = codexImageRef(version);
+  if (forceRebuild || !(await codexImageExists(version))) await buildCodexImage(version);
+  await recordCodexImageUse(version);
+  return ref;
+}
+
+// Build stamps of a local image, or null when it doesn't exist. Images built before stamping have null fields.
+export async function inspectCodexImage(version = null) {
+  const ref = codexImageRef(version);
+  const res = await containerCli(['image', 'inspect', '--format', '{{json .Config.Labels}}', ref], { reject: false });
+  if (res.exitCode !== 0) return null;
+  let labels = null;
+  try {
+    labels = JSON.parse(res.stdout);
+  } catch {
+    labels = null;
+  }
+  return {
+    ref,
+    builtAt: labels?.[CODEX_IMAGE_LABELS.builtAt] || null,
+    npmSpec: labels?.[CODEX_IMAGE_LABELS.npmSpec] || null,
+    cliVersion: labels?.[CODEX_IMAGE_LABELS.cliVersion] || null,
+  };
+}
+
+export function formatImageAge(ageSeconds) {
+  if (ageSeconds == null) return 'unknown age';
+  return ageSeconds < 60 ? 'just now' : `${formatDurationShort(ageSeconds)} ago`;
+}
+
+// Why an image should be rebuilt (empty `reasons` = fresh). `maxAgeMs` null disables the age check.
+export function codexImageStaleness(info, { npmSpec, maxAgeMs = null, nowMs = Date.now() } = {}) {
+  const reasons = [];
+  if (!info) return { stale: true, ageSeconds: null, reasons: ['image not built yet'] };
+
+  const builtMs = Date.parse(info.builtAt);
+  const ageSeconds = Number.isFinite(builtMs) ? Math.max(0, Math.round((nowMs - builtMs) / 1000)) : null;
+  if (ageSeconds == null) reasons.push('build time unknown (built before accountbox stamped images)');
+  else if (maxAgeMs != null && ageSeconds * 1000 > maxAgeMs) reasons.push(`built ${formatImageAge(ageSeconds)} (max age ${formatDurationShort(maxAgeMs / 1000)})`);
+
+  if (info.npmSpec && npmSpec && info.npmSpec !== npmSpec) reasons.push(`npm spec changed (${info.npmSpec} -> ${npmSpec})`);
+  else if (!info.npmSpec) reasons.push('npm spec unknown (built before accountbox stamped images)');
+
+  return { stale: reasons.length > 0, ageSeconds, reasons };
+}
+
+export async function listCodexImages() {
+  await ensureContainerRuntime();
+  const res = await containerCli(['image', 'ls', '--format', '{{json .}}', CODEX_IMAGE_NAME]);
+  const usage = await readCodexImageUsage();
+  const images = [];
+  for (const row of parseJsonRows(res.stdout)) {
+    if (!row?.Tag || row.Tag === '<none>') continue;
+    const version = row.Tag === 'latest' ? null : row.Tag;
+    images.push({
+      ref: `${CODEX_IMAGE_NAME}:${row.Tag}`,
+      tag: row.Tag,
+      version,
+      npmSpec: codexNpmSpecFor(version),
+      id: row.ID || null,
+      size: row.Size || null,
+      createdAt: row.CreatedAt || null,
+      lastUsedAt: usage[row.Tag]?.lastUsedAt || null,
+    });
+  }
+  // latest first, then pinned versions newest-first.
+  return images.sort((a, b) => (a.version == null ? -1 : b.version == null ? 1 : b.tag.localeCompare(a.tag, undefined, { numeric: true })));
+}
+
+// Removes pinned-version images not used for `unusedForMs` (never `latest`, never versions in `keep`).
+export async function pruneCodexImages({ keep = [], unusedForMs = 30 * 24 * 3600_000, dryRun = false, nowMs = Date.now() } = {}) {
+  const images = await listCodexImages();
+  const candidates = images.filter((img) => {
+    if (img.version == null || keep.includes(img.version)) return false;
+    const last = Date.parse(img.lastUsedAt);
+    return !Number.isFinite(last) || nowMs - last >= unusedForMs;
+  });
+
+  const removed = [];
+  const failed = [];
+  if (!dryRun) {
+    const usage = await readCodexImageUsage();
+    for (const img of candidates) {
+      const r = await containerCli(['image', 'rm', img.ref], { reject: false });
+      if (r.exitCode === 0) {
+        removed.push(img);
+        delete usage[img.tag];
+      } else {
+        failed.push({ ...img, error: String(r.stderr || '').trim() || `exit ${r.exitCode}` });
+      }
+    }
+    if (removed.length) await writeCodexImageUsage(usage);
+  }
+  return { candidates, removed, failed, kept: images.filter(img => !candidates.includes(img)) };
+}
@@ -0,0 +1,236 @@
+import crypto from 'node:crypto';
+import http from 'node:http';
+import process from 'node:process';
+import readline from 'node:readline';
+import qrcode from 'qrcode-terminal';
+
+import { CODEX_OAUTH_AUTHORIZE_URL, CODEX_OAUTH_CLIENT_ID, CODEX_OAUTH_TOKEN_URL } from '../../core/env.js';
+import { decodeJwtPayload } from '../../util/format.js';
+
+// Login without a local browser (SSH sessions, headless boxes): the auth URL is shown as a QR code, the user
+// signs in on any device, and the callback URL their browser lands on (it can't load this machine's
+// localhost) is pasted back here.
+
+// Codex's OAuth client only accepts this redirect; the browser never has to actually reach it.
+export const CODEX_LOGIN_REDIRECT_URI = 'http://localhost:1455/auth/callback';
+export const CODEX_LOGIN_REDIRECT_PORT = 1455;
+
+const SCOPES = 'openid profile email offline_access';
+
+function base64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+// PKCE authorization request, with the same parameters the Codex CLI sends.
+export function createCodexLoginRequest({ redirectUri = CODEX_LOGIN_REDIRECT_URI } = {}) {
+  const codeVerifier = base64url(crypto.randomBytes(64));
+  const state = base64url(crypto.randomBytes(32));
+  const url = new URL(CODEX_OAUTH_AUTHORIZE_URL);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: CODEX_OAUTH_CLIENT_ID,
+    redirect_uri: redirectUri,
+    scope: SCOPES,
+    code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+    code_challenge_method: 'S256',
+    id_token_add_organizations: 'true',
+    codex_cli_simplified_flow: 'true',
+    state,
+  }).toString();
+  return { url: url.toString(), state, codeVerifier, redirectUri };
+}
+
+// Accepts what users actually paste: the full callback URL, just its query string, or the bare code.
+// Returns { code, state, path } (state/path are null for a bare code). `requireState` rejects input without a
+// state, for callbacks handed to a listener that checks it (Codex's own on :1455). With `expectedState`, a URL
+// or query string must carry that state; only a bare code may go without one.
+export function parseLoginCallback(input, { expectedState = null, requireState = false } = {}) {
+  const text = String(input || '').trim().replace(/^['"]|['"]$/g, '');
+  if (!text) throw new Error('Nothing pasted. Paste the full URL from the browser address bar (it starts with http://localhost:1455/).');
+
+  let params = null;
+  let path = null;
+  if (/^https?:\/\//i.test(text)) {
+    const u = new URL(text);
+    params = u.searchParams;
+    path = u.pathname;
+  } else if (text.includes('code=') || text.includes('error=')) {
+    params = new URLSearchParams(text.replace(/^[^?]*\?/, ''));
+  }
+
+  if (!params) {
+    if (/\s/.test(text)) throw new Error("That doesn't look like a callback URL or an authorization code.");
+    if (requireState) throw new Error('A bare code is not enough here: the waiting Codex login also checks the state. Paste the full URL from the address bar (http://localhost:1455/auth/callback?code=...&state=...).');
+    return { code: text, state: null, path: null };
+  }
+  if (params.get('error')) {
+    throw new Error(`Sign-in failed: ${params.get('error_description') || params.get('error')}`);
+  }
+  const code = params.get('code');
+  if (!code) throw new Error('The pasted URL has no ?code=. Copy the address bar after signing in, once the page fails to load.');
+  const state = params.get('state');
+  if ((requireState || expectedState) && !state) throw new Error('The pasted URL has no &state=. Copy the whole address bar, not just the code.');
+  if (expectedState && state !== expectedState) {
+    throw new Error('The pasted URL belongs to a different login attempt (state mismatch). Use the URL from this login.');
+  }
+  return { code, state, path };
+}
+
+export async function exchangeCodexLoginCode({ code, codeVerifier, redirectUri = CODEX_LOGIN_REDIRECT_URI, timeoutMs = 15_000 }) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    let res;
+    try {
+      res = await fetch(CODEX_OAUTH_TOKEN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: new URLSearchParams({
+          grant_type: 'authorization_code',
+          code,
+          redirect_uri: redirectUri,
+          client_id: CODEX_OAUTH_CLIENT_ID,
+          code_verifier: codeVerifier,
+        }).toString(),
+        signal: controller.signal,
+      });
+    } catch (e) {
+      throw new Error(`Could not reach ${CODEX_OAUTH_TOKEN_URL}: ${e?.cause?.message || e?.message || String(e)}`);
+    }
+    const text = await res.text();
+    if (!res.ok) {
+      const snippet = text.slice(0, 220).replace(/\s+/g, ' ').trim();
+      throw new Error(`HTTP ${res.status} from token endpoint${snippet ? `: ${snippet}` : ''}. Codes are single-use and expire quickly; run login again.`);
+    }
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      throw new Error('token endpoint returned non-JSON.');
+    }
+    if (!body?.access_token || !body?.refresh_token) throw new Error('token endpoint response is missing access_token or refresh_token.');
+    return body;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// The auth.json layout the Codex CLI writes after a ChatGPT login.
+export function codexAuthFromTokens(tokens, { now = new Date() } = {}) {
+  const claims = decodeJwtPayload(tokens.id_token)?.['https://api.openai.com/auth'];
+  return {
+    OPENAI_API_KEY: null,
+    tokens: {
+      id_token: tokens.id_token || null,
+      access_token: tokens.access_token,
+      refresh_token: tokens.refresh_token,
+      account_id: claims?.chatgpt_account_id || null,
+    },
+    last_refresh: now.toISOString(),
+  };
+}
+
+export function printLoginQrCode(url, { stream = process.stdout } = {}) {
+  qrcode.generate(url, { small: true }, (qr) => {
+    stream.write(`${qr}\n`);
+  });
+}
+
+// Prompts on stdin until a pasted callback parses (errors are explained and asked again). Resolves null when
+// `signal` cancels the prompt (e.g. the login finished some other way) or stdin closes. One readline interface
+// serves every attempt, so piped input isn't lost between prompts.
+export function readLoginCallback({ expectedState = null, requireState = false, signal, question = 'Paste the URL (or code) here: ' } = {}) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: Boolean(process.stdin.isTTY) });
+    let done = false;
+    const finish = (value) => {
+      if (done) return;
+      done = true;
+      signal?.removeEventListener('abort', onAbort);
+      rl.close();
+      resolve(value);
+    };
+    const onAbort = () => {
+      // End the dangling prompt line before the login's own output continues.
+      if (process.stdin.isTTY) process.stderr.write('\n');
+      finish(null);
+    };
+    signal?.addEventListener('abort', onAbort);
+    rl.on('close', () => finish(null));
+
+    const ask = () => rl.question(question, (answer) => {
+      try {
+        finish(parseLoginCallback(answer, { expectedState, requireState }));
+      } catch (e) {
+        console.error(e?.message || String(e));
+        ask();
+      }
+    });
+    ask();
+  });
+}
+
+// Hands a pasted callback to the Codex CLI's own listener on this machine, which then finishes its login.
+export async function relayLoginCallback(callback, { port = 1455, timeoutMs = 15_000 } = {}) {
+  const url = new URL(callback.path || '/auth/callback', `http://127.0.0.1:${port}`);
+  url.searchParams.set('code', callback.code);
+  if (callback.state) url.searchParams.set('state', callback.state);
+  const res = await fetch(url, { redirect: 'manual', signal: AbortSignal.timeout(timeoutMs) });
+  await res.arrayBuffer().catch(() => {});
+  if (res.status >= 400) throw new Error(`Codex's login listener answered HTTP ${res.status}.`);
+}
+
+function callbackPage(title, message) {
+  const esc = t => String(t).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  return `<!doctype html><meta charset="utf-8"><title>${esc(title)}</title><h1>${esc(title)}</h1><p>${esc(message)}</p>\n`;
+}
+
+// Callback relay: receives the provider's redirect on `port` (directly, or through a forward of
+// localhost:1455 such as `ssh -L 1455:127.0.0.1:<port>`) and hands it to `onCallback`. `done` resolves
+// once a callback was handled; failures are shown in the browser and the relay keeps waiting.
+export async function startLoginCallbackServer({ port, host = '127.0.0.1', expectedState, onCallback }) {
+  let resolveDone;
+  const done = new Promise((resolve) => { resolveDone = resolve; });
+  let handled = false;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${host}:${port}`);
+    if (req.method !== 'GET' || url.pathname !== '/auth/callback') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+    if (handled) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(callbackPage('Already signed in', 'accountbox already finished this login. You can close this tab.'));
+      return;
+    }
+    try {
+      // Only the provider's redirect lands here, and it always carries the state.
+      const callback = parseLoginCallback(url.toString(), { expectedState, requireState: true });
+      await onCallback(callback);
+      handled = true;
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(callbackPage('Signed in', 'accountbox finished the login. You can close this tab.'));
+      resolveDone();
+    } catch (e) {
+      res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(callbackPage('Sign-in failed', e?.message || String(e)));
+      console.error(`accountbox: login callback failed: ${e?.message || String(e)}`);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen({ port, host }, resolve);
+  });
+  return {
+    port: server.address().port,
+    done,
+    close: () => new Promise((r) => {
+      server.close(() => r());
+      // Browsers keep the connection alive; don't wait for them to let go.
+      server.closeAllConnections?.();
+    }),
+  };
+}
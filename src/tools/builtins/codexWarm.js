@@ -0,0 +1,140 @@
+import crypto from 'node:crypto';
+import process from 'node:process';
+
+import { parseKeepalive } from '../../config/codexContainer.js';
+import { formatDurationShort } from '../../util/format.js';
+
+// Warm Codex containers: one long-lived container per label and repo (`[codex] keepalive`), which sessions
+// enter with `exec` instead of paying for a fresh `run` each time. The container's own PID 1 stops it once no
+// session has been attached for the idle timeout; `--rm` then removes it.
+
+const KEEPALIVE_ENV = 'ACCOUNTBOX_CODEX_KEEPALIVE';
+
+export const CODEX_WARM_LABELS = {
+  warm: 'accountbox.codex.warm',
+  account: 'accountbox.codex.account',
+  repo: 'accountbox.codex.repo',
+  config: 'accountbox.codex.config',
+  idle: 'accountbox.codex.idle-seconds',
+};
+
+// Processes started by `exec` have no parent inside the container (PPid 0); anything the watchdog itself
+// starts hangs off PID 1. So "another PPid-0 process exists" means a session is attached.
+const BUSY_FN = 'busy() { for f in /proc/[0-9]*/status; do [ "$f" = /proc/1/status ] || [ "$f" = "/proc/$$/status" ] && continue; grep -q "^PPid:.0$" "$f" 2>/dev/null && return 0; done; return 1; }';
+
+function watchdogScript(idleSeconds) {
+  return [
+    BUSY_FN,
+    "trap 'exit 0' TERM INT",
+    'last=$(date +%s)',
+    'while :; do',
+    '  sleep 5 & wait $!',
+    `  if busy; then last=$(date +%s); elif [ $(( $(date +%s) - last )) -ge ${idleSeconds} ]; then exit 0; fi`,
+    'done',
+  ].join('\n');
+}
+
+// ACCOUNTBOX_CODEX_KEEPALIVE (e.g. "30m", "off") wins over `[codex] keepalive`.
+export function resolveCodexKeepalive(configuredMs, env = process.env) {
+  const fromEnv = env[KEEPALIVE_ENV]?.trim();
+  if (fromEnv) return parseKeepalive(fromEnv, KEEPALIVE_ENV);
+  return configuredMs ?? null;
+}
+
+function repoHash(cwd) {
+  return crypto.createHash('sha256').update(cwd).digest('hex').slice(0, 10);
+}
+
+export function warmCodexContainerName(account, cwd) {
+  return `accountbox-codex-${account}-${repoHash(cwd)}`;
+}
+
+// Identifies everything baked into a warm container at `run` time; a change means it has to be replaced.
+function warmConfigHash(imageId, runArgs, idleSeconds) {
+  return crypto.createHash('sha256').update(JSON.stringify({ imageId, runArgs, idleSeconds })).digest('hex').slice(0, 16);
+}
+
+async function imageId(runtime, image) {
+  const r = await runtime.exec(['image', 'inspect', '--format', '{{.Id}}', image], { reject: false });
+  return r.exitCode === 0 ? r.stdout.trim() : image;
+}
+
+export async function listWarmCodexContainers(runtime) {
+  const rows = await runtime.listContainers(`${CODEX_WARM_LABELS.warm}=1`);
+  return rows.map(c => ({
+    name: c.name,
+    id: c.id,
+    account: c.labels[CODEX_WARM_LABELS.account] || null,
+    repo: c.labels[CODEX_WARM_LABELS.repo] || null,
+    config: c.labels[CODEX_WARM_LABELS.config] || null,
+    idleSeconds: Number(c.labels[CODEX_WARM_LABELS.idle]) || null,
+    running: c.state === 'running',
+    status: c.status,
+    createdAt: c.createdAt,
+  }));
+}
+
+async function hasAttachedSession(runtime, name) {
+  const r = await runtime.exec(['exec', name, 'sh', '-c', `${BUSY_FN}; busy`], { reject: false, stdio: 'ignore' });
+  return r.exitCode === 0;
+}
+
+async function removeContainers(runtime, names) {
+  if (!names.length) return;
+  // `rm -f` rather than `stop`: the watchdog exits on TERM anyway, and this also clears exited leftovers.
+  await runtime.exec(['rm', '-f', ...names], { reject: false, stdio: 'ignore' });
+}
+
+// Returns the name of a running warm container for (account, cwd) with exactly `runArgs`, starting or
+// replacing it as needed, or null when the existing one differs but still has a session attached (the caller
+// then falls back to a one-off container rather than cutting that session off).
+export async function ensureWarmCodexContainer(runtime, { account, cwd, image, runArgs, idleMs }) {
+  const name = warmCodexContainerName(account, cwd);
+  const idleSeconds = Math.max(1, Math.round(idleMs / 1000));
+  const config = warmConfigHash(await imageId(runtime, image), runArgs, idleSeconds);
+
+  const find = async () => (await listWarmCodexContainers(runtime)).find(c => c.name === name);
+  const usable = c => c && c.running && c.config === config && c.account === account && c.repo === cwd;
+
+  const existing = await find();
+  if (usable(existing)) return name;
+  if (existing) {
+    if (existing.running && await hasAttachedSession(runtime, name)) {
+      console.error(`accountbox: warm container ${name} was started with different settings and is in use; running this session in a fresh container.`);
+      return null;
+    }
+    await removeContainers(runtime, [name]);
+  }
+
+  const started = await runtime.exec([
+    'run', '-d', '--rm',
+    '--name', name,
+    '--label', `${CODEX_WARM_LABELS.warm}=1`,
+    '--label', `${CODEX_WARM_LABELS.account}=${account}`,
+    '--label', `${CODEX_WARM_LABELS.repo}=${cwd}`,
+    '--label', `${CODEX_WARM_LABELS.config}=${config}`,
+    '--label', `${CODEX_WARM_LABELS.idle}=${idleSeconds}`,
+    ...runArgs,
+    '--entrypoint', 'sh',
+    image,
+    '-c', watchdogScript(idleSeconds),
+  ], { reject: false });
+  if (started.exitCode === 0) return name;
+
+  // Another accountbox process may have started the same container a moment ago.
+  if (usable(await find())) return name;
+  throw new Error(`Failed to start warm container ${name}: ${String(started.stderr || '').trim() || `exit ${started.exitCode}`}`);
+}
+
+// Stops warm containers matching `account` and/or `repo` (all of them when neither is given).
+export async function stopWarmCodexContainers(runtime, { account = null, repo = null } = {}) {
+  const matching = (await listWarmCodexContainers(runtime))
+    .filter(c => (!account || c.account === account) && (!repo || c.repo === repo));
+  await removeContainers(runtime, matching.map(c => c.name));
+  return matching;
+}
+
+export function formatWarmContainer(c) {
+  const idle = c.idleSeconds ? `idle timeout ${formatDurationShort(c.idleSeconds)}` : null;
+  return `${c.account || '?'} ${c.repo || '?'} (${[c.running ? c.status : `not running: ${c.status}`, idle].filter(Boolean).join(', ')})`;
+}
@@ -0,0 +1,177 @@
+import process from 'node:process';
+
+import { formatCredits, formatDurationShort } from '../../util/format.js';
+
+const MAX_BACKOFF_MS = 30 * 60_000;
+
+const ANSI = {
+  clear: '\x1b[H\x1b[2J',
+  hideCursor: '\x1b[?25l',
+  showCursor: '\x1b[?25h',
+  reset: '\x1b[0m',
+  dim: '\x1b[2m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+};
+
+function windowPercent(rl, key) {
+  const n = Number(rl?.[key]?.used_percent);
+  return Number.isFinite(n) ? n : null;
+}
+
+function resetCountdown(rl, key, elapsedSeconds) {
+  const s = Number(rl?.[key]?.reset_after_seconds);
+  if (!Number.isFinite(s)) return 'n/a';
+  const left = s - elapsedSeconds;
+  return left <= 0 ? 'now' : formatDurationShort(left);
+}
+
+function rowSeverity(usage, thresholdPercent) {
+  const rl = usage?.rate_limit;
+  if (!rl) return null;
+  if (rl.allowed === false || rl.limit_reached) return 'limit';
+  const used = [windowPercent(rl, 'primary_window'), windowPercent(rl, 'secondary_window')].filter(n => n != null);
+  return used.some(n => n >= thresholdPercent) ? 'warn' : null;
+}
+
+function padTable(rows) {
+  const widths = [];
+  for (const r of rows) r.cells.forEach((c, i) => { widths[i] = Math.max(widths[i] || 0, c.length); });
+  return rows.map(r => ({ ...r, text: r.cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd() }));
+}
+
+function renderWatchTable(state, { nowMs, thresholdPercent, color }) {
+  const header = { cells: ['LABEL', 'AUTH', 'PLAN', 'PRIMARY', 'SECONDARY', 'P-RESET', 'S-RESET', 'CREDITS', 'STATUS'] };
+  const rows = [header];
+
+  for (const [account, s] of [...state.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
+    const last = s.lastOk;
+    const u = last?.usage;
+    const rl = u?.rate_limit;
+    const elapsed = last ? (nowMs - last.fetchedAt) / 1000 : 0;
+    const pct = (key) => { const n = windowPercent(rl, key); return n == null ? 'n/a' : `${n}%`; };
+
+    let status = 'ok';
+    if (s.lastError) {
+      const retry = Math.max(0, Math.round((s.nextAttemptAt - nowMs) / 1000));
+      status = `${last ? 'stale; ' : ''}error: ${s.lastError} (retry in ${retry > 0 ? formatDurationShort(retry) : 'now'})`;
+    } else if (rl?.allowed === false) {
+      status = 'blocked';
+    } else if (rl?.limit_reached) {
+      status = 'LIMIT';
+    }
+
+    rows.push({
+      severity: s.lastError && !last ? 'error' : rowSeverity(u, thresholdPercent),
+      cells: [
+        account,
+        last?.authMode || 'n/a',
+        u?.plan_type || 'n/a',
+        pct('primary_window'),
+        pct('secondary_window'),
+        last ? resetCountdown(rl, 'primary_window', elapsed) : 'n/a',
+        last ? resetCountdown(rl, 'secondary_window', elapsed) : 'n/a',
+        last ? formatCredits(u?.credits) : 'n/a',
+        status,
+      ],
+    });
+  }
+
+  return padTable(rows).map((r, i) => {
+    if (!color) return r.text;
+    if (i === 0) return `${ANSI.dim}${r.text}${ANSI.reset}`;
+    if (r.severity === 'limit' || r.severity === 'error') return `${ANSI.red}${r.text}${ANSI.reset}`;
+    if (r.severity === 'warn') return `${ANSI.yellow}${r.text}${ANSI.reset}`;
+    return r.text;
+  });
+}
+
+// Polls all labels on an interval and redraws a table in place (TTY) or appends snapshots (pipes).
+// Labels that fail are retried with exponential backoff so one bad label doesn't stall the rest.
+export async function runCodexLimitsWatch({
+  listAccounts,
+  fetchLimits,
+  onRows = async () => {},
+  intervalMs = 60_000,
+  thresholdPercent = 80,
+  count = null,
+  out = process.stdout,
+} = {}) {
+  const tty = Boolean(out.isTTY);
+  const color = tty && !process.env.NO_COLOR;
+  const state = new Map();
+  let stopped = false;
+  let wake = null;
+
+  const stop = () => {
+    stopped = true;
+    wake?.();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  const sleep = (ms) => new Promise((resolve) => {
+    const t = setTimeout(resolve, ms);
+    wake = () => { clearTimeout(t); resolve(); };
+  });
+
+  const draw = (nextFetchAt) => {
+    const nowMs = Date.now();
+    const next = Math.max(0, Math.round((nextFetchAt - nowMs) / 1000));
+    const lines = [
+      `Codex limits — ${new Date(nowMs).toISOString().slice(11, 19)}Z, next refresh in ${next}s (every ${formatDurationShort(intervalMs / 1000)}, threshold ${thresholdPercent}%)${tty ? ' — Ctrl-C to quit' : ''}`,
+      ...(state.size ? renderWatchTable(state, { nowMs, thresholdPercent, color }) : ['No Codex accounts found under ~/.accountbox/codex yet.']),
+    ];
+    out.write(tty ? `${ANSI.clear}${lines.join('\n')}\n` : `${lines.join('\n')}\n\n`);
+  };
+
+  if (tty) out.write(ANSI.hideCursor);
+  try {
+    let rounds = 0;
+    while (!stopped) {
+      const nowMs = Date.now();
+      const accounts = (await listAccounts()).map(a => a.account);
+      for (const a of accounts) if (!state.has(a)) state.set(a, { failures: 0, nextAttemptAt: 0, lastError: null, lastOk: null });
+      for (const a of [...state.keys()]) if (!accounts.includes(a)) state.delete(a);
+
+      const due = accounts.filter(a => state.get(a).nextAttemptAt <= nowMs);
+      const rows = due.length ? await fetchLimits(due) : [];
+      await onRows(rows);
+
+      const fetchedAt = Date.now();
+      for (const r of rows) {
+        const s = state.get(r.account);
+        if (!s) continue;
+        if (r.ok) {
+          Object.assign(s, { failures: 0, nextAttemptAt: 0, lastError: null, lastOk: { usage: r.usage, authMode: r.authMode, fetchedAt } });
+        } else {
+          s.failures += 1;
+          s.lastError = r.error || 'unknown error';
+          s.nextAttemptAt = fetchedAt + Math.min(intervalMs * 2 ** s.failures, Math.max(MAX_BACKOFF_MS, intervalMs));
+        }
+      }
+
+      rounds += 1;
+      const nextFetchAt = fetchedAt + intervalMs;
+      if (count != null && rounds >= count) {
+        draw(fetchedAt);
+        break;
+      }
+
+      // Redraw every second on a TTY so the countdowns tick; pipes get one snapshot per refresh.
+      if (!tty) {
+        draw(nextFetchAt);
+        await sleep(intervalMs);
+        continue;
+      }
+      while (!stopped && Date.now() < nextFetchAt) {
+        draw(nextFetchAt);
+        await sleep(Math.min(1000, Math.max(0, nextFetchAt - Date.now())));
+      }
+    }
+  } finally {
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+    if (tty) out.write(ANSI.showCursor);
+  }
+}
@@ -1,7 +1,10 @@
-import { execa } from 'execa';
+import { ensureVolumeOwner, resolveContainerUser } from '../../core/containerUser.js';
+import { prepareSandboxRun } from '../../core/egressProxy.js';
+import { ensureContainerRuntime } from '../../core/runtime.js';
 
-export async function runContainerTool({ toolId, account, image, args, cwd, workdir = '/work', configMountPath }) {
-  await execa('docker', ['ps'], { stdio: 'ignore' });
+export async function runContainerTool({ toolId, account, image, args, cwd, workdir = '/work', configMountPath, sandbox = null }) {
+  const runtime = await ensureContainerRuntime();
+  const user = await resolveContainerUser(runtime);
 
   const interactive = process.stdin.isTTY && process.stdout.isTTY;
 
@@ -12,14 +15,22 @@ export async function runContainerTool({ toolId, account, image, args, cwd, work
 
   if (configMountPath) {
     const volume = `accountbox_${toolId}_${account}`;
+    await ensureVolumeOwner(runtime, volume, user.owner);
     mounts.push('-v', `${volume}:${configMountPath}`);
   }
 
-  await execa('docker', [
-    'run', '--rm',
-    ...(interactive ? ['-it'] : ['-i']),
-    ...mounts,
-    image,
-    ...args,
-  ], { stdio: 'inherit' });
+  const sandboxRun = await prepareSandboxRun(sandbox, runtime);
+  try {
+    await runtime.exec([
+      'run', '--rm',
+      ...(interactive ? ['-it'] : ['-i']),
+      ...user.args,
+      ...sandboxRun.args,
+      ...mounts,
+      image,
+      ...args,
+    ], { stdio: 'inherit' });
+  } finally {
+    await sandboxRun.close();
+  }
 }
@@ -0,0 +1,281 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+
+import { ACCOUNTBOX_HOME } from '../core/env.js';
+import { assertSafeName } from '../util/args.js';
+import { ensureDir, exists } from '../util/fs.js';
+import { timestampForFilename } from '../util/time.js';
+
+// File-set snapshots: for tools whose login lives in a few files inside the label's dirs, a snapshot is a copy
+// of those files (plus meta.json) under ~/.accountbox/<toolId>-snapshots/<name>/. A tool opts in with a spec:
+//
+//   toolId        'claude' -> ~/.accountbox/claude-snapshots
+//   labelDir      account => the label's directory
+//   roots         dirs under labelDir to search, e.g. ['config', 'data']
+//   files         basenames to capture wherever they appear under the roots
+//   skipDirs      directory names never descended into (project history, caches)
+//   keepKeys      { basename: [keys] }: top-level JSON keys left out of the snapshot and kept from the target
+//                 label on switch
+//   describe      (files: { relPath: parsed JSON or text }) => masked identity fields for meta.json
+//   identityOf    meta => string that must match for a switch not to warn, or null
+//
+// and gets a store (createFileSnapshots) plus ready-made tool methods (snapshotCommands).
+
+const MAX_DEPTH = 4;
+
+async function findSnapshotFiles(spec, account) {
+  const base = spec.labelDir(account);
+  const wanted = new Set(spec.files);
+  const skip = new Set(spec.skipDirs || []);
+  const found = [];
+
+  const walk = async (rel, depth) => {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(base, rel), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const e of entries) {
+      const child = path.join(rel, e.name);
+      if (e.isDirectory() && !skip.has(e.name) && depth < MAX_DEPTH) await walk(child, depth + 1);
+      else if (e.isFile() && wanted.has(e.name)) found.push(child);
+    }
+  };
+  for (const root of spec.roots) await walk(root, 0);
+  return found.sort();
+}
+
+function parseMaybeJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+async function writePrivateFile(file, content) {
+  await fs.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+  await fs.writeFile(file, content, { encoding: 'utf8', mode: 0o600 });
+  await fs.chmod(file, 0o600);
+}
+
+export function createFileSnapshots(spec) {
+  const root = path.join(ACCOUNTBOX_HOME, `${spec.toolId}-snapshots`);
+  const dirOf = name => path.join(root, name);
+  const filesDirOf = name => path.join(dirOf(name), 'files');
+  const metaPathOf = name => path.join(dirOf(name), 'meta.json');
+  const keptKeys = rel => spec.keepKeys?.[path.basename(rel)] || [];
+
+  async function requireSnapshot(name) {
+    assertSafeName(name, 'snapshot name');
+    if (!(await exists(dirOf(name)))) {
+      throw new Error(`Snapshot '${name}' not found under ${root}. List them with: accountbox ${spec.toolId} snapshots`);
+    }
+  }
+
+  async function readFiles(base, rels) {
+    const out = {};
+    for (const rel of rels) out[rel] = parseMaybeJson(await fs.readFile(path.join(base, rel), 'utf8'));
+    return out;
+  }
+
+  async function read(name) {
+    let meta = null;
+    try {
+      meta = JSON.parse(await fs.readFile(metaPathOf(name), 'utf8'));
+    } catch {
+      meta = null;
+    }
+    return { name, sourceAccount: null, createdAt: null, files: [], ...meta, path: dirOf(name) };
+  }
+
+  return {
+    root,
+
+    async save(account, name) {
+      assertSafeName(account, 'label');
+      assertSafeName(name, 'snapshot name');
+      const rels = await findSnapshotFiles(spec, account);
+      if (!rels.length) {
+        throw new Error(`Nothing to snapshot for ${spec.toolId} label '${account}' (no ${spec.files.join(', ')} under ${spec.labelDir(account)}). Log in first.`);
+      }
+      const contents = {};
+      for (const rel of rels) {
+        const text = await fs.readFile(path.join(spec.labelDir(account), rel), 'utf8');
+        const drop = keptKeys(rel);
+        const parsed = parseMaybeJson(text);
+        if (drop.length && parsed && typeof parsed === 'object') {
+          for (const k of drop) delete parsed[k];
+          contents[rel] = JSON.stringify(parsed, null, 2) + '\n';
+        } else {
+          contents[rel] = text;
+        }
+      }
+
+      // Write next to the final location, then swap, so a failed save never leaves half a snapshot behind.
+      const tmp = `${dirOf(name)}.tmp-${process.pid}`;
+      await fs.rm(tmp, { recursive: true, force: true });
+      for (const [rel, text] of Object.entries(contents)) await writePrivateFile(path.join(tmp, 'files', rel), text);
+      const described = spec.describe ? spec.describe(Object.fromEntries(Object.entries(contents).map(([k, v]) => [k, parseMaybeJson(v)]))) : {};
+      const meta = { name, sourceAccount: account, createdAt: new Date().toISOString(), files: rels, ...described };
+      await writePrivateFile(path.join(tmp, 'meta.json'), JSON.stringify(meta, null, 2) + '\n');
+      await fs.rm(dirOf(name), { recursive: true, force: true });
+      await ensureDir(root);
+      await fs.rename(tmp, dirOf(name));
+      return { dir: dirOf(name), meta };
+    },
+
+    async list() {
+      if (!(await exists(root))) return [];
+      const entries = await fs.readdir(root, { withFileTypes: true });
+      const out = [];
+      for (const e of entries) {
+        if (e.isDirectory() && !e.name.includes('.tmp-')) out.push(await read(e.name));
+      }
+      return out.sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async read(name) {
+      await requireSnapshot(name);
+      return await read(name);
+    },
+
+    // Makes `toAccount` log in as the snapshot: its files are written over the label's, and captured files the
+    // snapshot doesn't have are moved aside (<file>.switch-bak-<timestamp>) so no stale credentials linger.
+    async apply(name, toAccount) {
+      assertSafeName(toAccount, 'label');
+      await requireSnapshot(name);
+      const snap = await read(name);
+      const base = spec.labelDir(toAccount);
+      const escapes = snap.files.find(rel => path.isAbsolute(rel) || path.normalize(rel).split(path.sep)[0] === '..');
+      if (escapes) throw new Error(`Snapshot '${name}' lists a file outside the label dir (${escapes}); refusing to apply it.`);
+
+      if (spec.identityOf) {
+        const current = await findSnapshotFiles(spec, toAccount);
+        const now = current.length && spec.describe ? spec.describe(await readFiles(base, current)) : null;
+        const from = spec.identityOf(snap);
+        const to = now ? spec.identityOf(now) : null;
+        if (from && to && from !== to) {
+          console.error(`Warning: snapshot '${name}' is a different identity (${from}) than label '${toAccount}' currently has (${to}). The label will switch accounts.`);
+        }
+      }
+
+      const ts = timestampForFilename();
+      const moved = [];
+      for (const rel of await findSnapshotFiles(spec, toAccount)) {
+        if (snap.files.includes(rel)) continue;
+        const bak = path.join(base, `${rel}.switch-bak-${ts}`);
+        await fs.rename(path.join(base, rel), bak);
+        moved.push(bak);
+      }
+
+      for (const rel of snap.files) {
+        let text = await fs.readFile(path.join(filesDirOf(name), rel), 'utf8');
+        const keep = keptKeys(rel);
+        if (keep.length) {
+          const target = await fs.readFile(path.join(base, rel), 'utf8').then(parseMaybeJson, () => null);
+          const next = parseMaybeJson(text);
+          if (target && typeof target === 'object' && next && typeof next === 'object') {
+            for (const k of keep) if (k in target) next[k] = target[k];
+            text = JSON.stringify(next, null, 2) + '\n';
+          }
+        }
+        await writePrivateFile(path.join(base, rel), text);
+      }
+      return { files: snap.files.map(rel => path.join(base, rel)), moved };
+    },
+
+    async remove(name) {
+      await requireSnapshot(name);
+      await fs.rm(dirOf(name), { recursive: true, force: true });
+    },
+
+    async rename(from, to) {
+      await requireSnapshot(from);
+      assertSafeName(to, 'snapshot name');
+      if (await exists(dirOf(to))) {
+        throw new Error(`Snapshot '${to}' already exists. Remove it first: accountbox ${spec.toolId} snapshot rm ${to}`);
+      }
+      await fs.rename(dirOf(from), dirOf(to));
+      const { path: _dir, ...meta } = await read(to);
+      await writePrivateFile(metaPathOf(to), JSON.stringify({ ...meta, name: to }, null, 2) + '\n');
+    },
+  };
+}
+
+// `save`, `snapshots`, `snapshot show|rm|rename` and `switch` tool methods over a snapshot store. `args` are
+// the words after the subcommand; `summarize(meta)` gives the one-line description shown by `snapshots`.
+export function snapshotCommands(store, { toolId, summarize = () => null }) {
+  return {
+    async save({ account, args = [] }) {
+      const name = args[0];
+      if (!name) throw new Error(`Usage: accountbox ${toolId} <account> save <snapshotName>`);
+      const r = await store.save(account, name);
+      console.log(`Saved snapshot '${name}' from account '${account}' -> ${r.dir} (${r.meta.files.length} file${r.meta.files.length === 1 ? '' : 's'})`);
+    },
+
+    async snapshots({ args = [] } = {}) {
+      const snaps = await store.list();
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(snaps, null, 2));
+        return;
+      }
+      if (!snaps.length) {
+        console.log(`No ${toolId} snapshots found under ${store.root} yet.`);
+        console.log(`Create one: accountbox ${toolId} <account> save <snapshotName>`);
+        return;
+      }
+      console.log(`${toolId} snapshots:`);
+      for (const s of snaps) {
+        const parts = [s.sourceAccount ? `from ${s.sourceAccount}` : null, s.createdAt ? String(s.createdAt).slice(0, 10) : null, summarize(s)];
+        const summary = parts.filter(Boolean).join(', ');
+        console.log(`- ${s.name}${summary ? ` (${summary})` : ''}`);
+      }
+    },
+
+    async snapshot({ args = [] }) {
+      const [action, name, extra] = args;
+      const usage = `Usage: accountbox ${toolId} snapshot show <name> [--json] | rm <name> | rename <name> <newName>`;
+      if (!action || !name) throw new Error(usage);
+      if (action === 'show') {
+        const s = await store.read(name);
+        if (args.includes('--json')) {
+          console.log(JSON.stringify(s, null, 2));
+          return;
+        }
+        console.log(`Snapshot: ${s.name}`);
+        if (s.sourceAccount) console.log(`Source label: ${s.sourceAccount}`);
+        if (s.createdAt) console.log(`Created: ${s.createdAt}`);
+        const summary = summarize(s);
+        if (summary) console.log(`Account: ${summary}`);
+        console.log('Files:');
+        for (const f of s.files) console.log(`- ${f}`);
+        return;
+      }
+      if (action === 'rm' || action === 'remove') {
+        await store.remove(name);
+        console.log(`Removed snapshot '${name}'.`);
+        return;
+      }
+      if (action === 'rename' || action === 'mv') {
+        if (!extra) throw new Error(usage);
+        await store.rename(name, extra);
+        console.log(`Renamed snapshot '${name}' -> '${extra}'.`);
+        return;
+      }
+      throw new Error(usage);
+    },
+
+    async switch({ account, args = [] }) {
+      const name = args[0];
+      const toAccount = args[1] || account;
+      if (!name) throw new Error(`Usage: accountbox ${toolId} [account] switch <snapshotName> [toAccount]`);
+      assertSafeName(toAccount, 'label');
+      const r = await store.apply(name, toAccount);
+      for (const bak of r.moved) console.log(`Moved aside ${bak}`);
+      console.log(`Applied snapshot '${name}' -> account '${toAccount}' (${r.files.length} file${r.files.length === 1 ? '' : 's'}).`);
+    },
+  };
+}
@@ -1,3 +1,5 @@
+import { validateSandboxSection } from '../config/sandbox.js';
+
 export function validateToolDef(toolId, def) {
   const errors = [];
   const warnings = [];
@@ -43,6 +45,15 @@ export function validateToolDef(toolId, def) {
     }
   }
 
+  if ('sandbox' in def) {
+    try {
+      validateSandboxSection(def.sandbox, `[tools.${toolId}.sandbox]`);
+      if (mode === 'native') warnings.push("'sandbox' only applies to mode=container; it is ignored for native tools");
+    } catch (e) {
+      errors.push(e.message);
+    }
+  }
+
   return { toolId, errors, warnings };
 }
 
@@ -36,6 +36,49 @@ export function disambiguateAccountArg({ account, args, knownSubcommands }) {
   return { accountArg, argsList, accountIsSubcommand, accountLooksLikeOption };
 }
 
+// Labels and snapshot names become directory/volume names; keep them to a safe charset.
+export function isSafeName(name) {
+  return typeof name === 'string' && /^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name);
+}
+
+export function assertSafeName(name, what = 'name') {
+  const s = String(name ?? '');
+  if (!isSafeName(s)) {
+    throw new Error(`Invalid ${what} '${s}'. Use letters, digits, '.', '_' or '-' (must start with a letter or digit).`);
+  }
+  return s;
+}
+
+// Splits a command line such as $EDITOR ("code --wait", "'/opt/My Editor/bin/ed' -n") into words, honouring
+// quotes and backslashes, so it can be run without a shell.
+export function splitCommandLine(line) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  const text = String(line ?? '');
+  for (let i = 0; i < text.length; i += 1) {
+    const c = text[i];
+    if (quote) {
+      if (c === quote) quote = null;
+      else if (c === '\\' && quote === '"' && i + 1 < text.length) word += text[++i];
+      else word += c;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+      word ??= '';
+    } else if (c === '\\' && i + 1 < text.length) {
+      word = (word ?? '') + text[++i];
+    } else if (/\s/.test(c)) {
+      if (word != null) words.push(word);
+      word = null;
+    } else {
+      word = (word ?? '') + c;
+    }
+  }
+  if (quote) throw new Error(`Unterminated ${quote} in '${text}'.`);
+  if (word != null) words.push(word);
+  return words;
+}
+
 export function normalizeToolId(s) {
   return String(s || '').trim();
 }
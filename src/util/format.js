@@ -28,15 +28,23 @@ export function decodeJwtPayload(jwt) {
   }
 }
 
-function formatDurationShort(seconds) {
+export function formatDurationShort(seconds) {
   const s = Number(seconds);
   if (!Number.isFinite(s) || s <= 0) return 'n/a';
-  if (s < 60) return `${Math.round(s)}s`;
-  if (s < 3600) return `${Math.round(s / 60)}m`;
-  if (s < 86400) return `${Math.round(s / 3600)}h`;
+  // Pick the unit after rounding so 3599s reads "1h", not "60m".
+  if (Math.round(s) < 60) return `${Math.round(s)}s`;
+  if (Math.round(s / 60) < 60) return `${Math.round(s / 60)}m`;
+  if (Math.round(s / 3600) < 24) return `${Math.round(s / 3600)}h`;
   return `${Math.round(s / 86400)}d`;
 }
 
+// Left-aligned text columns: rows of cells -> lines.
+export function formatColumns(rows, { gap = '  ' } = {}) {
+  const widths = [];
+  for (const r of rows) r.forEach((c, i) => { widths[i] = Math.max(widths[i] || 0, String(c).length); });
+  return rows.map(r => r.map((c, i) => String(c).padEnd(widths[i])).join(gap).trimEnd());
+}
+
 export function formatRateLimit(rl) {
   if (!rl) return 'n/a';
   if (rl.allowed === false) return 'blocked';
@@ -1,4 +1,5 @@
 import fs from 'node:fs/promises';
+import process from 'node:process';
 
 export async function exists(p) {
   try {
@@ -13,3 +14,14 @@ export async function ensureDir(p) {
   await fs.mkdir(p, { recursive: true });
 }
 
+// Write via a temp file + rename so readers never observe a half-written file.
+export async function writeFileAtomic(p, data, { mode } = {}) {
+  const tmp = `${p}.tmp-${process.pid}-${Date.now()}`;
+  try {
+    await fs.writeFile(tmp, data, { encoding: 'utf8', ...(mode != null ? { mode } : {}) });
+    await fs.rename(tmp, p);
+  } catch (e) {
+    await fs.rm(tmp, { force: true });
+    throw e;
+  }
+}
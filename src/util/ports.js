@@ -0,0 +1,105 @@
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import path from 'node:path';
+
+export async function canBindTcpPort(port, host = '127.0.0.1') {
+  return await new Promise((resolve) => {
+    const server = net.createServer();
+    server.unref();
+
+    server.once('error', (err) => {
+      if (err && typeof err === 'object' && err.code === 'EADDRINUSE') {
+        resolve(false);
+      } else {
+        // Treat unknown errors as "not free" to avoid false negatives.
+        resolve(false);
+      }
+    });
+
+    server.listen({ port, host }, () => {
+      server.close(() => resolve(true));
+    });
+  });
+}
+
+const TCP_LISTEN = '0A';
+
+// /proc/net/tcp{,6} store addresses as little-endian 32-bit words in hex.
+function decodeProcAddress(hex) {
+  const words = hex.match(/.{8}/g) || [];
+  const bytes = words.flatMap(w => w.match(/../g).reverse().map(b => parseInt(b, 16)));
+  if (bytes.length === 4) return bytes.join('.');
+  const groups = [];
+  for (let i = 0; i < bytes.length; i += 2) groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+  // Let URL do the `::` compression.
+  return new URL(`http://[${groups.join(':')}]`).hostname.slice(1, -1);
+}
+
+// Rows of /proc/net/tcp or /proc/net/tcp6: { address, port, state, uid, inode }.
+export function parseProcNetTcp(text) {
+  const rows = [];
+  for (const line of String(text || '').split('\n').slice(1)) {
+    const f = line.trim().split(/\s+/);
+    if (f.length < 10) continue;
+    const [addr, portHex] = f[1].split(':');
+    rows.push({
+      address: decodeProcAddress(addr),
+      port: parseInt(portHex, 16),
+      state: f[3],
+      uid: Number(f[7]),
+      inode: f[9],
+    });
+  }
+  return rows;
+}
+
+async function readProcText(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch {
+    return '';
+  }
+}
+
+// Sockets listening on `port` and, where /proc lets us see them, the processes holding them (Linux only;
+// returns [] elsewhere). Processes of other users show up with pid: null.
+export async function findPortListeners(port, { procRoot = '/proc' } = {}) {
+  const listeners = [];
+  for (const table of ['tcp', 'tcp6']) {
+    for (const row of parseProcNetTcp(await readProcText(path.join(procRoot, 'net', table)))) {
+      if (row.port === port && row.state === TCP_LISTEN && row.inode !== '0') listeners.push({ ...row, pid: null, command: null });
+    }
+  }
+  if (!listeners.length) return listeners;
+
+  const byInode = new Map(listeners.map(l => [`socket:[${l.inode}]`, l]));
+  let pids = [];
+  try {
+    pids = (await fs.readdir(procRoot)).filter(d => /^\d+$/.test(d));
+  } catch {
+    return listeners;
+  }
+  for (const pid of pids) {
+    let fds;
+    try {
+      fds = await fs.readdir(path.join(procRoot, pid, 'fd'));
+    } catch {
+      continue; // gone, or not ours to look at
+    }
+    for (const fd of fds) {
+      const target = await fs.readlink(path.join(procRoot, pid, 'fd', fd)).catch(() => null);
+      const l = target && byInode.get(target);
+      if (!l || l.pid) continue;
+      l.pid = Number(pid);
+      const cmdline = (await readProcText(path.join(procRoot, pid, 'cmdline'))).split('\0').filter(Boolean).join(' ');
+      l.command = cmdline || (await readProcText(path.join(procRoot, pid, 'comm'))).trim() || null;
+    }
+  }
+  return listeners;
+}
+
+export function describePortListener(l) {
+  const where = `listening on ${l.address.includes(':') ? `[${l.address}]` : l.address}`;
+  if (!l.pid) return `a process of uid ${l.uid} (${where}; run \`sudo ss -ltnp 'sport = :${l.port}'\` to see which)`;
+  return `pid ${l.pid} (${l.command || 'unknown command'}, uid ${l.uid}, ${where})`;
+}
@@ -0,0 +1,21 @@
+import process from 'node:process';
+import readline from 'node:readline/promises';
+
+// Prompt without echoing input. Returns null when there's no terminal to prompt on.
+export async function promptSecret(message, { input = process.stdin, output = process.stderr } = {}) {
+  if (!input.isTTY) return null;
+  const rl = readline.createInterface({ input, output, terminal: true });
+  const write = rl._writeToOutput.bind(rl);
+  let muted = false;
+  rl._writeToOutput = (s) => {
+    if (!muted) write(s);
+    else if (/[\r\n]/.test(s)) write('\n');
+  };
+  try {
+    const answer = rl.question(message);
+    muted = true;
+    return await answer;
+  } finally {
+    rl.close();
+  }
+}
@@ -2,3 +2,25 @@ export function timestampForFilename() {
   return new Date().toISOString().replace(/[:.]/g, '-');
 }
 
+const DURATION_UNITS_MS = {
+  ms: 1,
+  s: 1000,
+  m: 60_000,
+  h: 3_600_000,
+  d: 86_400_000,
+  w: 604_800_000,
+};
+
+// Parse short durations like "90s", "15m", "7d" (bare numbers are seconds).
+export function parseDurationMs(input) {
+  if (typeof input === 'number') return Number.isFinite(input) && input >= 0 ? input * 1000 : null;
+  const m = String(input ?? '').trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/i);
+  if (!m) return null;
+  return Math.round(Number(m[1]) * DURATION_UNITS_MS[(m[2] || 's').toLowerCase()]);
+}
+
+export function parseDurationMsOrThrow(input, what) {
+  const ms = parseDurationMs(input);
+  if (ms == null) throw new Error(`Invalid ${what} '${input}'. Use a duration like 90s, 15m, 12h or 7d.`);
+  return ms;
+}
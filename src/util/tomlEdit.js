@@ -0,0 +1,268 @@
+import toml from 'toml';
+
+// Minimal, line-based TOML editing: changes only the lines that hold the key being edited,
+// so comments, ordering and unrelated tables survive. Anything it can't edit in place
+// (inline tables, arrays of tables) is rejected rather than rewritten.
+
+const BARE_KEY = /^[A-Za-z0-9_-]+$/;
+
+function isTable(v) {
+  return Boolean(v) && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date);
+}
+
+// Scans a dotted key (a.b, a."b.c", 'lit') from the start of `s`; returns { path, rest } or null.
+function scanKey(s) {
+  const path = [];
+  let i = 0;
+  const skipWs = () => { while (s[i] === ' ' || s[i] === '\t') i += 1; };
+  for (;;) {
+    skipWs();
+    if (s[i] === '"' || s[i] === "'") {
+      const q = s[i];
+      let j = i + 1;
+      while (j < s.length && s[j] !== q) j += (q === '"' && s[j] === '\\') ? 2 : 1;
+      if (j >= s.length) return null;
+      const raw = s.slice(i + 1, j);
+      try {
+        path.push(q === '"' ? JSON.parse(`"${raw}"`) : raw);
+      } catch {
+        return null;
+      }
+      i = j + 1;
+    } else {
+      const m = /^[A-Za-z0-9_-]+/.exec(s.slice(i));
+      if (!m) return null;
+      path.push(m[0]);
+      i += m[0].length;
+    }
+    skipWs();
+    if (s[i] !== '.') break;
+    i += 1;
+  }
+  return { path, rest: s.slice(i) };
+}
+
+export function parseTomlKeyPath(input) {
+  const r = scanKey(String(input ?? ''));
+  if (!r || !r.path.length || r.rest.trim() !== '') {
+    throw new Error(`Invalid config key '${input}'. Use dotted keys, e.g. model or model_providers.azure.base_url`);
+  }
+  return r.path;
+}
+
+export function formatTomlKeyPath(path) {
+  return path.map(k => (BARE_KEY.test(k) ? k : JSON.stringify(k))).join('.');
+}
+
+export function parseTomlDocument(text, what = 'TOML') {
+  try {
+    return toml.parse(text);
+  } catch (e) {
+    const where = e?.line ? ` (line ${e.line}, column ${e.column})` : '';
+    throw new Error(`${what} is not valid TOML${where}: ${e?.message || String(e)}`);
+  }
+}
+
+function parsesAsValue(text) {
+  try {
+    toml.parse(`v = ${text}`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Splits "  "x" # note" into the value and a trailing comment, or null if no prefix parses.
+// The parser accepts trailing comments, so try the shortest prefix before each '#' first.
+function splitValueComment(text) {
+  for (let i = text.indexOf('#'); i !== -1; i = text.indexOf('#', i + 1)) {
+    if (parsesAsValue(text.slice(0, i))) return { value: text.slice(0, i), comment: text.slice(i) };
+  }
+  return parsesAsValue(text) ? { value: text, comment: '' } : null;
+}
+
+function startsWithPath(path, prefix) {
+  return prefix.length <= path.length && prefix.every((k, i) => path[i] === k);
+}
+
+function samePath(a, b) {
+  return a.length === b.length && startsWithPath(a, b);
+}
+
+// Line map of a document: table headers and key/value entries (with their full key path and line span).
+function scanToml(lines) {
+  const headers = [];
+  const keys = [];
+  let table = [];
+  let inArrayTable = false;
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const l = lines[i];
+    const t = l.trim();
+    if (!t || t.startsWith('#')) continue;
+
+    if (t.startsWith('[')) {
+      const array = t.startsWith('[[');
+      const inner = scanKey(t.slice(array ? 2 : 1));
+      if (inner && inner.rest.trimStart().startsWith(array ? ']]' : ']')) {
+        headers.push({ line: i, path: inner.path, array });
+        table = inner.path;
+        inArrayTable = array;
+      }
+      continue;
+    }
+
+    const k = scanKey(l);
+    if (!k || !k.rest.trimStart().startsWith('=')) continue;
+    const eq = l.length - k.rest.length + k.rest.indexOf('=');
+    let valueText = l.slice(eq + 1);
+    let end = i;
+    let split = splitValueComment(valueText);
+    while (!split && end + 1 < lines.length) {
+      end += 1;
+      valueText += `\n${lines[end]}`;
+      split = splitValueComment(valueText);
+    }
+    const indent = /^\s*/.exec(l)[0];
+    keys.push({
+      start: i,
+      end,
+      // Keys inside [[array.of.tables]] have no single path; they're never edited in place.
+      path: inArrayTable ? null : [...table, ...k.path],
+      keyText: l.slice(indent.length, eq).trimEnd(),
+      indent,
+      comment: split?.comment || '',
+      gap: split ? (/\s*$/.exec(split.value)[0] || ' ') : ' ',
+    });
+    i = end;
+  }
+  return { headers, keys };
+}
+
+function sectionEnd(headers, header, lineCount) {
+  const next = headers.find(h => h.line > header.line);
+  return next ? next.line : lineCount;
+}
+
+export function getTomlValue(doc, path) {
+  let cur = doc;
+  for (const k of path) {
+    if (!isTable(cur) || !(k in cur)) return undefined;
+    cur = cur[k];
+  }
+  return cur;
+}
+
+export function formatTomlValue(v) {
+  if (typeof v === 'string') return JSON.stringify(v);
+  if (v instanceof Date) return v.toISOString();
+  if (Array.isArray(v)) return `[${v.map(formatTomlValue).join(', ')}]`;
+  if (isTable(v)) return `{ ${Object.keys(v).map(k => `${formatTomlKeyPath([k])} = ${formatTomlValue(v[k])}`).join(', ')} }`;
+  return String(v);
+}
+
+// A CLI value: valid TOML literals (true, 3, ["a"], "quoted") are kept as typed; anything else is a string.
+export function tomlValueFromInput(raw) {
+  const s = String(raw);
+  return parsesAsValue(s) && !/[\r\n]/.test(s) ? s.trim() : JSON.stringify(s);
+}
+
+function finish(lines, what) {
+  let out = lines.join('\n');
+  if (out && !out.endsWith('\n')) out += '\n';
+  parseTomlDocument(out, what);
+  return out;
+}
+
+function cannotEditInPlace(path) {
+  return new Error(`'${formatTomlKeyPath(path)}' is defined inline (or in an array of tables) and can't be edited in place. Use: config edit`);
+}
+
+export function setTomlValue(text, path, valueText, { what = 'config.toml' } = {}) {
+  const doc = parseTomlDocument(text, what);
+  const lines = text ? text.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n') : [];
+  const { headers, keys } = scanToml(lines);
+
+  const hit = keys.find(k => k.path && samePath(k.path, path));
+  if (hit) {
+    const line = `${hit.indent}${hit.keyText} = ${valueText}${hit.comment ? `${hit.gap}${hit.comment}` : ''}`;
+    lines.splice(hit.start, hit.end - hit.start + 1, line);
+    return finish(lines, what);
+  }
+
+  const parentPath = path.slice(0, -1);
+  for (let i = 1; i <= parentPath.length; i += 1) {
+    const v = getTomlValue(doc, parentPath.slice(0, i));
+    if (v !== undefined && !isTable(v)) {
+      throw new Error(`'${formatTomlKeyPath(parentPath.slice(0, i))}' is not a table, so it can't hold '${formatTomlKeyPath(path)}'.`);
+    }
+  }
+  if (getTomlValue(doc, path) !== undefined) throw cannotEditInPlace(path);
+
+  const keyLine = `${formatTomlKeyPath(path.slice(-1))} = ${valueText}`;
+  const header = headers.find(h => !h.array && samePath(h.path, parentPath));
+
+  if (header || !parentPath.length) {
+    // Append after the last key of the section (or right after its header / at the top for the root table).
+    const from = header ? header.line + 1 : 0;
+    const to = header ? sectionEnd(headers, header, lines.length) : (headers[0]?.line ?? lines.length);
+    const inSection = keys.filter(k => k.start >= from && k.start < to);
+    const at = inSection.length ? inSection[inSection.length - 1].end + 1 : from;
+    const needsGap = !header && !inSection.length && headers.length;
+    lines.splice(at, 0, keyLine, ...(needsGap ? [''] : []));
+    return finish(lines, what);
+  }
+
+  while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+  if (lines.length) lines.push('');
+  lines.push(`[${formatTomlKeyPath(parentPath)}]`, keyLine);
+  try {
+    return finish(lines, what);
+  } catch {
+    throw cannotEditInPlace(path);
+  }
+}
+
+// Removes a key, or a whole table (its header, sub-tables and dotted keys under it).
+export function unsetTomlValue(text, path, { what = 'config.toml' } = {}) {
+  const doc = parseTomlDocument(text, what);
+  if (getTomlValue(doc, path) === undefined) return { changed: false, text };
+
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+  const { headers, keys } = scanToml(lines);
+  const drop = new Set();
+  for (const k of keys) {
+    if (k.path && startsWithPath(k.path, path)) for (let i = k.start; i <= k.end; i += 1) drop.add(i);
+  }
+  for (const h of headers) {
+    if (!startsWithPath(h.path, path)) continue;
+    // Stop at the section's last key so comments that introduce the next table stay put.
+    const end = sectionEnd(headers, h, lines.length);
+    const inSection = keys.filter(k => k.start > h.line && k.start < end);
+    const last = inSection.length ? inSection[inSection.length - 1].end : h.line;
+    for (let i = h.line; i <= last; i += 1) drop.add(i);
+  }
+
+  const out = finish(lines.filter((_, i) => !drop.has(i)), what);
+  if (getTomlValue(parseTomlDocument(out, what), path) !== undefined) throw cannotEditInPlace(path);
+  return { changed: true, text: out };
+}
+
+// Leaf values keyed by dotted path; arrays count as leaves.
+export function flattenTomlDocument(doc, prefix = [], out = new Map()) {
+  for (const [k, v] of Object.entries(doc || {})) {
+    const p = [...prefix, k];
+    if (isTable(v)) flattenTomlDocument(v, p, out);
+    else out.set(formatTomlKeyPath(p), v);
+  }
+  return out;
+}
+
+// Keys whose values differ between two documents; `a`/`b` are undefined where the key is unset.
+export function diffTomlDocuments(docA, docB) {
+  const a = flattenTomlDocument(docA);
+  const b = flattenTomlDocument(docB);
+  const keys = [...new Set([...a.keys(), ...b.keys()])].sort((x, y) => x.localeCompare(y));
+  const same = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+  return keys.filter(k => !same(a.get(k), b.get(k))).map(k => ({ key: k, a: a.get(k), b: b.get(k) }));
+}
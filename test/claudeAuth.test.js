@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { claudeAccountStatus } from '../src/tools/builtins/claudeAuth.js';
+
+const ACCOUNT = {
+  accountUuid: '0d1f2e3a-1111-2222-3333-444455556666',
+  emailAddress: 'alice@example.com',
+  organizationUuid: '9a8b7c6d-aaaa-bbbb-cccc-ddddeeeeffff',
+  organizationName: "alice@example.com's Organization",
+  organizationRole: 'admin',
+};
+
+test('claudeAccountStatus masks the account and counts a refresh token as logged in', () => {
+  const nowMs = Date.parse('2026-10-19T12:00:00Z');
+  const s = claudeAccountStatus({
+    credentials: { claudeAiOauth: { accessToken: 'at', refreshToken: 'rt', expiresAt: nowMs - 1000, subscriptionType: 'max' } },
+    config: { oauthAccount: ACCOUNT },
+  }, { nowMs });
+  assert.equal(s.authMode, 'oauth');
+  assert.equal(s.loggedIn, true);
+  assert.equal(s.tokenExpired, true);
+  assert.equal(s.email, 'a…e@example.com');
+  assert.deepEqual(s.organization, { name: "a…e@example.com's Organization", id: '9a8b7c6d…', role: 'admin' });
+  assert.equal(s.accountId, '0d1f2e3a…');
+  assert.equal(s.subscription, 'max');
+  assert.doesNotMatch(JSON.stringify(s), /alice@/);
+});
+
+test('claudeAccountStatus: expired access token without refresh token, API keys and nothing at all', () => {
+  const nowMs = 1_000_000;
+  const expired = claudeAccountStatus({ credentials: { claudeAiOauth: { accessToken: 'at', expiresAt: nowMs - 1 } }, config: null }, { nowMs });
+  assert.deepEqual([expired.loggedIn, expired.hasRefreshToken, expired.email], [false, false, null]);
+  assert.equal(claudeAccountStatus({ credentials: null, config: { primaryApiKey: 'sk-ant' } }).authMode, 'api-key');
+  const none = claudeAccountStatus({ credentials: null, config: null });
+  assert.deepEqual([none.authMode, none.loggedIn, none.organization], [null, false, null]);
+});
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import { test } from 'node:test';
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+const toolsToml = path.join(tmp, 'tools.toml');
+process.env.ACCOUNTBOX_HOME = path.join(tmp, '.accountbox');
+process.env.ACCOUNTBOX_TOOLS_TOML = toolsToml;
+
+const { checkClaudeIsolation, claudeLabelMode, claudeLayout, prepareClaudeEnv, recordClaudeRun, resolveClaudeIsolation } = await import('../src/tools/builtins/claudeIsolation.js');
+
+test('resolveClaudeIsolation: env, then .accountbox.toml, then tools.toml, then xdg', async () => {
+  const env = {};
+  assert.deepEqual(await resolveClaudeIsolation(null, { env }), { mode: 'xdg', source: 'default', homeLinks: ['.gitconfig', '.config/git', '.ssh'] });
+
+  await fs.writeFile(toolsToml, 'claude_isolation = "home"\nclaude_home_links = [".gitconfig"]\n', 'utf8');
+  try {
+    assert.deepEqual(await resolveClaudeIsolation(null, { env }), { mode: 'home', source: 'config', homeLinks: ['.gitconfig'] });
+    const project = { claude_isolation: 'config_dir', claude_home_links: ['.npmrc'] };
+    assert.deepEqual(await resolveClaudeIsolation(project, { env }), { mode: 'config_dir', source: 'project', homeLinks: ['.npmrc'] });
+    assert.equal((await resolveClaudeIsolation(project, { env: { ACCOUNTBOX_CLAUDE_ISOLATION: 'xdg' } })).source, 'env');
+
+    await assert.rejects(resolveClaudeIsolation({ claude_isolation: 'docker' }, { env }), /Unknown Claude isolation 'docker' \(claude_isolation in \.accountbox\.toml\)\. Use one of: xdg, config_dir, home/);
+    await assert.rejects(resolveClaudeIsolation({ claude_home_links: ['../secrets'] }, { env }), /claude_home_links in \.accountbox\.toml must be an array of paths relative to your home/);
+  } finally {
+    await fs.rm(toolsToml, { force: true });
+  }
+});
+
+test('prepareClaudeEnv points Claude Code at the label per mode', async () => {
+  const baseEnv = { HOME: '/real', XDG_CONFIG_HOME: '/real/.config', CLAUDE_CONFIG_DIR: '/real/.claude', TERM: 'xterm' };
+  const realHome = path.join(tmp, 'real-home');
+  await fs.mkdir(realHome, { recursive: true });
+  await fs.writeFile(path.join(realHome, '.gitconfig'), '[user]\n', 'utf8');
+
+  const xdg = await prepareClaudeEnv('a', { mode: 'xdg', homeLinks: [] }, { baseEnv, realHome });
+  assert.equal(xdg.XDG_CONFIG_HOME, path.join(process.env.ACCOUNTBOX_HOME, 'claude', 'a', 'config'));
+  assert.equal(xdg.CLAUDE_CONFIG_DIR, undefined);
+  assert.equal(xdg.HOME, '/real');
+
+  const configDir = await prepareClaudeEnv('a', { mode: 'config_dir', homeLinks: [] }, { baseEnv, realHome });
+  assert.equal(configDir.CLAUDE_CONFIG_DIR, claudeLayout('a', 'config_dir').configDir);
+  assert.equal(path.dirname(claudeLayout('a', 'config_dir').credentialsPath), configDir.CLAUDE_CONFIG_DIR);
+
+  const home = await prepareClaudeEnv('b', { mode: 'home', homeLinks: ['.gitconfig', '.ssh'] }, { baseEnv, realHome });
+  const layout = claudeLayout('b', 'home');
+  assert.equal(home.HOME, layout.home);
+  assert.equal(home.TERM, 'xterm');
+  assert.deepEqual([home.XDG_CONFIG_HOME, home.CLAUDE_CONFIG_DIR], [undefined, undefined]);
+  assert.equal(await fs.readlink(path.join(layout.home, '.gitconfig')), path.join(realHome, '.gitconfig'));
+  await assert.rejects(fs.lstat(path.join(layout.home, '.ssh')), { code: 'ENOENT' });
+  assert.equal(layout.globalConfigPath, path.join(layout.home, '.claude.json'));
+});
+
+test('checkClaudeIsolation flags credential files outside the label written during its last run', async () => {
+  const fakeHome = path.join(tmp, 'fake-home');
+  const startedAt = new Date(Date.now() - 60_000).toISOString();
+  const endedAt = new Date(Date.now() - 30_000).toISOString();
+  await recordClaudeRun('a', { mode: 'xdg', startedAt, endedAt });
+  await recordClaudeRun('b', { mode: 'home', startedAt, endedAt });
+
+  await fs.mkdir(path.join(fakeHome, '.claude'), { recursive: true });
+  const leaked = path.join(fakeHome, '.claude', '.credentials.json');
+  await fs.writeFile(leaked, '{}', 'utf8');
+  const during = new Date(Date.parse(startedAt) + 1000);
+  await fs.utimes(leaked, during, during);
+  const inside = claudeLayout('b', 'home').credentialsPath;
+  await fs.mkdir(path.dirname(inside), { recursive: true });
+  await fs.writeFile(inside, '{}', 'utf8');
+  await fs.utimes(inside, during, during);
+
+  const runs = await checkClaudeIsolation({ home: fakeHome });
+  assert.deepEqual(runs.map(r => [r.account, r.mode, r.leaks, r.wroteInside]), [
+    ['a', 'xdg', [leaked], false],
+    ['b', 'home', [leaked], true],
+  ]);
+
+  // Written after the run ended: someone else's doing.
+  await fs.utimes(leaked, new Date(), new Date());
+  assert.deepEqual((await checkClaudeIsolation({ home: fakeHome })).map(r => r.leaks), [[], []]);
+});
+
+test('claudeLabelMode prefers the mode of the label\'s last run', async () => {
+  for (const label of ['ran-home', 'odd']) await fs.mkdir(path.join(process.env.ACCOUNTBOX_HOME, 'claude', label), { recursive: true });
+  await recordClaudeRun('ran-home', { mode: 'home', startedAt: new Date().toISOString() });
+  assert.equal(await claudeLabelMode('ran-home', 'xdg'), 'home');
+  assert.equal(await claudeLabelMode('never-ran', 'config_dir'), 'config_dir');
+  await recordClaudeRun('odd', { mode: 'docker' });
+  assert.equal(await claudeLabelMode('odd'), 'xdg');
+});
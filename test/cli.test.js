@@ -2,15 +2,41 @@ import assert from 'node:assert/strict';
 import os from 'node:os';
 import path from 'node:path';
 import fs from 'node:fs/promises';
+import http from 'node:http';
 import { fileURLToPath } from 'node:url';
 import { test } from 'node:test';
 import { execa } from 'execa';
 
+import { codexCredentialsHash } from '../src/tools/builtins/codexAuth.js';
+import { fakeJwt } from './helpers.js';
+
 const TEST_DIR = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.resolve(TEST_DIR, '..');
 const BIN = path.join(ROOT_DIR, 'bin', 'accountbox.js');
 const PKG = JSON.parse(await fs.readFile(path.join(ROOT_DIR, 'package.json'), 'utf8'));
 
+async function startStubServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return { url, requests, close: () => new Promise(r => server.close(r)) };
+}
+
+async function writeCodexAuth(home, account, auth) {
+  const dir = path.join(home, 'codex', account);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, 'auth.json'), JSON.stringify(auth, null, 2), 'utf8');
+  return path.join(dir, 'auth.json');
+}
+
 test('prints version', async () => {
   const res = await execa(process.execPath, [BIN, '--version']);
   assert.equal(res.exitCode, 0);
@@ -28,7 +54,7 @@ test('doctor works without docker/claude in PATH', async () => {
     },
   });
   assert.equal(res.exitCode, 0);
-  assert.match(res.stdout, /docker runtime:/);
+  assert.match(res.stdout, /container runtime: docker missing/);
   assert.match(res.stdout, /claude:/);
 });
 
@@ -104,6 +130,84 @@ test('resolve codex works in a git dir with .accountbox.toml', async () => {
   assert.equal(obj.account, 'try1');
 });
 
+test('resolve --json shows the sandbox policy and run flags for codex and container tools', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  await fs.mkdir(path.join(tmp, '.git'));
+  await fs.writeFile(path.join(tmp, '.accountbox.toml'), `
+codex_account = "try1"
+
+[sandbox]
+memory = "2g"
+pids_limit = 512
+network = "allowlist"
+allowlist = ["registry.npmjs.org"]
+
+[tools.lint]
+mode = "container"
+image = "node:22"
+
+[tools.lint.sandbox]
+network = "none"
+read_only = true
+`.trimStart(), 'utf8');
+  const env = { ...process.env, ACCOUNTBOX_HOME: path.join(tmp, '.accountbox'), ACCOUNTBOX_TOOLS_TOML: path.join(tmp, 'none.toml') };
+
+  const codex = JSON.parse((await execa(process.execPath, [BIN, 'resolve', 'codex', '--json'], { cwd: tmp, env })).stdout);
+  assert.equal(codex.sandbox.network, 'allowlist');
+  assert.deepEqual(codex.sandbox.allowlist, ['api.openai.com', 'chatgpt.com', 'auth.openai.com', 'registry.npmjs.org']);
+  assert.equal(codex.sandbox.runArgs[codex.sandbox.runArgs.indexOf('--network') + 1], '<egress-network>');
+  assert.deepEqual(codex.sandbox.runArgs.slice(0, 4), ['--memory', '2g', '--pids-limit', '512']);
+  assert.ok(codex.sandbox.runArgs.includes('HTTPS_PROXY=http://<egress-proxy>'));
+
+  const lint = JSON.parse((await execa(process.execPath, [BIN, 'resolve', 'lint', '--json'], { cwd: tmp, env, reject: false })).stdout);
+  assert.equal(lint.sandbox.network, 'none');
+  assert.deepEqual(lint.sandbox.runArgs, ['--memory', '2g', '--pids-limit', '512', '--read-only', '--tmpfs', '/tmp', '--network', 'none']);
+
+  // `set` keeps top-level keys above [sandbox] so the file still means the same thing.
+  await execa(process.execPath, [BIN, 'set', 'lint', 'work'], { cwd: tmp, env });
+  const text = await fs.readFile(path.join(tmp, '.accountbox.toml'), 'utf8');
+  assert.match(text, /^codex_account = "try1"\nlint_account = "work"\n\n\[sandbox\]/);
+
+  await fs.appendFile(path.join(tmp, '.accountbox.toml'), 'cpu = 2\n', 'utf8');
+  const validate = await execa(process.execPath, [BIN, 'tools', 'validate'], { cwd: tmp, env, reject: false });
+  assert.equal(validate.exitCode, 1);
+  assert.match(validate.stderr, /Unknown key\(s\) in \[tools\.lint\.sandbox\]: cpu/);
+});
+
+test('resolve codex --json lists the effective container mounts from [codex]', async () => {
+  const tmp = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-')));
+  const repo = path.join(tmp, 'repo');
+  await fs.mkdir(path.join(repo, '.git'), { recursive: true });
+  await fs.mkdir(path.join(repo, 'cache'));
+  const toml = mounts => `codex_account = "try1"\n\n[codex]\nmounts = ${mounts}\nenv_passthrough = ["ABX_TOKEN"]\nkeepalive = "30m"\n`;
+  await fs.writeFile(path.join(repo, '.accountbox.toml'), toml('["cache:/root/.npm"]'), 'utf8');
+  const env = { ...process.env, ACCOUNTBOX_HOME: path.join(tmp, '.accountbox'), ABX_TOKEN: 'secret', PATH: '' };
+
+  const res = await execa(process.execPath, [BIN, 'resolve', 'codex', '--json'], { cwd: repo, env });
+  const obj = JSON.parse(res.stdout);
+  assert.deepEqual(obj.container.mounts.map(m => `${m.source}:${m.target}`), [
+    `${repo}:/work`,
+    'accountbox_codex_try1:/root/.codex',
+    `${path.join(repo, 'cache')}:/root/.npm`,
+  ]);
+  assert.deepEqual(obj.container.env, ['ABX_TOKEN']);
+  assert.doesNotMatch(res.stdout, /secret/);
+  assert.equal(obj.container.keepaliveSeconds, 1800);
+
+  const cold = JSON.parse((await execa(process.execPath, [BIN, 'resolve', 'codex', '--json'], { cwd: repo, env: { ...env, ACCOUNTBOX_CODEX_KEEPALIVE: 'off' } })).stdout);
+  assert.equal(cold.container.keepaliveSeconds, null);
+
+  // Warm containers are managed through the runtime, which isn't installed here.
+  const ps = await execa(process.execPath, [BIN, 'codex', 'ps'], { cwd: repo, env, reject: false });
+  assert.notEqual(ps.exitCode, 0);
+  assert.match(ps.stderr, /Docker is not installed/);
+
+  await fs.writeFile(path.join(repo, '.accountbox.toml'), toml(`["${tmp}:/host"]`), 'utf8');
+  const bad = await execa(process.execPath, [BIN, 'resolve', 'codex', '--json'], { cwd: repo, env, reject: false });
+  assert.notEqual(bad.exitCode, 0);
+  assert.match(bad.stderr, /refusing to mount/);
+});
+
 test('doctor --json prints machine-readable output', async () => {
   const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
   const res = await execa(process.execPath, [BIN, 'doctor', '--json'], {
@@ -116,3 +220,865 @@ test('doctor --json prints machine-readable output', async () => {
   assert.ok('docker' in obj);
   assert.ok('claude' in obj);
 });
+
+test('doctor reports the container runtime picked via env or tools.toml', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const toolsToml = path.join(tmp, 'tools.toml');
+  await fs.writeFile(toolsToml, 'container_runtime = "nerdctl"\n', 'utf8');
+  const env = { ...process.env, ACCOUNTBOX_HOME: path.join(tmp, '.accountbox'), ACCOUNTBOX_TOOLS_TOML: toolsToml, PATH: '' };
+  const doctor = (extra = {}) => execa(process.execPath, [BIN, 'doctor', '--json'], { cwd: tmp, env: { ...env, ...extra } });
+
+  const fromConfig = JSON.parse((await doctor()).stdout);
+  assert.equal(fromConfig.containerRuntime.name, 'nerdctl');
+  assert.equal(fromConfig.containerRuntime.source, 'config');
+  assert.equal(fromConfig.containerRuntime.status, 'missing');
+  assert.equal(fromConfig.containerUser.mode, process.platform === 'linux' ? 'host' : 'root');
+
+  const asRoot = await execa(process.execPath, [BIN, 'doctor'], { cwd: tmp, env: { ...env, ACCOUNTBOX_CONTAINER_USER: 'root' } });
+  assert.match(asRoot.stdout, /container user: root \(ACCOUNTBOX_CONTAINER_USER\)/);
+
+  const fromEnv = JSON.parse((await doctor({ ACCOUNTBOX_CONTAINER_RUNTIME: 'podman' })).stdout);
+  assert.equal(fromEnv.containerRuntime.name, 'podman');
+  assert.equal(fromEnv.containerRuntime.source, 'env');
+
+  const bad = await execa(process.execPath, [BIN, 'doctor'], { cwd: tmp, env: { ...env, ACCOUNTBOX_CONTAINER_RUNTIME: 'lxc' } });
+  assert.match(bad.stdout, /container runtime: ERROR \(Unknown container runtime 'lxc'/);
+
+  // Commands that need the runtime name it in their error.
+  const rebuild = await execa(process.execPath, [BIN, 'codex', 'rebuild'], { cwd: tmp, env: { ...env, ACCOUNTBOX_CONTAINER_RUNTIME: 'podman' }, reject: false });
+  assert.notEqual(rebuild.exitCode, 0);
+  assert.match(rebuild.stderr, /Podman is not installed/);
+});
+
+test('codex_version in .accountbox.toml selects a per-version image', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  await fs.mkdir(path.join(tmp, '.git'));
+  const run = (...args) => execa(process.execPath, [BIN, ...args], {
+    cwd: tmp,
+    env: { ...process.env, ACCOUNTBOX_HOME: path.join(tmp, '.accountbox'), PATH: '' },
+    reject: false,
+  });
+
+  await fs.writeFile(path.join(tmp, '.accountbox.toml'), 'codex_version = "0.46.0"\n', 'utf8');
+  const pinned = JSON.parse((await run('doctor', '--json')).stdout);
+  assert.equal(pinned.codex.image, 'accountbox-codex:0.46.0');
+  assert.equal(pinned.codex.npmSpec, '@openai/codex@0.46.0');
+  assert.equal(pinned.codex.version, '0.46.0');
+
+  await fs.writeFile(path.join(tmp, '.accountbox.toml'), 'codex_version = "0.46; rm -rf /"\n', 'utf8');
+  for (const args of [['status', '--deep'], ['rebuild'], ['images']]) {
+    const bad = await run('codex', ...args);
+    assert.equal(bad.exitCode, 1);
+    assert.match(bad.stderr, /codex_version in \.accountbox\.toml must be a Codex CLI version/);
+  }
+  // Helpers that never pick an image don't read the pin.
+  assert.equal((await run('codex', 'list')).exitCode, 0);
+  for (const args of [['status'], ['whoami'], ['snapshots']]) {
+    assert.doesNotMatch((await run('codex', ...args)).stderr, /codex_version/);
+  }
+
+  // Without a runtime, `images` says so the way `rebuild` does.
+  await fs.rm(path.join(tmp, '.accountbox.toml'));
+  const images = await run('codex', 'images');
+  assert.equal(images.exitCode, 1);
+  assert.match(images.stderr, /^Docker is not installed\. Start it, or choose another with ACCOUNTBOX_CONTAINER_RUNTIME=/m);
+});
+
+test('codex whoami refreshes an expired access token via the token endpoint', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const now = Math.floor(Date.now() / 1000);
+  const newAccess = fakeJwt({ exp: now + 3600 });
+  const stub = await startStubServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ access_token: newAccess, id_token: fakeJwt({ email: 'alice@example.com' }), refresh_token: 'rt-2' }));
+  });
+  try {
+    const authPath = await writeCodexAuth(home, 't1', {
+      tokens: { access_token: fakeJwt({ exp: now - 60 }), id_token: fakeJwt({ email: 'old@example.com' }), refresh_token: 'rt-1' },
+    });
+
+    const res = await execa(process.execPath, [BIN, 'codex', 't1', 'whoami'], {
+      cwd: tmp,
+      env: { ...process.env, ACCOUNTBOX_HOME: home, ACCOUNTBOX_CODEX_TOKEN_URL: `${stub.url}/oauth/token`, PATH: '' },
+    });
+    assert.equal(res.exitCode, 0);
+    assert.match(res.stdout, /Email: a…e@example\.com/);
+
+    assert.equal(stub.requests.length, 1);
+    const sent = JSON.parse(stub.requests[0].body);
+    assert.equal(sent.grant_type, 'refresh_token');
+    assert.equal(sent.refresh_token, 'rt-1');
+
+    const saved = JSON.parse(await fs.readFile(authPath, 'utf8'));
+    assert.equal(saved.tokens.access_token, newAccess);
+    assert.equal(saved.tokens.refresh_token, 'rt-2');
+    assert.ok(saved.last_refresh);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('codex login --remote --browser exchanges a pasted code for tokens', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const idToken = fakeJwt({ email: 'alice@example.com', 'https://api.openai.com/auth': { chatgpt_account_id: 'acct-9' } });
+  const stub = await startStubServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ access_token: 'at-1', id_token: idToken, refresh_token: 'rt-1' }));
+  });
+  try {
+    const res = await execa(process.execPath, [BIN, 'codex', 'r1', 'login', '--remote', '--browser'], {
+      cwd: tmp,
+      env: { ...process.env, ACCOUNTBOX_HOME: home, ACCOUNTBOX_CODEX_TOKEN_URL: `${stub.url}/oauth/token`, PATH: '' },
+      input: 'not a callback\nac_code123\n',
+      reject: false,
+    });
+    assert.match(res.stdout, /Scan the QR code/);
+    assert.match(res.stdout, /https:\/\/auth\.openai\.com\/oauth\/authorize\?.*code_challenge=/);
+    assert.match(res.stderr, /doesn't look like a callback URL/);
+
+    assert.equal(stub.requests.length, 1);
+    const sent = new URLSearchParams(stub.requests[0].body);
+    assert.equal(sent.get('grant_type'), 'authorization_code');
+    assert.equal(sent.get('code'), 'ac_code123');
+    assert.ok(sent.get('code_verifier'));
+
+    const saved = JSON.parse(await fs.readFile(path.join(home, 'codex', 'r1', 'auth.json'), 'utf8'));
+    assert.equal(saved.tokens.refresh_token, 'rt-1');
+    assert.equal(saved.tokens.account_id, 'acct-9');
+
+    // The volume sync needs a container runtime, which isn't installed here.
+    assert.notEqual(res.exitCode, 0);
+    assert.match(res.stderr, /Docker is not installed/);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('codex login --port relays the callback, names a busy port holder and rejects bad ports', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const stub = await startStubServer((req, res, body) => {
+    if (new URLSearchParams(body).get('code') === 'ac_stale') {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end('{"error":"invalid_grant"}');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ access_token: 'at-2', id_token: fakeJwt({ email: 'bob@example.com' }), refresh_token: 'rt-2' }));
+  });
+  const env = { ...process.env, ACCOUNTBOX_HOME: home, ACCOUNTBOX_CODEX_TOKEN_URL: `${stub.url}/oauth/token`, PATH: '' };
+  const busy = http.createServer();
+  await new Promise(r => busy.listen(0, '127.0.0.1', r));
+  let child = null;
+  try {
+    const bad = await execa(process.execPath, [BIN, 'codex', 'r2', 'login', '--browser', '--port', '70000'], { cwd: tmp, env, reject: false });
+    assert.notEqual(bad.exitCode, 0);
+    assert.match(bad.stderr, /Invalid --port '70000'/);
+
+    const held = await execa(process.execPath, [BIN, 'codex', 'r2', 'login', '--remote', '--browser', '--port', String(busy.address().port)], {
+      cwd: tmp, env, input: '', reject: false,
+    });
+    assert.notEqual(held.exitCode, 0);
+    if (process.platform === 'linux') assert.match(held.stderr, new RegExp(`can't listen on 127\\.0\\.0\\.1:\\d+ for the callback \\(pid ${process.pid} `));
+    assert.match(held.stderr, /Login cancelled/);
+
+    // A free port: the browser's redirect (forwarded to it) completes the login without pasting anything.
+    const port = busy.address().port;
+    await new Promise(r => busy.close(r));
+    child = execa(process.execPath, [BIN, 'codex', 'r2', 'login', '--remote', '--browser'], {
+      cwd: tmp, env: { ...env, ACCOUNTBOX_CODEX_LOGIN_PORT: String(port) }, reject: false,
+    });
+    let out = '';
+    // Wait for the relay instructions too: they can arrive in a later chunk than the sign-in URL.
+    const relayed = new RegExp(`[?&]state=([^&\\s]+)[\\s\\S]*ssh -L 1455:127\\.0\\.0\\.1:${port} `);
+    const state = await new Promise((resolve, reject) => {
+      child.stdout.on('data', (d) => {
+        out += d;
+        const m = out.match(relayed);
+        if (m) resolve(m[1]);
+      });
+      child.then(r => reject(new Error(`login exited before waiting for the callback:\n${out}\n${r.stderr}`)), reject);
+    });
+    // A pasted callback the token endpoint rejects leaves the relay waiting.
+    let err = '';
+    const pasteFailed = new Promise((resolve) => {
+      child.stderr.on('data', (d) => {
+        err += d;
+        if (/that callback failed: HTTP 400/.test(err)) resolve();
+      });
+    });
+    child.stdin.write(`http://localhost:1455/auth/callback?code=ac_stale&state=${state}\n`);
+    await pasteFailed;
+    const page = await fetch(`http://127.0.0.1:${port}/auth/callback?code=ac_relay&state=${state}`);
+    assert.equal(page.status, 200);
+    const res = await child;
+    assert.match(res.stdout, /Signed in; saved/);
+    assert.deepEqual(stub.requests.map(r => new URLSearchParams(r.body).get('code')), ['ac_stale', 'ac_relay']);
+    const saved = JSON.parse(await fs.readFile(path.join(home, 'codex', 'r2', 'auth.json'), 'utf8'));
+    assert.equal(saved.tokens.refresh_token, 'rt-2');
+  } finally {
+    if (child && child.exitCode == null) child.kill();
+    if (busy.listening) await new Promise(r => busy.close(r));
+    await stub.close();
+  }
+});
+
+test('codex whoami leaves a fresh access token alone', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const stub = await startStubServer((req, res) => { res.writeHead(500); res.end(); });
+  try {
+    await writeCodexAuth(home, 't1', {
+      tokens: { access_token: fakeJwt({ exp: Math.floor(Date.now() / 1000) + 3600 }), refresh_token: 'rt-1' },
+    });
+    const res = await execa(process.execPath, [BIN, 'codex', 't1', 'whoami'], {
+      cwd: tmp,
+      env: { ...process.env, ACCOUNTBOX_HOME: home, ACCOUNTBOX_CODEX_TOKEN_URL: `${stub.url}/oauth/token`, PATH: '' },
+    });
+    assert.equal(res.exitCode, 0);
+    assert.equal(stub.requests.length, 0);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('codex whoami --all tabulates every label and tells the same OpenAI account from the same workspace', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const now = Math.floor(Date.now() / 1000);
+  const login = (sub, accountId, email, exp) => ({
+    tokens: {
+      id_token: fakeJwt({ sub, email, 'https://api.openai.com/auth': { chatgpt_account_id: accountId, chatgpt_plan_type: 'plus' } }),
+      access_token: fakeJwt({ exp }),
+      refresh_token: 'rt',
+    },
+  });
+  await writeCodexAuth(home, 'work', login('auth0|alice', 'acct-1', 'alice@example.com', now + 3600));
+  await writeCodexAuth(home, 'personal', login('auth0|alice', 'acct-1', 'alice@example.com', now - 3600));
+  await writeCodexAuth(home, 'other', login('auth0|bob', 'acct-2', 'bob@example.com', now + 3600));
+  await writeCodexAuth(home, 'key', { OPENAI_API_KEY: 'sk-test' });
+  const env = { ...process.env, ACCOUNTBOX_HOME: home, PATH: '' };
+
+  const res = await execa(process.execPath, [BIN, 'codex', 'whoami', '--all'], { cwd: tmp, env });
+  assert.match(res.stdout, /^LABEL\s+AUTH\s+EMAIL\s+SUBJECT/);
+  assert.match(res.stdout, /personal\s+chatgpt\s+a…e@example\.com.*expired .* ago\s+! same account as work/);
+  assert.match(res.stdout, /key\s+api-key/);
+  assert.match(res.stdout, /- personal, work share subject auth0\|alice and account id acct-1/);
+  assert.doesNotMatch(res.stdout, /alice@example\.com/);
+
+  const json = JSON.parse((await execa(process.execPath, [BIN, 'codex', 'whoami', '--all', '--json'], { cwd: tmp, env })).stdout);
+  assert.deepEqual(json.accounts.map(a => [a.account, a.sameAccountAs]), [['key', []], ['other', []], ['personal', ['work']], ['work', ['personal']]]);
+  assert.deepEqual(json.duplicates.map(d => [d.field, d.accounts]), [['subject', ['personal', 'work']], ['accountId', ['personal', 'work']]]);
+  assert.equal(json.accounts.find(a => a.account === 'personal').tokenExpired, true);
+
+  // Another user in the same ChatGPT workspace shares only the account id: noted, but not as the same account.
+  await writeCodexAuth(home, 'teammate', login('auth0|carol', 'acct-1', 'carol@example.com', now + 3600));
+  const team = await execa(process.execPath, [BIN, 'codex', 'whoami', '--all'], { cwd: tmp, env });
+  assert.match(team.stdout, /teammate\s+chatgpt\s+.*\s+same workspace as personal, work\n/);
+  assert.match(team.stdout, /work\s+chatgpt\s+.*! same account as personal; same workspace as teammate\n/);
+  assert.match(team.stdout, /Labels logged into the same OpenAI account:\n- personal, work share subject auth0\|alice\n/);
+  assert.match(team.stdout, /Labels in the same ChatGPT workspace \(different users can share one\):\n- personal, teammate, work share account id acct-1$/);
+  const teamJson = JSON.parse((await execa(process.execPath, [BIN, 'codex', 'whoami', '--all', '--json'], { cwd: tmp, env })).stdout);
+  assert.deepEqual(teamJson.accounts.filter(a => a.account !== 'key' && a.account !== 'other').map(a => [a.account, a.sameAccountAs, a.sameWorkspaceAs]), [
+    ['personal', ['work'], ['teammate']],
+    ['teammate', [], ['personal', 'work']],
+    ['work', ['personal'], ['teammate']],
+  ]);
+  assert.deepEqual(teamJson.duplicates.map(d => [d.relation, d.accounts]), [['account', ['personal', 'work']], ['workspace', ['personal', 'teammate', 'work']]]);
+});
+
+test('codex status answers from the host auth.json without a container runtime', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const now = Math.floor(Date.now() / 1000);
+  const live = { tokens: { access_token: fakeJwt({ exp: now + 3600 }), refresh_token: 'rt-1' } };
+  await writeCodexAuth(home, 'live', live);
+  await writeCodexAuth(home, 'stale', { tokens: { access_token: fakeJwt({ exp: now - 3600 }) } });
+  // What a previous sync recorded about each volume.
+  await fs.writeFile(path.join(home, 'codex', 'live', 'volume-state.json'), JSON.stringify({ authHash: codexCredentialsHash(live), recordedAt: '2026-10-01T00:00:00.000Z' }));
+  await fs.writeFile(path.join(home, 'codex', 'stale', 'volume-state.json'), JSON.stringify({ authHash: 'feedfacefeedface', recordedAt: '2026-10-01T00:00:00.000Z' }));
+  const env = { ...process.env, ACCOUNTBOX_HOME: home, PATH: '' };
+
+  const ok = await execa(process.execPath, [BIN, 'codex', 'live', 'status'], { cwd: tmp, env });
+  assert.match(ok.stdout, /Logged in: yes \(chatgpt\)/);
+  assert.match(ok.stdout, /Access token: expires in \S+ \(/);
+  assert.match(ok.stdout, /Refresh token: present/);
+  assert.match(ok.stdout, /Volume copy: matched the host copy when last seen at 2026-10-01\S+ \(--deep reads it now\)/);
+  const okJson = JSON.parse((await execa(process.execPath, [BIN, 'codex', 'live', 'status', '--json'], { cwd: tmp, env })).stdout);
+  // Only a volume read just now (--deep) answers matchesHost.
+  assert.deepEqual(okJson.volume, { state: 'match', basis: 'last-seen', matchesHost: null, recordedAt: '2026-10-01T00:00:00.000Z' });
+
+  const stale = await execa(process.execPath, [BIN, 'codex', 'stale', 'status', '--json'], { cwd: tmp, env, reject: false });
+  assert.equal(stale.exitCode, 1);
+  const row = JSON.parse(stale.stdout);
+  assert.deepEqual([row.loggedIn, row.tokenExpired, row.hasRefreshToken, row.volume.state], [false, true, false, 'differs']);
+
+  const all = await execa(process.execPath, [BIN, 'codex', 'status', '--all'], { cwd: tmp, env });
+  assert.match(all.stdout, /^LABEL\s+AUTH\s+LOGGED IN/);
+  assert.match(all.stdout, /live\s+chatgpt\s+yes\s+expires in \S+\s+yes\s+match \(last seen\)/);
+  assert.match(all.stdout, /stale\s+chatgpt\s+no\s+expired \S+ ago\s+no\s+differs \(last seen\)/);
+
+  const deep = await execa(process.execPath, [BIN, 'codex', 'live', 'status', '--deep'], { cwd: tmp, env, reject: false });
+  assert.notEqual(deep.exitCode, 0);
+  assert.match(deep.stderr, /Docker is not installed/);
+});
+
+test('claude list/whoami/status/logout read the label\'s stored credentials', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const writeClaude = async (label, credentials, config) => {
+    const dir = path.join(home, 'claude', label, 'config', 'claude');
+    await fs.mkdir(dir, { recursive: true });
+    if (credentials) await fs.writeFile(path.join(dir, '.credentials.json'), JSON.stringify(credentials));
+    if (config) await fs.writeFile(path.join(dir, '.claude.json'), JSON.stringify(config));
+    return dir;
+  };
+  const dir = await writeClaude('work', {
+    claudeAiOauth: { accessToken: 'at', refreshToken: 'rt', expiresAt: Date.now() + 3_600_000, subscriptionType: 'max' },
+  }, {
+    numStartups: 3,
+    oauthAccount: { emailAddress: 'alice@example.com', organizationName: 'Acme', organizationUuid: 'org-uuid-123456', accountUuid: 'acct-uuid-1' },
+  });
+  await fs.mkdir(path.join(home, 'claude', 'fresh'), { recursive: true });
+  const env = { ...process.env, ACCOUNTBOX_HOME: home, PATH: '' };
+  const run = args => execa(process.execPath, [BIN, 'claude', ...args], { cwd: tmp, env, reject: false });
+
+  const list = await run(['list']);
+  assert.equal(list.exitCode, 0);
+  assert.match(list.stdout, /^LABEL\s+LOGGED IN\s+EMAIL\s+ORG/);
+  assert.match(list.stdout, /work\s+yes \(oauth\)\s+a…e@example\.com\s+Acme\s+max/);
+  assert.match(list.stdout, /fresh\s+no\s+-/);
+  assert.deepEqual(JSON.parse((await run(['list', '--json'])).stdout).map(r => [r.account, r.loggedIn]), [['fresh', false], ['work', true]]);
+
+  const who = await run(['work', 'whoami']);
+  assert.match(who.stdout, /Email: a…e@example\.com/);
+  assert.match(who.stdout, /Organization: Acme \| org-uuid…/);
+  assert.doesNotMatch(who.stdout, /alice@/);
+  assert.equal(JSON.parse((await run(['work', 'whoami', '--json'])).stdout).organization.name, 'Acme');
+
+  const status = await run(['work', 'status']);
+  assert.equal(status.exitCode, 0);
+  assert.match(status.stdout, /Logged in: yes \(oauth\)/);
+  assert.match(status.stdout, /Refresh token: present/);
+  assert.equal((await run(['fresh', 'status'])).exitCode, 1);
+
+  const out = await run(['work', 'logout']);
+  assert.match(out.stdout, /Moved Claude credentials -> .*\.credentials\.json\.logout-bak-/);
+  const config = JSON.parse(await fs.readFile(path.join(dir, '.claude.json'), 'utf8'));
+  assert.deepEqual(config, { numStartups: 3 });
+  assert.equal((await run(['work', 'status'])).exitCode, 1);
+});
+
+test('claude save/snapshots/switch move credentials and settings between labels', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const claudeDir = label => path.join(home, 'claude', label, 'config', 'claude');
+  const write = async (label, name, value) => {
+    await fs.mkdir(claudeDir(label), { recursive: true });
+    await fs.writeFile(path.join(claudeDir(label), name), JSON.stringify(value));
+  };
+  await write('work', '.credentials.json', { claudeAiOauth: { accessToken: 'at-w', refreshToken: 'rt-w', subscriptionType: 'max' } });
+  await write('work', '.claude.json', { oauthAccount: { emailAddress: 'alice@example.com', organizationName: 'Acme' }, projects: { '/repo': { history: ['x'] } } });
+  await write('work', 'settings.json', { model: 'opus' });
+  await fs.mkdir(path.join(claudeDir('work'), 'projects', 'repo'), { recursive: true });
+  await fs.writeFile(path.join(claudeDir('work'), 'projects', 'repo', 'session.jsonl'), '{}\n');
+  await write('spare', '.claude.json', { oauthAccount: { emailAddress: 'bob@example.com' }, projects: { '/other': {} } });
+  const env = { ...process.env, ACCOUNTBOX_HOME: home, PATH: '' };
+  const run = args => execa(process.execPath, [BIN, 'claude', ...args], { cwd: tmp, env, reject: false });
+
+  const saved = await run(['work', 'save', 'acme']);
+  assert.equal(saved.exitCode, 0, saved.stderr);
+  assert.match(saved.stdout, /Saved snapshot 'acme' from account 'work' .*\(3 files\)/);
+
+  const list = await run(['snapshots']);
+  assert.match(list.stdout, /- acme \(from work, \d{4}-\d\d-\d\d, a…e@example\.com, Acme, max\)/);
+  const [snap] = JSON.parse((await run(['snapshots', '--json'])).stdout);
+  assert.deepEqual(snap.files, ['config/claude/.claude.json', 'config/claude/.credentials.json', 'config/claude/settings.json']);
+
+  const sw = await run(['switch', 'acme', 'spare']);
+  assert.equal(sw.exitCode, 0, sw.stderr);
+  assert.match(sw.stderr, /different identity \(a…e@example\.com\) than label 'spare' currently has \(b…b@example\.com\)/);
+  const config = JSON.parse(await fs.readFile(path.join(claudeDir('spare'), '.claude.json'), 'utf8'));
+  assert.equal(config.oauthAccount.emailAddress, 'alice@example.com');
+  assert.deepEqual(config.projects, { '/other': {} });
+  assert.match((await run(['spare', 'status'])).stdout, /Logged in: yes \(oauth\)/);
+
+  const escape = await run(['snapshot', 'rm', '..']);
+  assert.equal(escape.exitCode, 1);
+  assert.match(escape.stderr, /Invalid snapshot name '\.\.'/);
+  assert.ok(await fs.stat(path.join(claudeDir('work'), '.credentials.json')));
+});
+
+test('claude_isolation picks how labels are separated and doctor reports leaked credentials', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const realHome = path.join(tmp, 'home');
+  const bin = path.join(tmp, 'bin');
+  await fs.mkdir(bin, { recursive: true });
+  await fs.mkdir(path.join(tmp, '.git'));
+  // A Claude Code that ignores XDG: it only honours CLAUDE_CONFIG_DIR and HOME.
+  await fs.writeFile(path.join(bin, 'claude'), [
+    '#!/bin/sh',
+    '[ "$1" = "--version" ] && { echo "1.0.0 (Claude Code)"; exit 0; }',
+    'dir="${CLAUDE_CONFIG_DIR:-$HOME/.claude}"',
+    '/bin/mkdir -p "$dir"',
+    'echo \'{"claudeAiOauth":{"accessToken":"at","refreshToken":"rt"}}\' > "$dir/.credentials.json"',
+    '',
+  ].join('\n'), { mode: 0o755 });
+  const env = { ...process.env, ACCOUNTBOX_HOME: home, ACCOUNTBOX_TOOLS_TOML: path.join(tmp, 'tools.toml'), HOME: realHome, PATH: bin };
+  delete env.CLAUDE_CONFIG_DIR;
+  delete env.ACCOUNTBOX_CLAUDE_ISOLATION;
+  const run = (args, extra = {}) => execa(process.execPath, [BIN, ...args], { cwd: tmp, env: { ...env, ...extra }, reject: false });
+
+  assert.equal((await run(['claude', 'xdg', 'chat'])).exitCode, 0);
+  assert.equal((await run(['claude', 'xdg', 'status'])).exitCode, 1);
+  const leaked = JSON.parse((await run(['doctor', '--json'])).stdout).claudeIsolation;
+  assert.deepEqual([leaked.mode, leaked.source], ['xdg', 'default']);
+  assert.deepEqual(leaked.runs.map(r => [r.account, r.leaks, r.wroteInside]), [['xdg', [path.join(realHome, '.claude', '.credentials.json')], false]]);
+  assert.match((await run(['doctor'])).stdout, /claude isolation check: LEAK \(xdg, .*\) wrote .*\.credentials\.json outside the label dir\. Try claude_isolation = "config_dir" or "home"/);
+  await fs.rm(path.join(realHome, '.claude'), { recursive: true });
+
+  await fs.writeFile(path.join(tmp, '.accountbox.toml'), 'claude_isolation = "config_dir"\n', 'utf8');
+  assert.equal((await run(['claude', 'cd', 'chat'])).exitCode, 0);
+  const cd = await run(['claude', 'cd', 'status']);
+  assert.equal(cd.exitCode, 0, cd.stdout);
+  assert.match(cd.stdout, /Isolation: config_dir/);
+
+  assert.equal((await run(['claude', 'h', 'chat'], { ACCOUNTBOX_CLAUDE_ISOLATION: 'home' })).exitCode, 0);
+  const h = await run(['claude', 'h', 'status'], { ACCOUNTBOX_CLAUDE_ISOLATION: 'home' });
+  assert.equal(h.exitCode, 0, h.stdout);
+  assert.match(h.stdout, new RegExp(`Credentials: ${path.join(home, 'claude', 'h', 'home', '.claude', '.credentials.json').replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\n`));
+
+  // Helpers read each label where its last run put the files, not with the mode this repo resolves to now.
+  const listed = JSON.parse((await run(['claude', 'list', '--json'])).stdout);
+  assert.deepEqual(listed.map(r => [r.account, r.mode, r.loggedIn]), [['cd', 'config_dir', true], ['h', 'home', true], ['xdg', 'xdg', false]]);
+  const hHere = await run(['claude', 'h', 'status']);
+  assert.equal(hHere.exitCode, 0, hHere.stdout);
+  assert.match(hHere.stdout, /Isolation: home \(its last run; config_dir applies here from the next run\)/);
+  assert.equal((await run(['claude', 'h', 'whoami', '--json'])).exitCode, 0);
+
+  const doctor = await run(['doctor']);
+  assert.match(doctor.stdout, /^claude isolation: config_dir \(claude_isolation in \.accountbox\.toml\)$/m);
+  assert.match(doctor.stdout, /claude isolation check: OK \(cd, .* \(config_dir\)\) credentials stayed in the label dir/);
+  assert.match(doctor.stdout, /claude isolation check: OK \(h, .* \(home\)\) credentials stayed in the label dir/);
+
+  await fs.writeFile(path.join(tmp, '.accountbox.toml'), 'claude_isolation = "sudo"\n', 'utf8');
+  const bad = await run(['claude', 'cd', 'status']);
+  assert.notEqual(bad.exitCode, 0);
+  assert.match(bad.stderr, /Unknown Claude isolation 'sudo'.*Use one of: xdg, config_dir, home/);
+});
+
+test('codex limits lists api-key labels next to ChatGPT labels', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const stub = await startStubServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    if (req.url === '/api/codex/usage') {
+      res.end(JSON.stringify({ plan_type: 'api', rate_limit: { allowed: true, primary_window: { used_percent: 5, reset_after_seconds: 120 } } }));
+      return;
+    }
+    res.end(JSON.stringify({ plan_type: 'plus', email: 'bob@example.com', rate_limit: { allowed: true } }));
+  });
+  try {
+    await writeCodexAuth(home, 'ci', { OPENAI_API_KEY: 'sk-test', tokens: null, last_refresh: null });
+    await writeCodexAuth(home, 'me', { tokens: { access_token: fakeJwt({ exp: Math.floor(Date.now() / 1000) + 3600 }) } });
+    const env = {
+      ...process.env,
+      ACCOUNTBOX_HOME: home,
+      ACCOUNTBOX_CODEX_API_BASE_URL: stub.url,
+      ACCOUNTBOX_CODEX_CHATGPT_BASE_URL: `${stub.url}/backend-api`,
+    };
+
+    const json = await execa(process.execPath, [BIN, 'codex', 'limits', '--json'], { cwd: tmp, env });
+    const rows = JSON.parse(json.stdout);
+    assert.deepEqual(rows.map(r => [r.account, r.ok, r.authMode]), [['ci', true, 'api-key'], ['me', true, 'chatgpt']]);
+    assert.equal(rows[0].usage.plan_type, 'api');
+
+    const apiReq = stub.requests.find(r => r.url === '/api/codex/usage');
+    assert.equal(apiReq.headers.authorization, 'Bearer sk-test');
+
+    const text = await execa(process.execPath, [BIN, 'codex', 'limits'], { cwd: tmp, env });
+    assert.match(text.stdout, /^- ci: auth=api-key plan=api .*rate=5%\/2m/m);
+    assert.match(text.stdout, /^- me: auth=chatgpt plan=plus/m);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('resolve codex --best picks the label with the most headroom within codex_pool', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const usageByToken = {
+    'tok-a': { allowed: true, primary_window: { used_percent: 50 }, secondary_window: { used_percent: 20 } },
+    'tok-b': { allowed: true, primary_window: { used_percent: 10 }, secondary_window: { used_percent: 30 } },
+    'tok-c': { allowed: true, limit_reached: true, primary_window: { used_percent: 100 } },
+  };
+  const stub = await startStubServer((req, res) => {
+    const tok = String(req.headers.authorization || '').replace(/^Bearer /, '');
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ plan_type: 'plus', rate_limit: usageByToken[tok] }));
+  });
+  try {
+    for (const l of ['a', 'b', 'c']) await writeCodexAuth(home, l, { tokens: { access_token: `tok-${l}` } });
+    await fs.mkdir(path.join(tmp, '.git'));
+    const env = { ...process.env, ACCOUNTBOX_HOME: home, ACCOUNTBOX_CODEX_CHATGPT_BASE_URL: stub.url };
+
+    const all = await execa(process.execPath, [BIN, 'resolve', 'codex', '--best', '--json'], { cwd: tmp, env });
+    const allObj = JSON.parse(all.stdout);
+    assert.equal(allObj.ok, true);
+    assert.equal(allObj.account, 'b');
+    assert.equal(allObj.headroomPercent, 70);
+    assert.deepEqual(allObj.candidates.find(c => c.account === 'c'), { account: 'c', eligible: false, reason: 'limit_reached' });
+
+    await fs.writeFile(path.join(tmp, '.accountbox.toml'), 'codex_pool = ["a", "c"]\n', 'utf8');
+    const pooled = await execa(process.execPath, [BIN, 'resolve', 'codex', '--best'], { cwd: tmp, env });
+    assert.equal(pooled.stdout.trim(), 'a');
+
+    await fs.writeFile(path.join(tmp, '.accountbox.toml'), 'codex_pool = ["c"]\n', 'utf8');
+    const none = await execa(process.execPath, [BIN, 'resolve', 'codex', '--best', '--json'], { cwd: tmp, env, reject: false });
+    assert.equal(none.exitCode, 1);
+    assert.equal(JSON.parse(none.stdout).ok, false);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('codex limits records masked usage history and --history reports resets', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const responses = [
+    { email: 'carol@example.com', plan_type: 'pro', rate_limit: { primary_window: { used_percent: 80 }, secondary_window: { used_percent: 30 } } },
+    { email: 'carol@example.com', plan_type: 'pro', rate_limit: { primary_window: { used_percent: 10 }, secondary_window: { used_percent: 35 } } },
+  ];
+  const stub = await startStubServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(responses.shift()));
+  });
+  try {
+    await writeCodexAuth(home, 'w1', { tokens: { access_token: 'tok' } });
+    const env = { ...process.env, ACCOUNTBOX_HOME: home, ACCOUNTBOX_CODEX_CHATGPT_BASE_URL: stub.url };
+    await execa(process.execPath, [BIN, 'codex', 'limits'], { cwd: tmp, env });
+    await execa(process.execPath, [BIN, 'codex', 'w1', 'limits', '--json'], { cwd: tmp, env });
+
+    const stored = await fs.readFile(path.join(home, 'codex-usage', 'w1.jsonl'), 'utf8');
+    assert.equal(stored.trim().split('\n').length, 2);
+    assert.doesNotMatch(stored, /carol@/);
+
+    const hist = await execa(process.execPath, [BIN, 'codex', 'limits', '--history', '--since', '1d', '--json'], { cwd: tmp, env });
+    const obj = JSON.parse(hist.stdout);
+    assert.equal(obj.accounts.length, 1);
+    const w1 = obj.accounts[0];
+    assert.deepEqual(w1.samples.map(s => s.primaryPercent), [80, 10]);
+    assert.equal(w1.primary.resets.length, 1);
+    assert.equal(w1.primary.resets[0].peakPercent, 80);
+    assert.equal(w1.secondary.resets.length, 0);
+
+    const text = await execa(process.execPath, [BIN, 'codex', 'limits', '--history'], { cwd: tmp, env });
+    assert.match(text.stdout, /- w1: 2 sample\(s\)/);
+    assert.match(text.stdout, /primary: latest 10%, max 80%, 1 reset\(s\)/);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('codex limits --watch renders a table and backs off failing labels', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const stub = await startStubServer((req, res) => {
+    if (req.headers.authorization === 'Bearer expired') {
+      res.writeHead(401);
+      res.end('nope');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ plan_type: 'plus', rate_limit: { primary_window: { used_percent: 91, reset_after_seconds: 3600 } }, credits: { has_credits: false } }));
+  });
+  try {
+    await writeCodexAuth(home, 'good', { tokens: { access_token: 'tok' } });
+    await writeCodexAuth(home, 'bad', { tokens: { access_token: 'expired' } });
+    const env = { ...process.env, ACCOUNTBOX_HOME: home, ACCOUNTBOX_CODEX_CHATGPT_BASE_URL: stub.url };
+    const res = await execa(process.execPath, [BIN, 'codex', 'limits', '--watch', '--interval', '5s', '--count', '1'], { cwd: tmp, env, timeout: 20_000 });
+    assert.equal(res.exitCode, 0);
+    assert.match(res.stdout, /^LABEL\s+AUTH\s+PLAN\s+PRIMARY\s+SECONDARY\s+P-RESET\s+S-RESET\s+CREDITS\s+STATUS$/m);
+    assert.match(res.stdout, /^good\s+chatgpt\s+plus\s+91%\s+n\/a\s+1h\s+n\/a\s+none\s+ok$/m);
+    assert.match(res.stdout, /^bad\s+.*error: HTTP 401 from wham\/usage: nope \(retry in 10s\)$/m);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('codex snapshots record metadata and support show/rename/rm/diff', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const idToken = (email, sub, acct) => fakeJwt({ email, sub, 'https://api.openai.com/auth': { chatgpt_plan_type: 'plus', chatgpt_account_id: acct } });
+  await writeCodexAuth(home, 'work', { tokens: { id_token: idToken('dana@example.com', 'user-1', 'acct-1111'), access_token: 'a' } });
+  await writeCodexAuth(home, 'other', { tokens: { id_token: idToken('erin@example.com', 'user-2', 'acct-2222'), access_token: 'b' } });
+  const env = { ...process.env, ACCOUNTBOX_HOME: home, PATH: '' };
+  const run = (...args) => execa(process.execPath, [BIN, 'codex', ...args], { cwd: tmp, env, reject: false });
+
+  assert.equal((await run('work', 'save', 'snap1')).exitCode, 0);
+  const list = JSON.parse((await run('snapshots', '--json')).stdout);
+  assert.equal(list.length, 1);
+  assert.equal(list[0].name, 'snap1');
+  assert.equal(list[0].sourceAccount, 'work');
+  assert.equal(list[0].email, 'd…a@example.com');
+  assert.equal(list[0].plan, 'plus');
+  assert.ok(list[0].createdAt);
+
+  assert.equal((await run('snapshot', 'rename', 'snap1', 'snap2')).exitCode, 0);
+  const show = JSON.parse((await run('snapshot', 'show', 'snap2', '--json')).stdout);
+  assert.equal(show.name, 'snap2');
+  assert.equal(show.sourceAccount, 'work');
+
+  // Docker isn't on PATH so the volume sync fails, but the identity warning comes first.
+  const sw = await run('switch', 'snap2', 'other');
+  assert.match(sw.stderr, /Warning: snapshot 'snap2' is a different identity/);
+  const escape = await run('switch', 'snap2', '../escape');
+  assert.equal(escape.exitCode, 1);
+  assert.match(escape.stderr, /Invalid label '\.\.\/escape'/);
+  await assert.rejects(fs.stat(path.join(home, 'escape')), { code: 'ENOENT' });
+
+  await writeCodexAuth(home, 'third', { tokens: { id_token: idToken('erin@example.com', 'user-2', 'acct-2222'), access_token: 'c' } });
+  assert.equal((await run('third', 'save', 'snap3')).exitCode, 0);
+  const diff = await run('snapshot', 'diff', 'snap2', 'snap3');
+  assert.equal(diff.exitCode, 0, diff.stderr);
+  assert.match(diff.stdout, /^FIELD\s+snapshot snap2\s+snapshot snap3/);
+  assert.match(diff.stdout, /^email\s+d…a@example\.com\s+e…n@example\.com\s+\*$/m);
+  assert.match(diff.stdout, /^plan\s+plus\s+plus$/m);
+  assert.match(diff.stdout, /Credentials: different\nNote: these are different OpenAI identities\./);
+  assert.doesNotMatch(diff.stdout, /dana@|erin@/);
+  const vsLabel = JSON.parse((await run('snapshot', 'diff', 'snap3', '--label', 'third', '--json')).stdout);
+  assert.deepEqual([vsLabel.b, vsLabel.sameCredentials, vsLabel.fields.every(f => f.same)], [{ kind: 'label', name: 'third' }, true, true]);
+  assert.equal((await run('snapshot', 'rm', 'snap3')).exitCode, 0);
+
+  // Snapshots saved before names were restricted stay listed and usable.
+  await fs.mkdir(path.join(home, 'codex-snapshots', 'old one'), { recursive: true });
+  await fs.copyFile(path.join(home, 'codex', 'work', 'auth.json'), path.join(home, 'codex-snapshots', 'old one', 'auth.json'));
+  assert.deepEqual(JSON.parse((await run('snapshots', '--json')).stdout).map(s => s.name), ['old one', 'snap2']);
+  assert.equal(JSON.parse((await run('snapshot', 'show', 'old one', '--json')).stdout).email, 'd…a@example.com');
+  assert.equal((await run('snapshot', 'rename', 'old one', 'old two')).exitCode, 1);
+  assert.equal((await run('snapshot', 'rename', 'old one', 'old-one')).exitCode, 0);
+  assert.equal((await run('snapshot', 'rm', 'old-one')).exitCode, 0);
+  assert.match((await run('snapshot', 'rm', '..')).stderr, /Invalid snapshot name '\.\.'/);
+
+  assert.equal((await run('snapshot', 'rm', 'snap2')).exitCode, 0);
+  assert.match((await run('snapshots')).stdout, /No Codex snapshots found/);
+
+  const bad = await run('work', 'save', '../escape');
+  assert.equal(bad.exitCode, 1);
+  assert.match(bad.stderr, /Invalid snapshot name/);
+});
+
+test('codex rename/clone/rm move every host location and update .accountbox.toml', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  await fs.mkdir(path.join(tmp, '.git'));
+  await fs.writeFile(path.join(tmp, '.accountbox.toml'), '# team defaults\ncodex_account = "work"\ncodex_pool = ["work", "spare"]\n', 'utf8');
+  await writeCodexAuth(home, 'work', { OPENAI_API_KEY: 'sk-test', tokens: null });
+  await fs.mkdir(path.join(home, 'browser', 'work'), { recursive: true });
+  await fs.mkdir(path.join(home, 'codex-usage'), { recursive: true });
+  await fs.writeFile(path.join(home, 'codex-usage', 'work.jsonl'), '', 'utf8');
+  // Docker isn't on PATH: rm/rename refuse to leave the volume behind unless told to with --host-only.
+  const run = (...args) => execa(process.execPath, [BIN, 'codex', ...args], { cwd: tmp, env: { ...process.env, ACCOUNTBOX_HOME: home, PATH: '' }, reject: false });
+  const has = (...p) => fs.access(path.join(home, ...p)).then(() => true, () => false);
+
+  const refused = await run('work', 'rename', 'main');
+  assert.equal(refused.exitCode, 1);
+  assert.match(refused.stderr, /Docker is not reachable, so volume accountbox_codex_work can't be renamed .* pass --host-only/);
+  assert.ok(await has('codex', 'work', 'auth.json'));
+
+  const renamed = await run('work', 'rename', 'main', '--host-only');
+  assert.equal(renamed.exitCode, 0, renamed.stderr);
+  assert.match(renamed.stderr, /volume accountbox_codex_work keeps its old name \(--host-only\)/);
+  assert.ok(await has('codex', 'main', 'auth.json'));
+  assert.ok(await has('browser', 'main'));
+  assert.ok(await has('codex-usage', 'main.jsonl'));
+  assert.equal(await has('codex', 'work'), false);
+  assert.equal(await fs.readFile(path.join(tmp, '.accountbox.toml'), 'utf8'), '# team defaults\ncodex_account = "main"\ncodex_pool = ["main", "spare"]\n');
+
+  assert.equal((await run('main', 'clone', 'copy')).exitCode, 0);
+  assert.ok(await has('codex', 'copy', 'auth.json'));
+  assert.equal(await has('browser', 'copy'), false);
+  const clash = await run('main', 'clone', 'copy');
+  assert.equal(clash.exitCode, 1);
+  assert.match(clash.stderr, /Label 'copy' already exists/);
+
+  assert.equal((await run('main', 'rm', '--keep-browser')).exitCode, 1);
+  assert.ok(await has('codex', 'main'));
+  assert.equal((await run('main', 'rm', '--keep-browser', '--host-only')).exitCode, 0);
+  assert.equal(await has('codex', 'main'), false);
+  assert.ok(await has('browser', 'main'));
+  assert.equal(await fs.readFile(path.join(tmp, '.accountbox.toml'), 'utf8'), '# team defaults\ncodex_pool = ["spare"]\n');
+
+  const noLabel = await run('rm');
+  assert.equal(noLabel.exitCode, 1);
+  assert.match(noLabel.stderr, /Usage: accountbox codex <label> rm/);
+
+  for (const bad of [['..', 'rm', '--host-only'], ['.', 'rm', '--host-only'], ['..', 'rename', 'x', '--host-only'], ['..', 'clone', 'x']]) {
+    const r = await run(...bad);
+    assert.equal(r.exitCode, 1, bad.join(' '));
+    assert.match(r.stderr, /Invalid label '\.\.?'/);
+  }
+  assert.ok(await has('codex', 'copy', 'auth.json'));
+  assert.ok(await has('browser', 'main'));
+});
+
+test('export/import round-trips labels and snapshots through an encrypted bundle', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const src = path.join(tmp, 'old', '.accountbox');
+  const dst = path.join(tmp, 'new', '.accountbox');
+  const bundle = path.join(tmp, 'work.bundle');
+  const idToken = fakeJwt({ email: 'dana@example.com', sub: 'user-1', 'https://api.openai.com/auth': { chatgpt_plan_type: 'pro' } });
+  await writeCodexAuth(src, 'work', { tokens: { id_token: idToken, access_token: 'a', refresh_token: 'r' } });
+  const run = (home, ...args) => execa(process.execPath, [BIN, ...args], {
+    cwd: tmp,
+    env: { ...process.env, ACCOUNTBOX_HOME: home, ACCOUNTBOX_BUNDLE_PASSPHRASE: 'correct horse', PATH: '' },
+    reject: false,
+  });
+
+  assert.equal((await run(src, 'codex', 'work', 'save', 'before-trip')).exitCode, 0);
+  const exported = await run(src, 'export', 'work', '-o', bundle, '--encrypt');
+  assert.equal(exported.exitCode, 0, exported.stderr);
+  assert.doesNotMatch(await fs.readFile(bundle, 'utf8'), /dana@example\.com|refresh_token/);
+
+  const dry = await run(dst, 'import', bundle, '--dry-run');
+  assert.equal(dry.exitCode, 0, dry.stderr);
+  assert.match(dry.stdout, /- work: chatgpt, d…a@example\.com, pro \[auth\.json; snapshots: before-trip\]/);
+  assert.equal(await fs.access(path.join(dst, 'codex', 'work')).then(() => true, () => false), false);
+
+  assert.equal((await run(dst, 'import', bundle)).exitCode, 0);
+  const auth = JSON.parse(await fs.readFile(path.join(dst, 'codex', 'work', 'auth.json'), 'utf8'));
+  assert.equal(auth.tokens.refresh_token, 'r');
+  const snaps = JSON.parse((await run(dst, 'codex', 'snapshots', '--json')).stdout);
+  assert.equal(snaps[0].name, 'before-trip');
+  assert.equal(snaps[0].sourceAccount, 'work');
+
+  const again = await run(dst, 'import', bundle);
+  assert.equal(again.exitCode, 1);
+  assert.match(again.stderr, /Refusing to overwrite existing Codex label\(s\): work/);
+  const forced = await run(dst, 'import', bundle, '--force');
+  assert.equal(forced.exitCode, 0, forced.stderr);
+  assert.match(forced.stdout, /Moved existing auth\.json -> /);
+});
+
+test('vault lock/unlock/rekey encrypts auth.json and snapshots; whoami decrypts on demand', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const idToken = fakeJwt({ email: 'frank@example.com', sub: 'user-9' });
+  const authPath = await writeCodexAuth(home, 'v1', { tokens: { id_token: idToken, access_token: 'a' } });
+  const base = { ...process.env, ACCOUNTBOX_HOME: home, PATH: '' };
+  const env = { ...base, ACCOUNTBOX_VAULT_PASSPHRASE: 'correct horse' };
+  const run = (args, e = env) => execa(process.execPath, [BIN, ...args], { cwd: tmp, env: e, reject: false });
+
+  assert.equal((await run(['codex', 'v1', 'save', 's1'])).exitCode, 0);
+  const lock = await run(['vault', 'lock']);
+  assert.equal(lock.exitCode, 0, lock.stderr);
+  assert.match(lock.stdout, /encrypted 2 of 2/);
+
+  const sealed = await fs.readFile(authPath, 'utf8');
+  assert.doesNotMatch(sealed, /access_token/);
+  assert.doesNotMatch(await fs.readFile(path.join(home, 'codex-snapshots', 's1', 'auth.json'), 'utf8'), /access_token/);
+
+  const who = await run(['codex', 'v1', 'whoami']);
+  assert.equal(who.exitCode, 0, who.stderr);
+  assert.match(who.stdout, /Email: f…k@example\.com/);
+
+  const noPass = await run(['codex', 'v1', 'whoami'], base);
+  assert.equal(noPass.exitCode, 1);
+  assert.match(noPass.stderr, /ACCOUNTBOX_VAULT_PASSPHRASE/);
+
+  const wrong = await run(['codex', 'v1', 'whoami'], { ...base, ACCOUNTBOX_VAULT_PASSPHRASE: 'nope' });
+  assert.match(wrong.stderr, /Wrong vault passphrase/);
+
+  const rekey = await run(['vault', 'rekey'], { ...env, ACCOUNTBOX_VAULT_NEW_PASSPHRASE: 'battery staple' });
+  assert.equal(rekey.exitCode, 0, rekey.stderr);
+  const env2 = { ...base, ACCOUNTBOX_VAULT_PASSPHRASE: 'battery staple' };
+  const status = JSON.parse((await run(['vault', 'status', '--json'], env2)).stdout);
+  assert.equal(status.enabled, true);
+  assert.equal(status.encrypted, 2);
+
+  assert.equal((await run(['vault', 'unlock'], env2)).exitCode, 0);
+  assert.equal(JSON.parse(await fs.readFile(authPath, 'utf8')).tokens.id_token, idToken);
+});
+
+test('an interrupted vault rekey keeps both keys usable and is finished by running rekey again', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const home = path.join(tmp, '.accountbox');
+  const other = path.join(tmp, 'other');
+  const auth = sub => ({ tokens: { id_token: fakeJwt({ email: `${sub}@example.com`, sub }), access_token: sub } });
+  const oldPath = await writeCodexAuth(home, 'a', auth('alice'));
+  await writeCodexAuth(other, 'b', auth('bob'));
+  const base = { ...process.env, PATH: '' };
+  const run = (args, e) => execa(process.execPath, [BIN, ...args], { cwd: tmp, env: { ...base, ...e }, reject: false });
+  assert.equal((await run(['vault', 'lock'], { ACCOUNTBOX_HOME: home, ACCOUNTBOX_VAULT_PASSPHRASE: 'old pass' })).exitCode, 0);
+  assert.equal((await run(['vault', 'lock'], { ACCOUNTBOX_HOME: other, ACCOUNTBOX_VAULT_PASSPHRASE: 'new pass' })).exitCode, 0);
+
+  // What a crash halfway through `rekey` leaves: the new config beside the old one, one file already re-encrypted.
+  await fs.copyFile(path.join(other, 'vault.json'), path.join(home, 'vault.json.next'));
+  await fs.mkdir(path.join(home, 'codex', 'b'));
+  await fs.copyFile(path.join(other, 'codex', 'b', 'auth.json'), path.join(home, 'codex', 'b', 'auth.json'));
+  const env = { ACCOUNTBOX_HOME: home, ACCOUNTBOX_VAULT_PASSPHRASE: 'old pass' };
+
+  assert.equal(JSON.parse((await run(['vault', 'status', '--json'], env)).stdout).rekeyPending, true);
+  assert.match((await run(['codex', 'b', 'whoami'], env)).stderr, /re-encrypted by a vault rekey that didn't finish\. Run: accountbox vault rekey/);
+  assert.match((await run(['vault', 'unlock'], env)).stderr, /A vault rekey was interrupted/);
+  assert.match((await run(['vault', 'rekey'], { ...env, ACCOUNTBOX_VAULT_NEW_PASSPHRASE: 'other pass' })).stderr, /Wrong new passphrase/);
+
+  const resumed = await run(['vault', 'rekey'], { ...env, ACCOUNTBOX_VAULT_NEW_PASSPHRASE: 'new pass' });
+  assert.equal(resumed.exitCode, 0, resumed.stderr);
+  assert.match(resumed.stdout, /Vault rekeyed \(resumed an interrupted rekey\): re-encrypted 2 credential file/);
+  const env2 = { ACCOUNTBOX_HOME: home, ACCOUNTBOX_VAULT_PASSPHRASE: 'new pass' };
+  assert.equal(JSON.parse((await run(['vault', 'status', '--json'], env2)).stdout).rekeyPending, false);
+  for (const [label, email] of [['a', 'a…e@example\\.com'], ['b', 'b…b@example\\.com']]) {
+    assert.match((await run(['codex', label, 'whoami'], env2)).stdout, new RegExp(`Email: ${email}`));
+  }
+  assert.doesNotMatch(await fs.readFile(oldPath, 'utf8'), /alice/);
+});
+
+test('codex config refuses unknown labels and runs $EDITOR without a shell', async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const bin = path.join(tmp, 'bin');
+  const log = path.join(tmp, 'docker.log');
+  const store = path.join(tmp, 'config.toml');
+  await fs.mkdir(bin);
+  // Just enough Docker for config get/set/edit: only accountbox_codex_real exists, and its config.toml is `store`.
+  await fs.writeFile(path.join(bin, 'docker'), [
+    '#!/bin/sh',
+    `echo "$*" >> '${log}'`,
+    'for a; do last="$a"; done',
+    'case "$1 $2" in',
+    '  "ps "*) exit 0 ;;',
+    '  "volume inspect") [ "$3" = accountbox_codex_real ] && exit 0; exit 1 ;;',
+    `  "run "*) case "$last" in *"cat > "*) /bin/cat > '${store}' ;; *) [ -f '${store}' ] || exit 3; /bin/cat '${store}' ;; esac; exit 0 ;;`,
+    'esac',
+    'exit 1',
+    '',
+  ].join('\n'), { mode: 0o755 });
+  // An editor in a dir with a space, taking a flag of its own; it appends a key to the file it's given.
+  const editorDir = path.join(tmp, 'my editor');
+  await fs.mkdir(editorDir);
+  const editor = path.join(editorDir, 'ed.sh');
+  await fs.writeFile(editor, '#!/bin/sh\n[ "$1" = "--wait" ] || exit 9\necho \'approval_policy = "never"\' >> "$2"\n', { mode: 0o755 });
+  const env = { ...process.env, ACCOUNTBOX_HOME: path.join(tmp, '.accountbox'), ACCOUNTBOX_CONTAINER_RUNTIME: 'docker', ACCOUNTBOX_CONTAINER_USER: 'root', PATH: bin };
+  delete env.VISUAL;
+  const run = (args, extra = {}) => execa(process.execPath, [BIN, ...args], { cwd: tmp, env: { ...env, ...extra }, reject: false });
+
+  for (const args of [['set', 'model', 'o3'], ['edit']]) {
+    const r = await run(['codex', 'ghost', 'config', ...args], { EDITOR: editor });
+    assert.equal(r.exitCode, 1);
+    assert.match(r.stderr, /No volume for Codex label 'ghost' \(accountbox_codex_ghost\)\. Run: accountbox codex ghost login/);
+  }
+  assert.doesNotMatch(await fs.readFile(log, 'utf8'), /^(run|volume create) /m);
+
+  assert.equal((await run(['codex', 'real', 'config', 'set', 'model', 'o3'])).exitCode, 0);
+  // The temp file's path goes to the editor as-is; a shell would run the $(...) in it.
+  const tmpdir = path.join(tmp, 'tmp $(>pwned)');
+  await fs.mkdir(tmpdir);
+  const edited = await run(['codex', 'real', 'config', 'edit'], { EDITOR: `'${editor}' --wait`, TMPDIR: tmpdir });
+  assert.equal(edited.exitCode, 0, edited.stderr);
+  await assert.rejects(fs.stat(path.join(tmp, 'pwned')), { code: 'ENOENT' });
+  assert.match(edited.stdout, /Saved config\.toml for 'real'\./);
+  assert.equal(await fs.readFile(store, 'utf8'), 'model = "o3"\napproval_policy = "never"\n');
+});
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  codexAccessTokenNeedsRefresh,
+  codexAuthStatus,
+  codexCredentialsHash,
+  codexSessionMayRefresh,
+  compareCodexAuthCopies,
+  findDuplicateCodexIdentities,
+} from '../src/tools/builtins/codexAuth.js';
+import { fakeJwt } from './helpers.js';
+
+const copy = (tokens, mtimeMs = 0, extra = {}) => ({ auth: { tokens, ...extra }, mtimeMs });
+
+test('codexAccessTokenNeedsRefresh refreshes within the skew of expiry, and only with a refresh token', () => {
+  const nowMs = 1_000_000_000;
+  const exp = (s) => fakeJwt({ exp: Math.floor(nowMs / 1000) + s });
+  const needs = (tokens, opts = {}) => codexAccessTokenNeedsRefresh({ tokens }, { nowMs, ...opts });
+  assert.equal(needs({ access_token: exp(-60), refresh_token: 'r' }), true);
+  assert.equal(needs({ access_token: exp(60), refresh_token: 'r' }), true);
+  assert.equal(needs({ access_token: exp(300), refresh_token: 'r' }), true);
+  assert.equal(needs({ access_token: exp(301), refresh_token: 'r' }), false);
+  assert.equal(needs({ access_token: exp(60), refresh_token: 'r' }, { skewSeconds: 30 }), false);
+  assert.equal(needs({ refresh_token: 'r' }), true);
+  // Nothing to refresh with, and opaque tokens are left for the server to reject.
+  assert.equal(needs({ access_token: exp(-60) }), false);
+  assert.equal(needs({ access_token: 'opaque', refresh_token: 'r' }), false);
+  assert.equal(codexAccessTokenNeedsRefresh(null, { nowMs }), false);
+});
+
+test('compareCodexAuthCopies treats identical credentials as in sync', () => {
+  const t = { access_token: 'a', refresh_token: 'r' };
+  assert.equal(compareCodexAuthCopies(copy(t, 1), copy({ ...t }, 999)), 0);
+});
+
+test('compareCodexAuthCopies prefers the later access-token expiry over mtime', () => {
+  const older = copy({ access_token: fakeJwt({ exp: 1000 }) }, 9_000);
+  const newer = copy({ access_token: fakeJwt({ exp: 2000 }) }, 1_000);
+  assert.ok(compareCodexAuthCopies(newer, older) > 0);
+  assert.ok(compareCodexAuthCopies(older, newer) < 0);
+});
+
+test('compareCodexAuthCopies falls back to last_refresh, then mtime', () => {
+  const a = copy({ access_token: 'x' }, 5, { last_refresh: '2026-01-02T00:00:00Z' });
+  const b = copy({ access_token: 'y' }, 9, { last_refresh: '2026-01-01T00:00:00Z' });
+  assert.ok(compareCodexAuthCopies(a, b) > 0);
+  assert.ok(compareCodexAuthCopies(copy({ access_token: 'x' }, 5), copy({ access_token: 'y' }, 9)) < 0);
+});
+
+test('compareCodexAuthCopies leaves a tie to the caller whichever copy comes first', () => {
+  const a = copy({ access_token: 'x' }, 5);
+  const b = copy({ access_token: 'y' }, 5);
+  assert.equal(compareCodexAuthCopies(a, b), 0);
+  assert.equal(compareCodexAuthCopies(b, a), 0);
+});
+
+test('codexSessionMayRefresh is false only for credentials Codex would leave alone', () => {
+  const nowMs = Date.parse('2026-03-01T12:00:00Z');
+  const exp = s => fakeJwt({ exp: Math.floor(nowMs / 1000) + s });
+  const may = (tokens, lastRefresh = '2026-03-01T06:00:00Z') => codexSessionMayRefresh({ tokens, last_refresh: lastRefresh }, { nowMs });
+  assert.equal(may({ access_token: exp(3600), refresh_token: 'r' }), false);
+  // About to expire, unreadable, or due for Codex's own periodic refresh.
+  assert.equal(may({ access_token: exp(60), refresh_token: 'r' }), true);
+  assert.equal(may({ access_token: 'opaque', refresh_token: 'r' }), true);
+  assert.equal(may({ access_token: exp(3600), refresh_token: 'r' }, '2026-02-20T00:00:00Z'), true);
+  assert.equal(may({ access_token: exp(3600), refresh_token: 'r' }, null), true);
+  // Nothing to refresh with.
+  assert.equal(codexSessionMayRefresh({ OPENAI_API_KEY: 'sk-test', tokens: null }, { nowMs }), false);
+  assert.equal(may({ access_token: exp(60) }), false);
+});
+
+test('findDuplicateCodexIdentities tells the same account (subject) from the same workspace (account id)', () => {
+  const dupes = findDuplicateCodexIdentities([
+    { account: 'b', identity: { subject: 's1', accountId: 'team' } },
+    { account: 'a', identity: { subject: 's1', accountId: 'team' } },
+    { account: 'c', identity: { subject: 's2', accountId: 'team' } },
+    { account: 'd', identity: { subject: null, accountId: null } },
+  ]);
+  assert.deepEqual(dupes, [
+    { field: 'subject', value: 's1', accounts: ['a', 'b'], relation: 'account' },
+    // c is another user in the same workspace.
+    { field: 'accountId', value: 'team', accounts: ['a', 'b', 'c'], relation: 'workspace' },
+  ]);
+  assert.deepEqual(findDuplicateCodexIdentities([{ account: 'a', identity: { subject: 's1' } }]), []);
+});
+
+test('codexAuthStatus counts a refresh token or a live access token as logged in', () => {
+  const nowMs = 1_000_000_000;
+  const s = Math.floor(nowMs / 1000);
+  assert.equal(codexAuthStatus({ tokens: { access_token: fakeJwt({ exp: s - 10 }), refresh_token: 'r' } }, { nowMs }).loggedIn, true);
+  const expired = codexAuthStatus({ tokens: { access_token: fakeJwt({ exp: s - 10 }) } }, { nowMs });
+  assert.deepEqual([expired.loggedIn, expired.tokenExpired, expired.hasRefreshToken], [false, true, false]);
+  assert.equal(codexAuthStatus({ tokens: { access_token: fakeJwt({ exp: s + 60 }) } }, { nowMs }).tokenExpiresAt, new Date((s + 60) * 1000).toISOString());
+  assert.equal(codexAuthStatus({ OPENAI_API_KEY: 'sk' }).authMode, 'api-key');
+  assert.equal(codexAuthStatus({ OPENAI_API_KEY: 'sk' }).loggedIn, true);
+  assert.equal(codexAuthStatus(null).loggedIn, false);
+});
+
+test('codexCredentialsHash ignores formatting and last_refresh but not the tokens', () => {
+  const a = { tokens: { access_token: 'a', refresh_token: 'r' }, last_refresh: '2026-01-01T00:00:00Z' };
+  assert.equal(codexCredentialsHash(a), codexCredentialsHash(JSON.parse(JSON.stringify({ ...a, last_refresh: null }))));
+  assert.notEqual(codexCredentialsHash(a), codexCredentialsHash({ tokens: { access_token: 'a', refresh_token: 'r2' } }));
+});
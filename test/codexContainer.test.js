@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+
+import { codexContainerRunArgs, passthroughEnvNames, readCodexContainerConfig, SSH_AGENT_TARGET } from '../src/config/codexContainer.js';
+
+async function setup() {
+  const tmp = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-')));
+  const accountboxHome = path.join(tmp, 'home', '.accountbox');
+  await fs.mkdir(path.join(accountboxHome, 'codex'), { recursive: true });
+  await fs.mkdir(path.join(tmp, 'repo', 'cache'), { recursive: true });
+  await fs.writeFile(path.join(tmp, 'gitconfig'), '[user]\n', 'utf8');
+  return { tmp, accountboxHome, baseDir: path.join(tmp, 'repo') };
+}
+
+test('readCodexContainerConfig resolves mounts, env and passthrough', async () => {
+  const { tmp, accountboxHome, baseDir } = await setup();
+  const cfg = await readCodexContainerConfig({
+    codex: {
+      mounts: [`${tmp}/gitconfig:/root/.gitconfig:ro`, { source: 'cache', target: '/root/.npm/' }],
+      env: { NODE_ENV: 'development' },
+      env_passthrough: ['GITHUB_TOKEN', 'NPM_CONFIG_*'],
+      ssh_agent: true,
+    },
+  }, { baseDir, accountboxHome });
+  assert.deepEqual(cfg.mounts, [
+    { source: path.join(tmp, 'gitconfig'), target: '/root/.gitconfig', readOnly: true },
+    { source: path.join(baseDir, 'cache'), target: '/root/.npm', readOnly: false },
+  ]);
+
+  const env = { GITHUB_TOKEN: 'x', NPM_CONFIG_CACHE: '/c', NPM_CONFIG_PREFIX: '/p', HOME: '/h', SSH_AUTH_SOCK: '/tmp/agent.sock' };
+  const run = codexContainerRunArgs(cfg, { runtimeName: 'podman', platform: 'linux', env });
+  assert.deepEqual(run.args, [
+    '-v', `${tmp}/gitconfig:/root/.gitconfig:ro`,
+    '-v', `${baseDir}/cache:/root/.npm`,
+    '-v', `/tmp/agent.sock:${SSH_AGENT_TARGET}`, '-e', `SSH_AUTH_SOCK=${SSH_AGENT_TARGET}`,
+    '-e', 'NODE_ENV=development',
+    '-e', 'GITHUB_TOKEN', '-e', 'NPM_CONFIG_CACHE', '-e', 'NPM_CONFIG_PREFIX',
+  ]);
+  assert.equal(run.mounts.length, 3);
+
+  const noAgent = codexContainerRunArgs(cfg, { runtimeName: 'docker', platform: 'linux', env: {} });
+  assert.match(noAgent.notes[0], /SSH_AUTH_SOCK is not set/);
+  assert.deepEqual(codexContainerRunArgs(cfg, { runtimeName: 'docker', platform: 'darwin', env: {} }).mounts[2].source, '/run/host-services/ssh-auth.sock');
+});
+
+test('readCodexContainerConfig refuses to expose ~/.accountbox and reserved paths', async () => {
+  const { tmp, accountboxHome, baseDir } = await setup();
+  const read = codex => readCodexContainerConfig({ codex }, { baseDir, accountboxHome });
+
+  await assert.rejects(read({ mounts: [`${accountboxHome}/codex:/x`] }), /refusing to mount .* holds every label's credentials/);
+  await assert.rejects(read({ mounts: [`${tmp}/home:/home`] }), /refusing to mount/);
+  await assert.rejects(read({ mounts: [`${tmp}/gitconfig:/root/.codex/config.toml`] }), /overlaps \/root\/\.codex/);
+  await assert.rejects(read({ mounts: [`${tmp}/gitconfig:/`] }), /container's root/);
+  await assert.rejects(read({ mounts: ['missing:/x'] }), /does not exist/);
+  await assert.rejects(read({ mounts: [`${tmp}/gitconfig:relative`] }), /absolute container path/);
+  await assert.rejects(read({ env: { CODEX_HOME: '/x' } }), /CODEX_HOME is set by accountbox/);
+  await assert.rejects(read({ volumes: [] }), /Unknown key\(s\) in \[codex\]/);
+});
+
+test('passthroughEnvNames only forwards variables that are set', () => {
+  assert.deepEqual(passthroughEnvNames(['A', 'B_*', 'MISSING'], { A: '1', B_X: '2', B_Y: '', C: '3' }), ['A', 'B_X', 'B_Y']);
+});
@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { codexImageStaleness } from '../src/tools/builtins/codexImages.js';
+
+const DAY = 86_400_000;
+const NOW = Date.parse('2026-03-10T00:00:00Z');
+const image = (builtAt, npmSpec = '@openai/codex@latest') => ({ ref: 'accountbox-codex:latest', builtAt, npmSpec, cliVersion: 'codex-cli 0.46.0' });
+
+test('codexImageStaleness treats a recent build with the same spec as fresh', () => {
+  const st = codexImageStaleness(image('2026-03-08T00:00:00Z'), { npmSpec: '@openai/codex@latest', maxAgeMs: 7 * DAY, nowMs: NOW });
+  assert.equal(st.stale, false);
+  assert.equal(st.ageSeconds, 2 * 86_400);
+});
+
+test('codexImageStaleness flags old builds, spec drift, unstamped and missing images', () => {
+  const old = codexImageStaleness(image('2026-02-01T00:00:00Z'), { npmSpec: '@openai/codex@latest', maxAgeMs: 7 * DAY, nowMs: NOW });
+  assert.equal(old.stale, true);
+  assert.match(old.reasons[0], /built 37d ago \(max age 7d\)/);
+
+  const drift = codexImageStaleness(image('2026-03-09T00:00:00Z', '@openai/codex@0.40.0'), { npmSpec: '@openai/codex@latest', nowMs: NOW });
+  assert.deepEqual(drift.reasons, ['npm spec changed (@openai/codex@0.40.0 -> @openai/codex@latest)']);
+
+  const unstamped = codexImageStaleness({ ref: 'x', builtAt: null, npmSpec: null, cliVersion: null }, { npmSpec: '@openai/codex@latest', nowMs: NOW });
+  assert.equal(unstamped.stale, true);
+  assert.equal(unstamped.reasons.length, 2);
+
+  assert.deepEqual(codexImageStaleness(null, { npmSpec: '@openai/codex@latest' }).reasons, ['image not built yet']);
+});
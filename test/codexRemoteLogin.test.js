@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { test } from 'node:test';
+
+import {
+  codexAuthFromTokens,
+  createCodexLoginRequest,
+  parseLoginCallback,
+  relayLoginCallback,
+  startLoginCallbackServer,
+} from '../src/tools/builtins/codexRemoteLogin.js';
+import { fakeJwt } from './helpers.js';
+
+test('createCodexLoginRequest builds a PKCE authorize URL for the Codex client', () => {
+  const req = createCodexLoginRequest();
+  const url = new URL(req.url);
+  assert.equal(url.searchParams.get('redirect_uri'), 'http://localhost:1455/auth/callback');
+  assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+  assert.equal(url.searchParams.get('code_challenge'), crypto.createHash('sha256').update(req.codeVerifier).digest('base64url'));
+  assert.equal(url.searchParams.get('state'), req.state);
+  assert.match(url.searchParams.get('scope'), /offline_access/);
+});
+
+test('parseLoginCallback accepts a callback URL, a query string or a bare code', () => {
+  assert.deepEqual(parseLoginCallback(' http://localhost:1455/auth/callback?code=c1&state=s1 ', { expectedState: 's1' }), { code: 'c1', state: 's1', path: '/auth/callback' });
+  assert.deepEqual(parseLoginCallback('code=c2&state=s2'), { code: 'c2', state: 's2', path: null });
+  assert.deepEqual(parseLoginCallback('"ac_abc.123"'), { code: 'ac_abc.123', state: null, path: null });
+
+  assert.throws(() => parseLoginCallback('http://localhost:1455/auth/callback?code=c1&state=other', { expectedState: 's1' }), /state mismatch/);
+  assert.throws(() => parseLoginCallback('http://localhost:1455/auth/callback?error=access_denied&error_description=Nope'), /Sign-in failed: Nope/);
+  assert.throws(() => parseLoginCallback('http://localhost:1455/auth/callback'), /has no \?code=/);
+  assert.throws(() => parseLoginCallback('   '), /Nothing pasted/);
+
+  // Relayed to Codex's own listener, which checks the state: a bare code or a URL without one won't do.
+  assert.deepEqual(parseLoginCallback('code=c3&state=s3', { requireState: true }), { code: 'c3', state: 's3', path: null });
+  assert.throws(() => parseLoginCallback('ac_abc.123', { requireState: true }), /bare code is not enough.*full URL/);
+  assert.throws(() => parseLoginCallback('http://localhost:1455/auth/callback?code=c1', { requireState: true }), /no &state=/);
+
+  // Expecting a state: a URL or query string has to carry it; only a bare code may go without.
+  assert.throws(() => parseLoginCallback('http://localhost:1455/auth/callback?code=c1', { expectedState: 's1' }), /no &state=/);
+  assert.throws(() => parseLoginCallback('code=c1', { expectedState: 's1' }), /no &state=/);
+  assert.deepEqual(parseLoginCallback('ac_abc.123', { expectedState: 's1' }), { code: 'ac_abc.123', state: null, path: null });
+});
+
+test('codexAuthFromTokens writes the Codex auth.json layout', () => {
+  const idToken = fakeJwt({ email: 'a@example.com', 'https://api.openai.com/auth': { chatgpt_account_id: 'acct-1' } });
+  const auth = codexAuthFromTokens({ id_token: idToken, access_token: 'at', refresh_token: 'rt' }, { now: new Date('2026-01-02T03:04:05Z') });
+  assert.deepEqual(auth, {
+    OPENAI_API_KEY: null,
+    tokens: { id_token: idToken, access_token: 'at', refresh_token: 'rt', account_id: 'acct-1' },
+    last_refresh: '2026-01-02T03:04:05.000Z',
+  });
+});
+
+test('relayLoginCallback replays the pasted callback against the local listener', async () => {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push(req.url);
+    res.writeHead(302, { Location: '/success' });
+    res.end();
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  try {
+    await relayLoginCallback({ code: 'c 1', state: 's1', path: '/auth/callback' }, { port: server.address().port });
+    assert.deepEqual(seen, ['/auth/callback?code=c+1&state=s1']);
+  } finally {
+    await new Promise(r => server.close(r));
+  }
+});
+
+test('startLoginCallbackServer hands a matching callback to onCallback and reports failures in the browser', async () => {
+  const seen = [];
+  const relay = await startLoginCallbackServer({
+    port: 0,
+    expectedState: 's1',
+    onCallback: async (cb) => {
+      if (cb.code === 'bad') throw new Error('code rejected');
+      seen.push(cb.code);
+    },
+  });
+  try {
+    const get = p => fetch(`http://127.0.0.1:${relay.port}${p}`);
+    assert.equal((await get('/other')).status, 404);
+    assert.match(await (await get('/auth/callback?code=c1&state=nope')).text(), /state mismatch/);
+    const stateless = await get('/auth/callback?code=c1');
+    assert.equal(stateless.status, 400);
+    assert.match(await stateless.text(), /no &amp;state=/);
+    assert.equal((await get('/auth/callback?code=bad&state=s1')).status, 400);
+    const ok = await get('/auth/callback?code=c1&state=s1');
+    assert.equal(ok.status, 200);
+    assert.match(await ok.text(), /Signed in/);
+    await relay.done;
+    assert.deepEqual(seen, ['c1']);
+  } finally {
+    await relay.close();
+  }
+});
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { parseKeepalive } from '../src/config/codexContainer.js';
+import { parseContainerRows } from '../src/core/runtime.js';
+import { CODEX_WARM_LABELS, ensureWarmCodexContainer, resolveCodexKeepalive, warmCodexContainerName } from '../src/tools/builtins/codexWarm.js';
+
+test('parseKeepalive and resolveCodexKeepalive', () => {
+  assert.equal(parseKeepalive(true, 'k'), 15 * 60_000);
+  assert.equal(parseKeepalive('30m', 'k'), 30 * 60_000);
+  assert.equal(parseKeepalive('off', 'k'), null);
+  assert.equal(parseKeepalive(0, 'k'), null);
+  assert.throws(() => parseKeepalive('soon', '[codex].keepalive'), /\[codex\]\.keepalive must be true, false or an idle timeout/);
+
+  assert.equal(resolveCodexKeepalive(60_000, {}), 60_000);
+  assert.equal(resolveCodexKeepalive(60_000, { ACCOUNTBOX_CODEX_KEEPALIVE: 'off' }), null);
+  assert.equal(resolveCodexKeepalive(null, { ACCOUNTBOX_CODEX_KEEPALIVE: '2h' }), 2 * 3600_000);
+});
+
+test('parseContainerRows reads state and labels from docker and podman', () => {
+  const docker = JSON.stringify({ ID: 'abcdef0123456789', Names: 'w1', State: 'running', Status: 'Up 2 minutes', Labels: 'a=1,b=x=y' });
+  assert.deepEqual(parseContainerRows(docker), [{ id: 'abcdef012345', name: 'w1', state: 'running', status: 'Up 2 minutes', createdAt: null, labels: { a: '1', b: 'x=y' } }]);
+  const podman = JSON.stringify([{ Id: '0123', Names: ['w2'], State: 'exited', Labels: { a: '2' } }]);
+  assert.deepEqual(parseContainerRows(podman)[0].labels, { a: '2' });
+  // nerdctl only reports Status.
+  assert.equal(parseContainerRows(JSON.stringify({ ID: '1', Names: 'w3', Status: 'Up' }))[0].state, 'running');
+});
+
+function fakeRuntime(containers, { busy = false } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async listContainers() {
+      return containers;
+    },
+    async exec(args) {
+      calls.push(args);
+      if (args[0] === 'image') return { exitCode: 0, stdout: 'sha256:img\n' };
+      if (args[0] === 'exec') return { exitCode: busy ? 0 : 1 };
+      return { exitCode: 0, stdout: '' };
+    },
+  };
+}
+
+test('ensureWarmCodexContainer starts, reuses and refuses to replace a busy container', async () => {
+  const opts = { account: 'work', cwd: '/repo/a', image: 'accountbox-codex:latest', runArgs: ['-v', '/repo/a:/work'], idleMs: 60_000 };
+  const name = warmCodexContainerName('work', '/repo/a');
+  assert.notEqual(name, warmCodexContainerName('work', '/repo/b'));
+  assert.notEqual(name, warmCodexContainerName('home', '/repo/a'));
+
+  const fresh = fakeRuntime([]);
+  assert.equal(await ensureWarmCodexContainer(fresh, opts), name);
+  const run = fresh.calls.find(c => c[0] === 'run');
+  assert.deepEqual(run.slice(0, 5), ['run', '-d', '--rm', '--name', name]);
+  assert.ok(run.includes(`${CODEX_WARM_LABELS.account}=work`));
+  assert.ok(run.includes(`${CODEX_WARM_LABELS.repo}=/repo/a`));
+  assert.ok(run.includes(`${CODEX_WARM_LABELS.idle}=60`));
+  assert.deepEqual(run.slice(run.indexOf('--entrypoint'), run.indexOf('--entrypoint') + 3), ['--entrypoint', 'sh', 'accountbox-codex:latest']);
+  const config = run.find(a => a.startsWith(`${CODEX_WARM_LABELS.config}=`)).split('=')[1];
+
+  const row = cfg => ({ name, state: 'running', status: 'Up', labels: { [CODEX_WARM_LABELS.account]: 'work', [CODEX_WARM_LABELS.repo]: '/repo/a', [CODEX_WARM_LABELS.config]: cfg } });
+  const warm = fakeRuntime([row(config)]);
+  assert.equal(await ensureWarmCodexContainer(warm, opts), name);
+  assert.ok(!warm.calls.some(c => c[0] === 'run'));
+
+  const changedBusy = fakeRuntime([row('other')], { busy: true });
+  assert.equal(await ensureWarmCodexContainer(changedBusy, opts), null);
+  assert.ok(!changedBusy.calls.some(c => c[0] === 'rm' || c[0] === 'run'));
+
+  const changedIdle = fakeRuntime([row('other')]);
+  assert.equal(await ensureWarmCodexContainer(changedIdle, opts), name);
+  assert.deepEqual(changedIdle.calls.find(c => c[0] === 'rm'), ['rm', '-f', name]);
+});
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import { test } from 'node:test';
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+const toolsToml = path.join(tmp, 'tools.toml');
+process.env.ACCOUNTBOX_HOME = path.join(tmp, '.accountbox');
+process.env.ACCOUNTBOX_TOOLS_TOML = toolsToml;
+delete process.env.ACCOUNTBOX_CONTAINER_USER;
+
+const { ensureVolumeOwner, resolveContainerUser, resolveContainerUserMode } = await import('../src/core/containerUser.js');
+const { createContainerRuntime } = await import('../src/core/runtime.js');
+
+function fakeRuntime(name, rootless) {
+  const runtime = createContainerRuntime(name);
+  runtime.isRootless = async () => rootless;
+  return runtime;
+}
+
+test('resolveContainerUserMode: env, then tools.toml, then a per-platform default', async () => {
+  assert.deepEqual(await resolveContainerUserMode({ platform: 'linux' }), { mode: 'host', source: 'default' });
+  assert.deepEqual(await resolveContainerUserMode({ platform: 'darwin' }), { mode: 'root', source: 'default' });
+
+  await fs.writeFile(toolsToml, 'container_user = "root"\n', 'utf8');
+  try {
+    assert.deepEqual(await resolveContainerUserMode({ platform: 'linux' }), { mode: 'root', source: 'config' });
+    process.env.ACCOUNTBOX_CONTAINER_USER = 'host';
+    assert.deepEqual(await resolveContainerUserMode({ platform: 'darwin' }), { mode: 'host', source: 'env' });
+    process.env.ACCOUNTBOX_CONTAINER_USER = 'nobody';
+    await assert.rejects(resolveContainerUserMode(), /Unknown container user mode 'nobody' \(ACCOUNTBOX_CONTAINER_USER\)/);
+  } finally {
+    delete process.env.ACCOUNTBOX_CONTAINER_USER;
+    await fs.rm(toolsToml, { force: true });
+  }
+});
+
+test('resolveContainerUser maps the host uid per runtime', async () => {
+  process.env.ACCOUNTBOX_CONTAINER_USER = 'host';
+  const user = runtime => resolveContainerUser(runtime, { ids: { uid: 1000, gid: 1000 }, homeTmpfs: true });
+  try {
+    const ids = '1000:1000';
+    const home = ['--tmpfs', '/root:mode=1777', '-e', 'HOME=/root'];
+
+    const rootful = await user(fakeRuntime('docker', false));
+    assert.deepEqual(rootful.args, ['--user', ids, ...home]);
+    assert.equal(rootful.owner, ids);
+
+    const podman = await user(fakeRuntime('podman', true));
+    assert.deepEqual(podman.args, ['--userns=keep-id', ...home]);
+    assert.equal(podman.owner, null);
+
+    const rootlessDocker = await user(fakeRuntime('docker', true));
+    assert.deepEqual(rootlessDocker.args, []);
+
+    process.env.ACCOUNTBOX_CONTAINER_USER = 'root';
+    const root = await user(fakeRuntime('docker', false));
+    assert.equal(root.mode, 'root');
+    assert.deepEqual({ args: root.args, owner: root.owner }, { args: [], owner: null });
+
+    // Already root on the host: nothing to map.
+    process.env.ACCOUNTBOX_CONTAINER_USER = 'host';
+    assert.deepEqual((await resolveContainerUser(fakeRuntime('docker', false), { ids: { uid: 0, gid: 0 } })).args, []);
+  } finally {
+    delete process.env.ACCOUNTBOX_CONTAINER_USER;
+  }
+});
+
+test('resolveContainerUser leaves /root alone unless the run asks for a tmpfs HOME', async () => {
+  process.env.ACCOUNTBOX_CONTAINER_USER = 'host';
+  try {
+    // What runContainerTool gets: an image's own /root (nvm, pip --user, dotfiles) stays visible.
+    const tool = await resolveContainerUser(fakeRuntime('docker', false), { ids: { uid: 1000, gid: 1000 } });
+    assert.deepEqual(tool.args, ['--user', '1000:1000']);
+    assert.ok(!tool.args.includes('--tmpfs') && !tool.args.includes('HOME=/root'));
+
+    const podman = await resolveContainerUser(fakeRuntime('podman', true), { ids: { uid: 1000, gid: 1000 } });
+    assert.deepEqual(podman.args, ['--userns=keep-id']);
+  } finally {
+    delete process.env.ACCOUNTBOX_CONTAINER_USER;
+  }
+});
+
+test('ensureVolumeOwner checks a volume once and again only after it is recreated', async () => {
+  const calls = [];
+  let createdAt = '2026-01-01T00:00:00Z';
+  const runtime = fakeRuntime('docker', false);
+  runtime.exec = async (args) => {
+    calls.push(args[0]);
+    if (args[0] === 'volume') return { exitCode: 0, stdout: createdAt };
+    return { exitCode: 0, stdout: calls.filter(c => c === 'run').length === 1 ? 'migrated\n' : '' };
+  };
+
+  assert.equal(await ensureVolumeOwner(runtime, 'accountbox_codex_a', '1000:1000'), true);
+  assert.equal(await ensureVolumeOwner(runtime, 'accountbox_codex_a', '1000:1000'), false);
+  assert.equal(calls.filter(c => c === 'run').length, 1);
+  const state = JSON.parse(await fs.readFile(path.join(process.env.ACCOUNTBOX_HOME, 'volume-owners.json'), 'utf8'));
+  assert.deepEqual([state['docker:accountbox_codex_a'].owner, state['docker:accountbox_codex_a'].createdAt], ['1000:1000', createdAt]);
+
+  // Another owner, or the same name on a new volume, is checked again.
+  assert.equal(await ensureVolumeOwner(runtime, 'accountbox_codex_a', '1001:1001'), false);
+  createdAt = '2026-02-01T00:00:00Z';
+  assert.equal(await ensureVolumeOwner(runtime, 'accountbox_codex_a', '1001:1001'), false);
+  assert.equal(calls.filter(c => c === 'run').length, 3);
+  await ensureVolumeOwner(runtime, 'accountbox_codex_a', '1001:1001');
+  assert.equal(calls.filter(c => c === 'run').length, 3);
+});
@@ -0,0 +1,7 @@
+// Shared by the test files; `node --test` also runs this file on its own, which is a no-op.
+
+// An unsigned JWT carrying `payload`: enough for code that only decodes claims (exp, email, account ids).
+export function fakeJwt(payload) {
+  const enc = (o) => Buffer.from(JSON.stringify(o)).toString('base64url');
+  return `${enc({ alg: 'none' })}.${enc(payload)}.sig`;
+}
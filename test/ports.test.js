@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+
+import { describePortListener, findPortListeners, parseProcNetTcp } from '../src/util/ports.js';
+
+const HEADER = '  sl  local_address rem_address   st tx_queue rx_queue tr tm->when retrnsmt   uid  timeout inode\n';
+
+test('parseProcNetTcp decodes IPv4 and IPv6 rows', () => {
+  const v4 = parseProcNetTcp(`${HEADER}   0: 0100007F:05AF 00000000:0000 0A 00000000:00000000 00:00000000 00000000  1000        0 4242 1 0000000000000000 100 0 0 10 0\n`);
+  assert.deepEqual(v4, [{ address: '127.0.0.1', port: 1455, state: '0A', uid: 1000, inode: '4242' }]);
+  const v6 = parseProcNetTcp(`${HEADER}   0: 00000000000000000000000001000000:05AF 00000000000000000000000000000000:0000 0A 00000000:00000000 00:00000000 00000000     0        0 77 1\n`);
+  assert.equal(v6[0].address, '::1');
+});
+
+test('findPortListeners names the process holding a port from /proc', async () => {
+  const proc = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-proc-'));
+  await fs.mkdir(path.join(proc, 'net'));
+  await fs.writeFile(path.join(proc, 'net', 'tcp'), [
+    HEADER.trimEnd(),
+    '   0: 0100007F:05AF 00000000:0000 0A 00000000:00000000 00:00000000 00000000  1000        0 4242 1',
+    '   1: 0100007F:05B0 00000000:0000 0A 00000000:00000000 00:00000000 00000000  1000        0 4343 1',
+    '   2: 00000000:05AF 00000000:0000 0A 00000000:00000000 00:00000000 00000000     0        0 5555 1',
+  ].join('\n'));
+  await fs.mkdir(path.join(proc, '321', 'fd'), { recursive: true });
+  await fs.symlink('socket:[4242]', path.join(proc, '321', 'fd', '7'));
+  await fs.writeFile(path.join(proc, '321', 'cmdline'), ['python3', '-m', 'http.server', '1455', ''].join('\0'));
+
+  const listeners = await findPortListeners(1455, { procRoot: proc });
+  assert.deepEqual(listeners.map(l => [l.address, l.pid, l.command]), [
+    ['127.0.0.1', 321, 'python3 -m http.server 1455'],
+    ['0.0.0.0', null, null],
+  ]);
+  assert.equal(describePortListener(listeners[0]), 'pid 321 (python3 -m http.server 1455, uid 1000, listening on 127.0.0.1)');
+  assert.match(describePortListener(listeners[1]), /^a process of uid 0 \(listening on 0\.0\.0\.0; run `sudo ss -ltnp 'sport = :1455'`/);
+  assert.deepEqual(await findPortListeners(9, { procRoot: proc }), []);
+});
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import { test } from 'node:test';
+
+import { createContainerRuntime, parseInspectLabels, parsePsOutput, pickLocalGatewayAddress } from '../src/core/runtime.js';
+
+test('parsePsOutput reads docker/nerdctl JSON lines', () => {
+  const out = [
+    JSON.stringify({ ID: 'abc123def4567890', Names: 'codex-login', Ports: '0.0.0.0:1455->1455/tcp, :::1455->1455/tcp' }),
+    'not json',
+    JSON.stringify({ ID: 'fff', Names: 'web', Ports: '' }),
+  ].join('\n');
+  assert.deepEqual(parsePsOutput(out), [
+    { id: 'abc123def456', name: 'codex-login', ports: '0.0.0.0:1455->1455/tcp, :::1455->1455/tcp', hostPorts: [1455, 1455] },
+    { id: 'fff', name: 'web', ports: '', hostPorts: [] },
+  ]);
+});
+
+test('parsePsOutput reads podman JSON arrays with structured ports', () => {
+  const out = JSON.stringify([
+    { Id: '0123456789abcdef', Names: ['relay'], Ports: [{ host_ip: '', host_port: 1455, container_port: 1455, protocol: 'tcp' }] },
+  ]);
+  assert.deepEqual(parsePsOutput(out), [
+    { id: '0123456789ab', name: 'relay', ports: '0.0.0.0:1455->1455/tcp', hostPorts: [1455] },
+  ]);
+});
+
+test('pickLocalGatewayAddress only picks a gateway that is one of this host\'s addresses', () => {
+  const local = new Set(['127.0.0.1', '172.17.0.1', '192.168.1.20']);
+  assert.equal(pickLocalGatewayAddress('172.17.0.1 ', local), '172.17.0.1');
+  assert.equal(pickLocalGatewayAddress('fd00::1 172.17.0.1', local), '172.17.0.1');
+  // Docker Desktop: the gateway lives in the VM.
+  assert.equal(pickLocalGatewayAddress('192.168.65.1', local), null);
+  assert.equal(pickLocalGatewayAddress('', local), null);
+});
+
+test('listContainers takes labels from inspect, so values with commas survive', async () => {
+  assert.deepEqual([...parseInspectLabels('abc {"a":"1,2"}\nnot json\ndef null\n')], [['abc', { a: '1,2' }], ['def', {}]]);
+
+  const bin = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-test-'));
+  const repo = '/src/a,b=c';
+  await fs.writeFile(path.join(bin, 'docker'), [
+    '#!/bin/sh',
+    'case "$1" in',
+    `  ps) echo '${JSON.stringify({ ID: 'abcdef0123456789', Names: 'w1', State: 'running', Labels: `accountbox.codex.repo=${repo},x=1` })}' ;;`,
+    `  inspect) echo 'abcdef0123456789ffff ${JSON.stringify({ 'accountbox.codex.repo': repo, x: '1' })}' ;;`,
+    'esac',
+    '',
+  ].join('\n'), { mode: 0o755 });
+  const savedPath = process.env.PATH;
+  process.env.PATH = bin;
+  try {
+    const [row] = await createContainerRuntime('docker').listContainers('x=1');
+    assert.deepEqual(row.labels, { 'accountbox.codex.repo': repo, x: '1' });
+  } finally {
+    process.env.PATH = savedPath;
+  }
+});
@@ -0,0 +1,133 @@
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { test } from 'node:test';
+
+import { resolveSandboxPolicy, sandboxRunArgs, validateSandboxSection } from '../src/config/sandbox.js';
+import { hostAllowed, prepareSandboxRun, startEgressProxy } from '../src/core/egressProxy.js';
+
+test('resolveSandboxPolicy layers sections key by key and translates them to run flags', () => {
+  const policy = resolveSandboxPolicy([
+    { raw: { cpus: 2, memory: '4G', network: 'none', cap_drop: 'ALL' }, where: '[sandbox]' },
+    { raw: { memory: '1g', read_only: true, pids_limit: 256 }, where: '[tools.x.sandbox]' },
+  ]);
+  assert.deepEqual(policy, { cpus: 2, memory: '1g', readOnly: true, capDrop: ['ALL'], network: 'none', allowlist: [], pidsLimit: 256 });
+  assert.deepEqual(sandboxRunArgs(policy), [
+    '--cpus', '2', '--memory', '1g', '--pids-limit', '256', '--read-only', '--tmpfs', '/tmp', '--cap-drop', 'ALL', '--network', 'none',
+  ]);
+  assert.deepEqual(sandboxRunArgs(resolveSandboxPolicy([])), []);
+});
+
+test('resolveSandboxPolicy adds required hosts under network = "allowlist"', () => {
+  const policy = resolveSandboxPolicy([{ raw: { network: 'allowlist', allowlist: ['*.npmjs.org', 'API.openai.com'] } }], { requiredHosts: ['api.openai.com'] });
+  assert.deepEqual(policy.allowlist, ['api.openai.com', '*.npmjs.org']);
+  const args = sandboxRunArgs(policy, { proxyUrl: 'http://proxy:1', network: 'egress' });
+  assert.ok(args.includes('HTTPS_PROXY=http://proxy:1'));
+  assert.deepEqual(args.slice(0, 2), ['--network', 'egress']);
+
+  assert.match(resolveSandboxPolicy([{ raw: { allowlist: ['a.test'] } }]).allowlistIgnored, /only applies with network = "allowlist"/);
+});
+
+test('validateSandboxSection rejects unknown keys and bad values', () => {
+  assert.throws(() => validateSandboxSection({ cpu: 1 }), /Unknown key\(s\) in \[sandbox\]: cpu/);
+  assert.throws(() => validateSandboxSection({ network: 'host' }), /network must be one of: default, none, allowlist/);
+  assert.throws(() => validateSandboxSection({ memory: 'lots' }), /memory must be a size/);
+  assert.throws(() => validateSandboxSection({ pids_limit: 0 }), /pids_limit must be a positive integer/);
+  assert.throws(() => validateSandboxSection({ allowlist: ['http://x'] }), /allowlist must be an array of host names/);
+});
+
+test('hostAllowed matches exact hosts, wildcard subdomains and explicit ports', () => {
+  const list = ['api.openai.com', '*.npmjs.org', 'git.example.com:22'];
+  assert.equal(hostAllowed('api.openai.com', 443, list), true);
+  assert.equal(hostAllowed('api.openai.com', 8443, list), false);
+  assert.equal(hostAllowed('registry.npmjs.org', 443, list), true);
+  assert.equal(hostAllowed('npmjs.org', 443, list), false);
+  assert.equal(hostAllowed('git.example.com', 22, list), true);
+  assert.equal(hostAllowed('evil.test', 443, list), false);
+});
+
+function connectVia(proxyPort, target, auth) {
+  return new Promise((resolve, reject) => {
+    const s = net.connect(proxyPort, '127.0.0.1', () => {
+      s.write(`CONNECT ${target} HTTP/1.1\r\nHost: ${target}\r\n${auth ? `Proxy-Authorization: ${auth}\r\n` : ''}\r\n`);
+    });
+    let buf = '';
+    s.on('data', (d) => {
+      buf += d.toString();
+      if (!buf.includes('\r\n\r\n')) return;
+      const status = Number(buf.split(' ')[1]);
+      if (status !== 200) {
+        s.destroy();
+        resolve({ status });
+        return;
+      }
+      s.removeAllListeners('data');
+      s.once('data', (echo) => {
+        s.destroy();
+        resolve({ status, echo: echo.toString() });
+      });
+      s.write('ping');
+    });
+    s.on('error', reject);
+  });
+}
+
+test('egress proxy tunnels allowlisted hosts only and requires its credential', async () => {
+  const echo = net.createServer((s) => {
+    s.on('error', () => {});
+    s.pipe(s);
+  });
+  await new Promise(r => echo.listen(0, '127.0.0.1', r));
+  const echoPort = echo.address().port;
+  const logs = [];
+  const proxy = await startEgressProxy({ allowlist: [`127.0.0.1:${echoPort}`], listenHost: '127.0.0.1', log: m => logs.push(m) });
+  try {
+    const { username, password } = new URL(proxy.urlFor('127.0.0.1'));
+    const auth = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+    assert.deepEqual(await connectVia(proxy.port, `127.0.0.1:${echoPort}`, auth), { status: 200, echo: 'ping' });
+    assert.equal((await connectVia(proxy.port, '127.0.0.1:1', auth)).status, 403);
+    assert.equal((await connectVia(proxy.port, `127.0.0.1:${echoPort}`, null)).status, 407);
+    assert.deepEqual(logs, ['accountbox: sandbox blocked 127.0.0.1:1 (not in the allowlist)']);
+  } finally {
+    await proxy.close();
+    await new Promise(r => echo.close(r));
+  }
+});
+
+function fakeRuntime(gateways) {
+  const calls = [];
+  return {
+    calls,
+    displayName: 'Docker',
+    async createInternalNetwork() {
+      calls.push('create');
+      return { name: 'accountbox_egress_test', gateways, remove: async () => { calls.push('remove'); } };
+    },
+  };
+}
+
+test('prepareSandboxRun puts allowlist runs on an internal network behind the proxy, and cleans both up', async () => {
+  const policy = resolveSandboxPolicy([{ raw: { network: 'allowlist', allowlist: ['api.openai.com'] } }]);
+  const runtime = fakeRuntime('127.0.0.1');
+  const run = await prepareSandboxRun(policy, runtime);
+  try {
+    assert.deepEqual(run.args.slice(0, 2), ['--network', 'accountbox_egress_test']);
+    const proxyUrl = new URL(run.args.find(a => a.startsWith('HTTPS_PROXY=')).slice('HTTPS_PROXY='.length));
+    assert.equal(proxyUrl.hostname, '127.0.0.1');
+    assert.equal((await connectVia(Number(proxyUrl.port), 'evil.test:443', null)).status, 407);
+  } finally {
+    await run.close();
+  }
+  assert.deepEqual(runtime.calls, ['create', 'remove']);
+});
+
+test('prepareSandboxRun refuses an allowlist run when the host does not own the network gateway', async () => {
+  const runtime = fakeRuntime('192.0.2.1');
+  await assert.rejects(
+    prepareSandboxRun(resolveSandboxPolicy([{ raw: { network: 'allowlist' } }]), runtime),
+    /network = "allowlist" can't be enforced with Docker here: the internal network's gateway \(192\.0\.2\.1\)/
+  );
+  assert.deepEqual(runtime.calls, ['create', 'remove']);
+
+  assert.deepEqual((await prepareSandboxRun(resolveSandboxPolicy([{ raw: { network: 'none' } }]), runtime)).args, ['--network', 'none']);
+});
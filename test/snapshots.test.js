@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'accountbox-snapshots-'));
+process.env.ACCOUNTBOX_HOME = tmp;
+const { createFileSnapshots } = await import('../src/tools/snapshots.js');
+
+const labelDir = account => path.join(tmp, 'tool', account);
+const store = createFileSnapshots({
+  toolId: 'tool',
+  labelDir,
+  roots: ['config'],
+  files: ['token.json', 'state.json'],
+  skipDirs: ['history'],
+  keepKeys: { 'state.json': ['recent'] },
+  describe: files => ({ user: files['config/token.json']?.user ?? null }),
+  identityOf: meta => meta.user,
+});
+
+async function put(account, rel, value) {
+  const file = path.join(labelDir(account), rel);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+test('file snapshots capture only the listed files and leave bulky keys with the label', async () => {
+  await put('a', 'config/token.json', { user: 'alice', secret: 's1' });
+  await put('a', 'config/state.json', { theme: 'dark', recent: ['big history'] });
+  await put('a', 'config/history/token.json', { user: 'old' });
+  await put('a', 'config/notes.txt', 'not captured');
+
+  const { meta } = await store.save('a', 'alice');
+  assert.deepEqual(meta.files, ['config/state.json', 'config/token.json']);
+  assert.equal(meta.user, 'alice');
+  const saved = JSON.parse(await fs.readFile(path.join(store.root, 'alice', 'files', 'config', 'state.json'), 'utf8'));
+  assert.deepEqual(saved, { theme: 'dark' });
+  assert.equal((await fs.stat(path.join(store.root, 'alice', 'files', 'config', 'token.json'))).mode & 0o777, 0o600);
+  assert.deepEqual((await store.list()).map(s => [s.name, s.sourceAccount]), [['alice', 'a']]);
+});
+
+test('applying a snapshot keeps the target\'s own history and moves other captured files aside', async () => {
+  await put('b', 'config/state.json', { theme: 'light', recent: ['b history'] });
+  await put('b', 'config/sub/token.json', { user: 'bob' });
+  const r = await store.apply('alice', 'b');
+  assert.equal(r.moved.length, 1);
+  assert.match(r.moved[0], /config\/sub\/token\.json\.switch-bak-/);
+  assert.deepEqual(JSON.parse(await fs.readFile(path.join(labelDir('b'), 'config', 'state.json'), 'utf8')), { theme: 'dark', recent: ['b history'] });
+  assert.equal(JSON.parse(await fs.readFile(path.join(labelDir('b'), 'config', 'token.json'), 'utf8')).secret, 's1');
+
+  await store.rename('alice', 'alice2');
+  assert.equal((await store.read('alice2')).name, 'alice2');
+  await assert.rejects(store.apply('alice', 'b'), /Snapshot 'alice' not found/);
+  await assert.rejects(store.save('empty', 'x'), /Nothing to snapshot for tool label 'empty'/);
+  await store.remove('alice2');
+  assert.deepEqual(await store.list(), []);
+});
+
+test('snapshot names and labels that could leave their directory are rejected', async () => {
+  await put('c', 'config/token.json', { user: 'carol' });
+  await store.save('c', 'carol');
+  for (const bad of ['..', '.', '../tool', '']) {
+    await assert.rejects(store.read(bad), /Invalid snapshot name/);
+    await assert.rejects(store.remove(bad), /Invalid snapshot name/);
+    await assert.rejects(store.rename(bad, 'x'), /Invalid snapshot name/);
+    await assert.rejects(store.apply(bad, 'c'), /Invalid snapshot name/);
+  }
+  await assert.rejects(store.apply('carol', '..'), /Invalid label '\.\.'/);
+  await assert.rejects(store.save('..', 'up'), /Invalid label '\.\.'/);
+  assert.deepEqual((await store.list()).map(s => s.name), ['carol']);
+  assert.equal(JSON.parse(await fs.readFile(path.join(labelDir('c'), 'config', 'token.json'), 'utf8')).user, 'carol');
+});
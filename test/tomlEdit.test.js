@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  diffTomlDocuments,
+  parseTomlDocument,
+  parseTomlKeyPath,
+  setTomlValue,
+  tomlValueFromInput,
+  unsetTomlValue,
+} from '../src/util/tomlEdit.js';
+
+const CONFIG = `# team defaults
+model = "o3" # keep in sync
+approval_policy = "on-request"
+
+[model_providers.azure]
+name = "Azure"
+
+[tools]
+list = [
+  "a", # first
+  "b",
+]
+`;
+
+test('setTomlValue replaces values in place and keeps comments and other tables', () => {
+  let t = setTomlValue(CONFIG, parseTomlKeyPath('model'), tomlValueFromInput('gpt-5'));
+  t = setTomlValue(t, parseTomlKeyPath('tools.list'), tomlValueFromInput('["c"]'));
+  assert.match(t, /^# team defaults\nmodel = "gpt-5" # keep in sync\n/);
+  assert.match(t, /\[tools\]\nlist = \["c"\]\n/);
+  assert.match(t, /\[model_providers\.azure\]\nname = "Azure"/);
+});
+
+test('setTomlValue adds keys to existing tables, the root table, or a new table', () => {
+  let t = setTomlValue(CONFIG, parseTomlKeyPath('model_reasoning_effort'), tomlValueFromInput('high'));
+  t = setTomlValue(t, parseTomlKeyPath('model_providers.azure.base_url'), tomlValueFromInput('https://example.test'));
+  t = setTomlValue(t, parseTomlKeyPath('sandbox_workspace_write.network_access'), tomlValueFromInput('true'));
+  const doc = parseTomlDocument(t);
+  assert.equal(doc.model_reasoning_effort, 'high');
+  assert.equal(doc.model_providers.azure.base_url, 'https://example.test');
+  assert.equal(doc.sandbox_workspace_write.network_access, true);
+  assert.match(t, /approval_policy = "on-request"\nmodel_reasoning_effort = "high"\n/);
+});
+
+test('setTomlValue refuses keys it cannot edit in place', () => {
+  assert.throws(() => setTomlValue('tools = { a = 1 }\n', ['tools', 'b'], '2'), /can't be edited in place/);
+  assert.throws(() => setTomlValue('model = "o3"\n', ['model', 'x'], '2'), /'model' is not a table/);
+});
+
+test('unsetTomlValue removes keys and whole tables', () => {
+  const key = unsetTomlValue(CONFIG, parseTomlKeyPath('approval_policy'));
+  assert.equal(key.changed, true);
+  assert.doesNotMatch(key.text, /approval_policy/);
+
+  const table = unsetTomlValue(CONFIG, parseTomlKeyPath('model_providers'));
+  assert.equal(parseTomlDocument(table.text).model_providers, undefined);
+  assert.match(table.text, /# team defaults/);
+
+  assert.equal(unsetTomlValue(CONFIG, ['nope']).changed, false);
+});
+
+test('diffTomlDocuments reports keys that differ or are missing on one side', () => {
+  const a = parseTomlDocument('model = "o3"\napproval_policy = "never"\n[tools]\nweb_search = true\n');
+  const b = parseTomlDocument('model = "o3"\n[tools]\nweb_search = false\n');
+  assert.deepEqual(diffTomlDocuments(a, b), [
+    { key: 'approval_policy', a: 'never', b: undefined },
+    { key: 'tools.web_search', a: true, b: false },
+  ]);
+});